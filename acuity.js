@@ -1,29 +1,225 @@
-const { ACUITY_USER_ID, ACUITY_API_KEY } = process.env;
-const ACUITY_BASE_URL = "https://acuityscheduling.com/api/v1";
+// Acuity Scheduling API client (https://developers.acuityscheduling.com/reference).
+//
+// Credentials are per tenant, read from the tenant config's `acuity` block:
+//   "acuity": { "user_id": "123", "api_key_env": "ACUITY_API_KEY_YESHA", "base_url": "..." }
+// `api_key` / `user_id` may be given inline or by env var name (`*_env`); the global
+// ACUITY_USER_ID / ACUITY_API_KEY are only used when a tenant doesn't set its own.
+// `base_url` (or ACUITY_BASE_URL) points the client at a local stand-in of the API.
 
-// Dummy booking handler for now
-export async function handleAcuityBooking(speechResult) {
-  try {
-    const authString = Buffer.from(`${ACUITY_USER_ID}:${ACUITY_API_KEY}`).toString("base64");
-
-    // Example: just fetch the list of appointment types
-    const res = await fetch(`${ACUITY_BASE_URL}/appointment-types`, {
-      headers: {
-        Authorization: `Basic ${authString}`,
-      },
-    });
-
-    if (!res.ok) {
-      const errorText = await res.text();
-      throw new Error(`Acuity API error: ${res.status} ${errorText}`);
+const DEFAULT_BASE_URL = "https://acuityscheduling.com/api/v1";
+const DEFAULT_TIMEOUT_MS = 8000;
+const PAGE_SIZE = 100;
+const MAX_PAGES = 20;
+
+// ---------------- ERRORS ----------------
+export class AcuityError extends Error {
+  constructor(message, { status = null, body = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "AcuityError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+export class AcuityConfigError extends AcuityError {
+  constructor(message) {
+    super(message);
+    this.name = "AcuityConfigError";
+  }
+}
+
+export class AcuityAuthError extends AcuityError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AcuityAuthError";
+  }
+}
+
+export class AcuityNotFoundError extends AcuityError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AcuityNotFoundError";
+  }
+}
+
+// 400/422: bad input, including "that time is no longer available".
+export class AcuityValidationError extends AcuityError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AcuityValidationError";
+  }
+}
+
+// Network failures, timeouts, rate limits and 5xx responses.
+export class AcuityUnavailableError extends AcuityError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AcuityUnavailableError";
+  }
+}
+
+function errorForResponse(status, body) {
+  const message = `Acuity API error: ${status} ${body?.message || body?.error || ""}`.trim();
+  const details = { status, body };
+  if (status === 401 || status === 403) return new AcuityAuthError(message, details);
+  if (status === 404) return new AcuityNotFoundError(message, details);
+  if (status === 400 || status === 422) return new AcuityValidationError(message, details);
+  if (status === 429 || status >= 500) return new AcuityUnavailableError(message, details);
+  return new AcuityError(message, details);
+}
+
+// ---------------- CLIENT ----------------
+function normalizePhone(phone) {
+  return (phone || "").replace(/\D/g, "").slice(-10);
+}
+
+// "2026-10-31", 1 -> "2026-11-01"
+function shiftDate(date, days) {
+  const at = new Date(`${date}T00:00:00Z`);
+  at.setUTCDate(at.getUTCDate() + days);
+  return at.toISOString().slice(0, 10);
+}
+
+export function createAcuityClient({ userId, apiKey, baseUrl = DEFAULT_BASE_URL, timeoutMs = DEFAULT_TIMEOUT_MS, fetchImpl = fetch } = {}) {
+  if (!userId || !apiKey) {
+    throw new AcuityConfigError("Acuity user ID and API key are required");
+  }
+
+  const authString = Buffer.from(`${userId}:${apiKey}`).toString("base64");
+  const root = baseUrl.replace(/\/+$/, "");
+
+  async function request(method, path, { query, body } = {}) {
+    const url = new URL(`${root}${path}`);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null && value !== "") url.searchParams.set(key, value);
     }
 
-    const types = await res.json();
-    console.log("📅 Available appointment types:", types);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    try {
+      res = await fetchImpl(url, {
+        method,
+        headers: {
+          Authorization: `Basic ${authString}`,
+          Accept: "application/json",
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      const reason = err.name === "AbortError" ? `timed out after ${timeoutMs}ms` : err.message;
+      throw new AcuityUnavailableError(`Acuity request failed: ${method} ${path} ${reason}`, { cause: err });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = { message: text };
+    }
+
+    if (!res.ok) throw errorForResponse(res.status, data);
+    return data;
+  }
+
+  return {
+    listAppointmentTypes() {
+      return request("GET", "/appointment-types");
+    },
+
+    // month: "YYYY-MM". Returns [{ date: "YYYY-MM-DD" }].
+    getAvailableDates({ appointmentTypeID, month, timezone, calendarID }) {
+      return request("GET", "/availability/dates", { query: { appointmentTypeID, month, timezone, calendarID } });
+    },
+
+    // date: "YYYY-MM-DD". Returns [{ time: ISO datetime, slotsAvailable }].
+    getAvailableTimes({ appointmentTypeID, date, timezone, calendarID }) {
+      return request("GET", "/availability/times", { query: { appointmentTypeID, date, timezone, calendarID } });
+    },
+
+    getAppointment(id) {
+      return request("GET", `/appointments/${encodeURIComponent(id)}`);
+    },
 
-    return `You said: ${speechResult}. I found ${types.length} appointment types in Acuity.`;
-  } catch (err) {
-    console.error("❌ Acuity error:", err);
-    return "Sorry, I had trouble connecting to the booking system.";
+    createAppointment({ appointmentTypeID, datetime, firstName, lastName, email, phone, timezone, calendarID, notes, fields }) {
+      return request("POST", "/appointments", {
+        body: { appointmentTypeID, datetime, firstName, lastName, email, phone, timezone, calendarID, notes, fields },
+      });
+    },
+
+    rescheduleAppointment(id, { datetime, timezone, calendarID }) {
+      return request("PUT", `/appointments/${encodeURIComponent(id)}/reschedule`, {
+        body: { datetime, timezone, calendarID },
+      });
+    },
+
+    cancelAppointment(id, { cancelNote } = {}) {
+      return request("PUT", `/appointments/${encodeURIComponent(id)}/cancel`, { body: { cancelNote } });
+    },
+
+    // Acuity's own `phone` filter is an exact string match, so phone lookups pull the
+    // date range and compare normalized digits here instead. The API has no offset, so a
+    // full page is followed by another starting on the day the last one ended on (repeats
+    // are dropped by id) until `max` matches are found or the range runs out.
+    async findAppointments({ phone, email, minDate, maxDate, max = 100, direction = "ASC", pageSize = PAGE_SIZE } = {}) {
+      const wanted = phone ? normalizePhone(phone) : null;
+      const descending = String(direction).toUpperCase() === "DESC";
+      const seen = new Set();
+      const found = [];
+      let range = { minDate, maxDate };
+
+      for (let page = 0; page < MAX_PAGES && found.length < max; page++) {
+        const appointments = (await request("GET", "/appointments", {
+          query: { email, ...range, max: pageSize, direction },
+        })) || [];
+        const fresh = appointments.filter((appt) => !seen.has(appt.id));
+        for (const appt of fresh) {
+          seen.add(appt.id);
+          if (!wanted || normalizePhone(appt.phone) === wanted) found.push(appt);
+        }
+        if (appointments.length < pageSize) break;
+
+        // A page that's all one day we've already seen can't be walked any further.
+        let day = String(appointments[appointments.length - 1].datetime || "").slice(0, 10);
+        if (!day) break;
+        if (!fresh.length) day = shiftDate(day, descending ? -1 : 1);
+        range = descending ? { minDate, maxDate: day } : { minDate: day, maxDate };
+        if (range.minDate && range.maxDate && range.minDate > range.maxDate) break;
+      }
+      return found.slice(0, max);
+    },
+  };
+}
+
+function resolveSetting(config, key, fallback) {
+  if (config?.[key]) return config[key];
+  const envName = config?.[`${key}_env`];
+  if (envName && process.env[envName]) return process.env[envName];
+  return fallback;
+}
+
+// Builds a client from the tenant's `acuity` config block; throws AcuityConfigError when
+// the tenant has no credentials.
+export function getAcuityClient(tenant, options = {}) {
+  const config = tenant?.acuity || {};
+  return createAcuityClient({
+    userId: resolveSetting(config, "user_id", process.env.ACUITY_USER_ID),
+    apiKey: resolveSetting(config, "api_key", process.env.ACUITY_API_KEY),
+    baseUrl: resolveSetting(config, "base_url", process.env.ACUITY_BASE_URL || DEFAULT_BASE_URL),
+    ...options,
+  });
+}
+
+// Acuity booking links look like https://<owner>.as.me/?appointmentType=83058786
+export function appointmentTypeIdFromUrl(url) {
+  try {
+    return new URL(url).searchParams.get("appointmentType");
+  } catch {
+    return null;
   }
 }
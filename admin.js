@@ -0,0 +1,337 @@
+import crypto from "crypto";
+import { listCallRecords, getCallRecord } from "./call-records.js";
+
+// Admin API and dashboard for reviewing what the bot did on each call.
+//
+// Every route needs a token, sent as `Authorization: Bearer <token>` or as the password
+// of HTTP Basic auth (so the dashboard works straight from a browser):
+//   ADMIN_TOKEN                                   -> every tenant
+//   tenant config "admin": { "token_env": "..." } -> that tenant only ("token" inline also works)
+// With neither set, the admin routes are effectively switched off.
+//
+// Registered from index.js with { getTenant(tenantId), listTenantIds(), twilioAuth }.
+
+const LIST_SCAN_LIMIT = 500;
+const SCAN_PAGE_SIZE = 100;
+const BOOKING_INTENTS = ["appointment_request", "returning_client", "slot_pick", "quote_answer"];
+const BOOKED_OUTCOMES = ["booked", "rescheduled"];
+const FALLBACK_INTENTS = ["llm", "error"];
+
+// ---------------- AUTH ----------------
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, value] = header.split(" ");
+  if (/^bearer$/i.test(scheme)) return value || null;
+  if (/^basic$/i.test(scheme) && value) {
+    const decoded = Buffer.from(value, "base64").toString("utf8");
+    return decoded.slice(decoded.indexOf(":") + 1) || null;
+  }
+  return null;
+}
+
+function tokensMatch(given, expected) {
+  if (!given || !expected) return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function tenantToken(tenant) {
+  const config = tenant?.admin || {};
+  return config.token || (config.token_env && process.env[config.token_env]) || null;
+}
+
+// Tenant IDs this token can see; empty when it matches nothing.
+function allowedTenantIds(token, { getTenant, listTenantIds }) {
+  const all = listTenantIds();
+  if (tokensMatch(token, process.env.ADMIN_TOKEN)) return all;
+  return all.filter((tenantId) => tokensMatch(token, tenantToken(getTenant(tenantId))));
+}
+
+// ---------------- QUERIES ----------------
+function matchesFilters(record, { intent, outcome, link, status, q, since }) {
+  if (intent && !record.intents?.includes(intent)) return false;
+  if (outcome && !record.outcomes?.includes(outcome)) return false;
+  if (link && !record.linksSent?.includes(link)) return false;
+  if (status && record.status !== status) return false;
+  if (since && String(record.startedAt) < since) return false;
+  if (q) {
+    const needle = q.toLowerCase();
+    const haystack = [record.caller, ...(record.turns || []).map((turn) => turn.text)].join("\n").toLowerCase();
+    if (!haystack.includes(needle)) return false;
+  }
+  return true;
+}
+
+function wantedBooking(record) {
+  return record.intents?.some((intent) => BOOKING_INTENTS.includes(intent)) &&
+    !record.outcomes?.some((outcome) => BOOKED_OUTCOMES.includes(outcome));
+}
+
+function fellBack(record) {
+  return record.intents?.some((intent) => FALLBACK_INTENTS.includes(intent));
+}
+
+function summarize(record) {
+  const { turns, ...rest } = record;
+  return { ...rest, turnCount: turns?.length || 0, missedBooking: Boolean(wantedBooking(record)) };
+}
+
+// Reads the store a page at a time, newest first, until `limit` calls match (after skipping
+// `offset` matches) or LIST_SCAN_LIMIT calls have been looked at.
+async function findCalls(tenant, query = {}, { log } = {}) {
+  const limit = Math.min(Number(query.limit) || 50, LIST_SCAN_LIMIT);
+  const offset = Math.max(Number(query.offset) || 0, 0);
+  const found = [];
+  for (let scanned = 0; scanned < LIST_SCAN_LIMIT && found.length < offset + limit; scanned += SCAN_PAGE_SIZE) {
+    const page = await listCallRecords(tenant, { limit: SCAN_PAGE_SIZE, offset: scanned, since: query.since, log });
+    found.push(...page.filter((record) => matchesFilters(record, query)));
+    if (page.length < SCAN_PAGE_SIZE) break;
+  }
+  return found.slice(offset, offset + limit);
+}
+
+function countInto(counts, values) {
+  for (const value of values || []) counts[value] = (counts[value] || 0) + 1;
+}
+
+export async function buildAnalytics(tenant, { days = 7, log } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const records = await findCalls(tenant, { since, limit: LIST_SCAN_LIMIT }, { log });
+  const analytics = {
+    since,
+    calls: records.length,
+    byStatus: {},
+    byIntent: {},
+    byOutcome: {},
+    linksSent: {},
+    averageDurationSeconds: null,
+    missedBookings: 0,
+    fallbackAnswers: 0,
+  };
+
+  const durations = [];
+  for (const record of records) {
+    countInto(analytics.byStatus, [record.status]);
+    countInto(analytics.byIntent, record.intents);
+    countInto(analytics.byOutcome, record.outcomes);
+    countInto(analytics.linksSent, record.linksSent);
+    if (Number.isFinite(record.durationSeconds)) durations.push(record.durationSeconds);
+    if (wantedBooking(record)) analytics.missedBookings++;
+    if (fellBack(record)) analytics.fallbackAnswers++;
+  }
+  if (durations.length) {
+    analytics.averageDurationSeconds = Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length);
+  }
+  return analytics;
+}
+
+// ---------------- HTML ----------------
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+function formatTime(iso, timezone) {
+  if (!iso) return "";
+  try {
+    return new Date(iso).toLocaleString("en-US", { timeZone: timezone || undefined, dateStyle: "medium", timeStyle: "short" });
+  } catch {
+    return iso;
+  }
+}
+
+function page(title, body) {
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · LocSync Admin</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 24px; color: #222; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+  .tag { display: inline-block; padding: 1px 6px; margin: 1px; border-radius: 8px; background: #eef; font-size: 12px; }
+  .warn { background: #fde2e2; }
+  .ok { background: #e2f6e2; }
+  .stats { display: flex; gap: 16px; flex-wrap: wrap; margin: 12px 0; }
+  .stat { padding: 8px 12px; border: 1px solid #eee; border-radius: 6px; }
+  .bot { color: #335; } .caller { font-weight: 600; }
+  form input, form select { margin-right: 8px; }
+</style></head>
+<body>${body}</body></html>`;
+}
+
+const tags = (values, cls = "") => (values || []).map((v) => `<span class="tag ${cls}">${escapeHtml(v)}</span>`).join("");
+
+function tenantPage(tenant, analytics, calls, query) {
+  const id = encodeURIComponent(tenant.tenant_id);
+  const stat = (label, value) => `<div class="stat"><div>${escapeHtml(label)}</div><strong>${escapeHtml(value ?? "-")}</strong></div>`;
+  const options = (values, selected) => ["", ...Object.keys(values)].map((v) =>
+    `<option value="${escapeHtml(v)}"${v === (selected || "") ? " selected" : ""}>${escapeHtml(v || "any")}</option>`).join("");
+
+  const rows = calls.map((call) => `<tr>
+    <td><a href="/admin/tenants/${id}/calls/${encodeURIComponent(call.callSid)}">${escapeHtml(formatTime(call.startedAt, tenant.timezone))}</a></td>
+    <td>${escapeHtml(call.caller)}</td>
+    <td>${escapeHtml(call.status)}${call.durationSeconds ? ` (${escapeHtml(call.durationSeconds)}s)` : ""}</td>
+    <td>${tags(call.intents)}</td>
+    <td>${tags(call.outcomes, "ok")}${wantedBooking(call) ? '<span class="tag warn">missed booking</span>' : ""}</td>
+    <td>${tags(call.linksSent)}</td>
+  </tr>`).join("");
+
+  return page(tenant.studio_name || tenant.tenant_id, `
+    <p><a href="/admin">All tenants</a></p>
+    <h1>${escapeHtml(tenant.studio_name || tenant.tenant_id)}</h1>
+    <h2>Last 7 days</h2>
+    <div class="stats">
+      ${stat("Calls", analytics.calls)}
+      ${stat("Booked", (analytics.byOutcome.booked || 0) + (analytics.byOutcome.rescheduled || 0))}
+      ${stat("Missed bookings", analytics.missedBookings)}
+      ${stat("Fallback answers", analytics.fallbackAnswers)}
+      ${stat("Avg duration", analytics.averageDurationSeconds === null ? null : `${analytics.averageDurationSeconds}s`)}
+    </div>
+    <h2>Calls</h2>
+    <form method="get">
+      Intent <select name="intent">${options(analytics.byIntent, query.intent)}</select>
+      Outcome <select name="outcome">${options(analytics.byOutcome, query.outcome)}</select>
+      Link <select name="link">${options(analytics.linksSent, query.link)}</select>
+      <input name="q" placeholder="Search transcript or number" value="${escapeHtml(query.q || "")}">
+      <button>Filter</button>
+    </form>
+    <table>
+      <tr><th>Started</th><th>Caller</th><th>Status</th><th>Intents</th><th>Outcome</th><th>Links texted</th></tr>
+      ${rows || '<tr><td colspan="6">No calls match.</td></tr>'}
+    </table>`);
+}
+
+function callPage(tenant, call) {
+  const id = encodeURIComponent(tenant.tenant_id);
+  const turns = (call.turns || []).map((turn) => `<tr class="${turn.role === "bot" ? "bot" : "caller"}">
+    <td>${escapeHtml(turn.role === "bot" ? "Bot" : "Caller")}</td>
+    <td>${escapeHtml(turn.text)}</td>
+    <td>${turn.intent ? tags([turn.intent]) : ""}</td>
+  </tr>`).join("");
+  const recording = call.recording?.url
+    ? `<audio controls preload="none" src="/admin/tenants/${id}/calls/${encodeURIComponent(call.callSid)}/recording"></audio>
+       ${call.recording.duration ? `(${escapeHtml(call.recording.duration)}s)` : ""}`
+    : "No recording.";
+
+  return page(`Call ${call.callSid}`, `
+    <p><a href="/admin/tenants/${id}">${escapeHtml(tenant.studio_name || tenant.tenant_id)}</a></p>
+    <h1>Call from ${escapeHtml(call.caller || "unknown")}</h1>
+    <p>${escapeHtml(formatTime(call.startedAt, tenant.timezone))} · ${escapeHtml(call.status)}
+      ${call.durationSeconds ? ` · ${escapeHtml(call.durationSeconds)}s` : ""} · ${escapeHtml(call.callSid)}</p>
+    <p>Intents: ${tags(call.intents)} Outcome: ${tags(call.outcomes, "ok")}${wantedBooking(call) ? '<span class="tag warn">missed booking</span>' : ""}
+      Links texted: ${tags(call.linksSent)}</p>
+    <p>${recording}</p>
+    <h2>Transcript</h2>
+    <table>${turns || '<tr><td>No turns recorded.</td></tr>'}</table>`);
+}
+
+// ---------------- ROUTES ----------------
+export default async function adminRoutes(fastify, { getTenant, listTenantIds, twilioAuth }) {
+  fastify.addHook("onRequest", async (req, reply) => {
+    const tenantIds = allowedTenantIds(tokenFromRequest(req), { getTenant, listTenantIds });
+    if (!tenantIds.length) {
+      reply.code(401).header("WWW-Authenticate", 'Basic realm="LocSync Admin"').send({ error: "Unauthorized" });
+      return reply;
+    }
+    req.adminTenantIds = tenantIds;
+  });
+
+  // 404 rather than 403 for other tenants, so a salon's token can't probe for the rest.
+  const tenantFor = (req, reply) => {
+    const { tenantId } = req.params;
+    const tenant = req.adminTenantIds.includes(tenantId) ? getTenant(tenantId) : null;
+    if (!tenant) reply.code(404).send({ error: "Tenant not found" });
+    return tenant;
+  };
+
+  const callFor = async (req, reply, tenant) => {
+    const call = await getCallRecord(tenant, req.params.callSid, { log: fastify.log });
+    if (!call || call.tenantId !== tenant.tenant_id) {
+      reply.code(404).send({ error: "Call not found" });
+      return null;
+    }
+    return call;
+  };
+
+  // ===== JSON API =====
+  fastify.get("/api/tenants", async (req) => {
+    return req.adminTenantIds.map((tenantId) => {
+      const tenant = getTenant(tenantId);
+      return { tenant_id: tenantId, studio_name: tenant?.studio_name, phone_number: tenant?.phone_number, active: tenant?.active };
+    });
+  });
+
+  // ?intent=&outcome=&link=&status=&q=&since=<ISO>&limit=&offset=
+  fastify.get("/api/tenants/:tenantId/calls", async (req, reply) => {
+    const tenant = tenantFor(req, reply);
+    if (!tenant) return reply;
+    const calls = await findCalls(tenant, req.query, { log: fastify.log });
+    return { calls: calls.map(summarize) };
+  });
+
+  fastify.get("/api/tenants/:tenantId/calls/:callSid", async (req, reply) => {
+    const tenant = tenantFor(req, reply);
+    if (!tenant) return reply;
+    const call = await callFor(req, reply, tenant);
+    if (!call) return reply;
+    return { ...call, missedBooking: Boolean(wantedBooking(call)) };
+  });
+
+  fastify.get("/api/tenants/:tenantId/analytics", async (req, reply) => {
+    const tenant = tenantFor(req, reply);
+    if (!tenant) return reply;
+    return buildAnalytics(tenant, { days: Math.min(Number(req.query.days) || 7, 90), log: fastify.log });
+  });
+
+  // ===== DASHBOARD =====
+  fastify.get("/", async (req, reply) => {
+    if (req.adminTenantIds.length === 1) {
+      return reply.redirect(`/admin/tenants/${encodeURIComponent(req.adminTenantIds[0])}`);
+    }
+    const items = req.adminTenantIds.map((tenantId) => {
+      const tenant = getTenant(tenantId);
+      return `<li><a href="/admin/tenants/${encodeURIComponent(tenantId)}">${escapeHtml(tenant?.studio_name || tenantId)}</a></li>`;
+    }).join("");
+    reply.type("text/html").send(page("Tenants", `<h1>Tenants</h1><ul>${items}</ul>`));
+  });
+
+  fastify.get("/tenants/:tenantId", async (req, reply) => {
+    const tenant = tenantFor(req, reply);
+    if (!tenant) return reply;
+    const [analytics, calls] = await Promise.all([buildAnalytics(tenant, { log: fastify.log }), findCalls(tenant, req.query, { log: fastify.log })]);
+    reply.type("text/html").send(tenantPage(tenant, analytics, calls, req.query));
+  });
+
+  fastify.get("/tenants/:tenantId/calls/:callSid", async (req, reply) => {
+    const tenant = tenantFor(req, reply);
+    if (!tenant) return reply;
+    const call = await callFor(req, reply, tenant);
+    if (!call) return reply;
+    reply.type("text/html").send(callPage(tenant, call));
+  });
+
+  // Twilio recording URLs need the account credentials, so the browser fetches them through here.
+  fastify.get("/tenants/:tenantId/calls/:callSid/recording", async (req, reply) => {
+    const tenant = tenantFor(req, reply);
+    if (!tenant) return reply;
+    const call = await callFor(req, reply, tenant);
+    if (!call) return reply;
+    if (!call.recording?.url) return reply.code(404).send({ error: "No recording" });
+    // The account credentials only ever go to Twilio, whatever ended up in the record.
+    let recordingUrl;
+    try {
+      recordingUrl = new URL(`${call.recording.url}.mp3`);
+    } catch {
+      recordingUrl = null;
+    }
+    if (recordingUrl?.protocol !== "https:" || recordingUrl.hostname !== "api.twilio.com") {
+      return reply.code(502).send({ error: "Recording is not hosted by Twilio" });
+    }
+
+    const res = await fetch(recordingUrl, {
+      headers: { Authorization: `Basic ${Buffer.from(`${twilioAuth.accountSid}:${twilioAuth.authToken}`).toString("base64")}` },
+    });
+    if (!res.ok) return reply.code(502).send({ error: `Recording fetch failed: ${res.status}` });
+    reply.type("audio/mpeg").send(Buffer.from(await res.arrayBuffer()));
+  });
+}
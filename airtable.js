@@ -0,0 +1,319 @@
+// Airtable data layer (https://airtable.com/developers/web/api/introduction).
+//
+// One base per tenant, set in the tenant config:
+//   "airtable_base_id": "app...",
+//   "airtable_table_name": "Appointments",                     // appointments table
+//   "airtable_tables": { "call_logs": "Call Logs", "clients": "Clients" },
+//   "airtable_fields": { "appointments": { "datetime": "Start Time" } }
+// Table and field names default to the ones below; `airtable_fields` only needs the
+// fields a base names differently. The token comes from AIRTABLE_PAT; AIRTABLE_API_URL
+// points the client at a local stand-in of the API.
+// A client's language ("en" | "es" | "fr", for reminders) is only kept when the base has a
+// field for it: `"airtable_fields": { "clients": { "language": "Language" } }`.
+
+const API_ROOT = "https://api.airtable.com/v0";
+const DEFAULT_TIMEOUT_MS = 8000;
+const PAGE_SIZE = 100;
+
+const DEFAULT_TABLES = {
+  appointments: "Appointments",
+  call_logs: "Call Logs",
+  clients: "Clients",
+};
+
+const DEFAULT_FIELDS = {
+  appointments: {
+    phone: "client_phone",
+    name: "client_name",
+    datetime: "appointment_date",
+    service: "service",
+    status: "status",
+  },
+  call_logs: {
+    call_sid: "call_sid",
+    tenant_id: "tenant_id",
+    caller_phone: "caller_phone",
+    started_at: "started_at",
+    ended_at: "ended_at",
+    status: "status",
+    outcome: "outcome",
+    intents: "intents",
+    client_type: "client_type",
+    service: "service",
+    links_sent: "links_sent",
+    transcript: "transcript",
+    recording_url: "recording_url",
+    recording_duration_seconds: "recording_duration_seconds",
+    duration_seconds: "duration_seconds",
+  },
+  clients: {
+    phone: "phone",
+    name: "name",
+    client_type: "client_type",
+    last_service: "last_service",
+    last_call_at: "last_call_at",
+    call_count: "call_count",
+  },
+};
+
+// ---------------- ERRORS ----------------
+export class AirtableError extends Error {
+  constructor(message, { status = null, body = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "AirtableError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+export class AirtableConfigError extends AirtableError {
+  constructor(message) {
+    super(message);
+    this.name = "AirtableConfigError";
+  }
+}
+
+// Network failures, timeouts, rate limits (5 req/s per base) and 5xx responses.
+export class AirtableUnavailableError extends AirtableError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AirtableUnavailableError";
+  }
+}
+
+// ---------------- FORMULAS ----------------
+// Values never go into a formula unescaped: a caller-controlled string like
+// `") , TRUE(), ("` would otherwise rewrite the filter.
+export function formulaString(value) {
+  return `"${String(value ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+export function formulaField(name) {
+  return `{${String(name).replace(/[{}]/g, "")}}`;
+}
+
+function normalizePhone(phone) {
+  return (phone || "").replace(/\D/g, "").slice(-10);
+}
+
+// Matches a phone field on its last 10 digits, however the number was typed in.
+export function phoneMatchFormula(field, phone) {
+  const digits = normalizePhone(phone);
+  return `RIGHT(REGEX_REPLACE(${formulaField(field)} & "", "[^0-9]", ""), 10) = ${formulaString(digits)}`;
+}
+
+// ---------------- CLIENT ----------------
+export function createAirtableClient({
+  baseId,
+  apiKey,
+  apiRoot = process.env.AIRTABLE_API_URL || API_ROOT,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  fetchImpl = fetch,
+} = {}) {
+  if (!baseId || !apiKey) {
+    throw new AirtableConfigError("Airtable base ID and access token are required");
+  }
+
+  async function request(method, table, { path = "", query, body } = {}) {
+    const url = new URL(`${apiRoot.replace(/\/+$/, "")}/${encodeURIComponent(baseId)}/${encodeURIComponent(table)}${path}`);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value === undefined || value === null || value === "") continue;
+      if (Array.isArray(value)) value.forEach((item) => url.searchParams.append(`${key}[]`, item));
+      else url.searchParams.set(key, value);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    try {
+      res = await fetchImpl(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      const reason = err.name === "AbortError" ? `timed out after ${timeoutMs}ms` : err.message;
+      throw new AirtableUnavailableError(`Airtable request failed: ${method} ${table} ${reason}`, { cause: err });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const data = await res.json().catch(() => null);
+    if (!res.ok) {
+      const message = `Airtable API error: ${res.status} ${data?.error?.type || ""}`.trim();
+      const details = { status: res.status, body: data };
+      if (res.status === 429 || res.status >= 500) throw new AirtableUnavailableError(message, details);
+      throw new AirtableError(message, details);
+    }
+    return data;
+  }
+
+  return {
+    // Follows `offset` until every page is read or `maxRecords` is reached.
+    // sort: [{ field, direction: "asc" | "desc" }]
+    async list(table, { filterByFormula, sort, fields, maxRecords, view } = {}) {
+      const records = [];
+      let offset;
+      do {
+        const query = { filterByFormula, fields, maxRecords, view, offset, pageSize: PAGE_SIZE };
+        (sort || []).forEach((s, i) => {
+          query[`sort[${i}][field]`] = s.field;
+          query[`sort[${i}][direction]`] = s.direction || "asc";
+        });
+        const page = await request("GET", table, { query });
+        records.push(...(page?.records || []));
+        offset = page?.offset;
+      } while (offset && !(maxRecords && records.length >= maxRecords));
+      return maxRecords ? records.slice(0, maxRecords) : records;
+    },
+
+    get(table, id) {
+      return request("GET", table, { path: `/${encodeURIComponent(id)}` });
+    },
+
+    create(table, fields) {
+      return request("POST", table, { body: { fields, typecast: true } });
+    },
+
+    update(table, id, fields) {
+      return request("PATCH", table, { path: `/${encodeURIComponent(id)}`, body: { fields, typecast: true } });
+    },
+  };
+}
+
+// ---------------- REPOSITORY ----------------
+function tableNames(tenant) {
+  return {
+    ...DEFAULT_TABLES,
+    ...(tenant?.airtable_table_name ? { appointments: tenant.airtable_table_name } : {}),
+    ...(tenant?.airtable_tables || {}),
+  };
+}
+
+function fieldNames(tenant, table) {
+  return { ...DEFAULT_FIELDS[table], ...(tenant?.airtable_fields?.[table] || {}) };
+}
+
+// Maps { key: value } onto the base's field names, dropping undefined values.
+function toFields(names, values) {
+  const fields = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== undefined && names[key]) fields[names[key]] = value;
+  }
+  return fields;
+}
+
+// The reverse of toFields: { id, key: value } from an Airtable record.
+function fromFields(names, record) {
+  const values = { id: record.id };
+  for (const [key, name] of Object.entries(names)) values[key] = record.fields?.[name] ?? null;
+  return values;
+}
+
+// Tenant-scoped access to the appointments, call log and client tables.
+// Throws AirtableConfigError when the tenant has no base configured.
+export function getAirtableRepository(tenant, { apiKey = process.env.AIRTABLE_PAT, ...options } = {}) {
+  const client = createAirtableClient({ baseId: tenant?.airtable_base_id, apiKey, ...options });
+  const tables = tableNames(tenant);
+  const fields = {
+    appointments: fieldNames(tenant, "appointments"),
+    call_logs: fieldNames(tenant, "call_logs"),
+    clients: fieldNames(tenant, "clients"),
+  };
+
+  return {
+    client,
+
+    // Appointments in [from, to) (Dates or ISO strings), optionally only this phone's,
+    // soonest first: [{ id, phone, name, datetime, service, status }]. Cancelled ones are
+    // left out here rather than in the formula, since not every base has a status field.
+    async findAppointments({ phone, from, to, max = 100, direction = "asc" } = {}) {
+      const f = fields.appointments;
+      const when = formulaField(f.datetime);
+      const conditions = [
+        phone && phoneMatchFormula(f.phone, phone),
+        from && `IS_AFTER(${when}, ${formulaString(new Date(from).toISOString())})`,
+        to && `IS_BEFORE(${when}, ${formulaString(new Date(to).toISOString())})`,
+      ].filter(Boolean);
+      const records = await client.list(tables.appointments, {
+        filterByFormula: conditions.length ? `AND(${conditions.join(", ")})` : undefined,
+        sort: [{ field: f.datetime, direction }],
+        maxRecords: max,
+      });
+      return records
+        .map((record) => fromFields(f, record))
+        .filter((appt) => !/^cancel/i.test(appt.status || ""));
+    },
+
+    // Appointments for this phone that haven't started yet, soonest first.
+    findUpcomingAppointments(phone, { now = new Date(), max = 10 } = {}) {
+      return this.findAppointments({ phone, from: now, max });
+    },
+
+    async getAppointment(id) {
+      return fromFields(fields.appointments, await client.get(tables.appointments, id));
+    },
+
+    // { phone, name, datetime, service, status } keyed as in DEFAULT_FIELDS.appointments.
+    async createAppointment(values) {
+      return fromFields(fields.appointments, await client.create(tables.appointments, toFields(fields.appointments, values)));
+    },
+
+    async updateAppointment(id, values) {
+      return fromFields(fields.appointments, await client.update(tables.appointments, id, toFields(fields.appointments, values)));
+    },
+
+    // { call_sid, caller_phone, started_at, status, ... } keyed as in DEFAULT_FIELDS.call_logs.
+    async createCallLog(values) {
+      const record = await client.create(tables.call_logs, toFields(fields.call_logs, { tenant_id: tenant?.tenant_id, ...values }));
+      return record?.id || null;
+    },
+
+    updateCallLog(id, values) {
+      return client.update(tables.call_logs, id, toFields(fields.call_logs, values));
+    },
+
+    async findCallLog(callSid) {
+      const f = fields.call_logs;
+      const [record] = await client.list(tables.call_logs, {
+        filterByFormula: `${formulaField(f.call_sid)} = ${formulaString(callSid)}`,
+        maxRecords: 1,
+      });
+      return record ? fromFields(f, record) : null;
+    },
+
+    // This tenant's call logs, newest first.
+    async listCallLogs({ max = 100 } = {}) {
+      const f = fields.call_logs;
+      const records = await client.list(tables.call_logs, {
+        filterByFormula: `${formulaField(f.tenant_id)} = ${formulaString(tenant?.tenant_id)}`,
+        sort: [{ field: f.started_at, direction: "desc" }],
+        maxRecords: max,
+      });
+      return records.map((record) => fromFields(f, record));
+    },
+
+    // { id, phone, name, client_type, language, last_service, last_call_at, call_count } or null.
+    async findClient(phone) {
+      const f = fields.clients;
+      const [record] = await client.list(tables.clients, {
+        filterByFormula: phoneMatchFormula(f.phone, phone),
+        maxRecords: 1,
+      });
+      return record ? fromFields(f, record) : null;
+    },
+
+    // Creates the client on first contact, otherwise updates it and bumps call_count.
+    async upsertClient(phone, values = {}) {
+      const existing = await this.findClient(phone);
+      const callCount = (Number(existing?.call_count) || 0) + 1;
+      const updates = toFields(fields.clients, { ...values, call_count: callCount });
+      if (existing) return client.update(tables.clients, existing.id, updates);
+      return client.create(tables.clients, { ...updates, ...toFields(fields.clients, { phone: normalizePhone(phone) }) });
+    },
+  };
+}
@@ -0,0 +1,331 @@
+import { DateTime } from "luxon";
+import { tenantTimezone } from "./voice-booking.js";
+import { LANGUAGES, localize } from "./i18n.js";
+
+// Opening hours, holidays and one-off closures from the tenant's `hours`, evaluated in
+// its `timezone`:
+//   "hours": {
+//     "weekly": {
+//       "sunday": { "open": "11:00", "close": "19:00" },
+//       "monday": { "open": "11:00", "close": "19:00" },
+//       ...
+//       "saturday": null                                  // closed (or leave the day out)
+//     },
+//     "holidays": [{ "date": "2026-12-25", "name": "Christmas" }, "2027-01-01"],
+//     "special": [
+//       { "date": "2026-12-24", "open": "11:00", "close": "15:00", "note": "Christmas Eve" },
+//       { "from": "2026-11-26", "to": "2026-11-29", "note": "Thanksgiving break" }   // no hours: closed
+//     ],
+//     "by_appointment": true
+//   }
+// Tenants with only the older free-text hours get the same weekly hours read out of it:
+//   "hours": { "hours_string": "Sunday through Friday, 11 AM to 7 PM", "closed_days": ["Saturday"] }
+// (or "schedule": "..., 11:00am-7pm"). Holidays and special dates apply to both.
+
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+// How far ahead to look for the next opening, and for closures worth a heads-up.
+const LOOKAHEAD_DAYS = 21;
+const HEADS_UP_DAYS = 7;
+
+function weekday(name) {
+  return WEEKDAYS.indexOf(String(name).toLowerCase()) + 1; // luxon: Monday = 1
+}
+
+const dayName = (day) => WEEKDAYS[day - 1].replace(/^\w/, (c) => c.toUpperCase());
+
+// "Sunday through Friday" (wrapping past Sunday), "Monday, Wednesday and Friday", "daily".
+function parseDays(text) {
+  const range = /(\w+day)\s*(?:through|thru|to|-|–)\s*(\w+day)/i.exec(text);
+  if (range && weekday(range[1]) && weekday(range[2])) {
+    const days = [];
+    for (let day = weekday(range[1]); ; day = (day % 7) + 1) {
+      days.push(day);
+      if (day === weekday(range[2])) break;
+    }
+    return days;
+  }
+  if (/\b(daily|every day|7 days)\b/i.test(text)) return [1, 2, 3, 4, 5, 6, 7];
+  const listed = (text.match(/\b\w+day\b/gi) || []).map(weekday).filter(Boolean);
+  return listed.length ? listed : null;
+}
+
+// "11 AM to 7 PM", "11:00am-7pm" -> [660, 1140] minutes after midnight.
+function parseTimes(text) {
+  const times = [...text.matchAll(/(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?/gi)].map(([, hour, minute, half]) =>
+    (Number(hour) % 12 + (half.toLowerCase() === "p" ? 12 : 0)) * 60 + Number(minute || 0));
+  return times.length >= 2 ? times.slice(0, 2) : null;
+}
+
+// "19:00", "7pm", "7:30 PM" -> minutes after midnight, or null.
+function clock(value) {
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?m\.?)?$/i.exec(String(value ?? "").trim());
+  if (!match) return null;
+  const half = match[3]?.toLowerCase();
+  return (Number(match[1]) % (half ? 12 : 24) + (half === "p" ? 12 : 0)) * 60 + Number(match[2] || 0);
+}
+
+function span(entry) {
+  const open = clock(entry?.open);
+  const close = clock(entry?.close);
+  return open !== null && close !== null && close > open ? { open, close } : null;
+}
+
+// { [luxon weekday]: { open, close } | null } (minutes after midnight), or null when the
+// tenant's weekly hours can't be read.
+export function weeklyHours(tenant) {
+  const hours = tenant?.hours || {};
+  if (hours.weekly && typeof hours.weekly === "object") {
+    const week = {};
+    for (let day = 1; day <= 7; day++) week[day] = span(hours.weekly[WEEKDAYS[day - 1]]);
+    return week;
+  }
+  for (const text of [hours.hours_string, hours.schedule].filter(Boolean)) {
+    const days = parseDays(text);
+    const times = parseTimes(text);
+    if (!days || !times) continue;
+    const closed = (hours.closed_days || []).map(weekday);
+    const week = {};
+    for (let day = 1; day <= 7; day++) {
+      week[day] = days.includes(day) && !closed.includes(day) ? { open: times[0], close: times[1] } : null;
+    }
+    return week;
+  }
+  return null;
+}
+
+function holidayOn(tenant, isoDate) {
+  for (const holiday of tenant?.hours?.holidays || []) {
+    const date = typeof holiday === "string" ? holiday : holiday?.date;
+    if (date === isoDate) return { closed: true, note: holiday?.name || null };
+  }
+  return null;
+}
+
+function specialOn(tenant, isoDate) {
+  for (const special of tenant?.hours?.special || []) {
+    const from = special?.date || special?.from;
+    const to = special?.date || special?.to || from;
+    if (!from || isoDate < from || isoDate > to) continue;
+    const hours = span(special);
+    return hours ? { ...hours, note: special.note || null } : { closed: true, note: special.note || null };
+  }
+  return null;
+}
+
+// Hours on one local day: { open, close, note? }, { closed: true, note? }, or null when
+// the tenant's hours are unknown. Holidays win over special dates, which win over the week.
+export function hoursOn(tenant, date) {
+  const isoDate = date.toISODate();
+  const exception = holidayOn(tenant, isoDate) || specialOn(tenant, isoDate);
+  if (exception) return exception;
+  const week = weeklyHours(tenant);
+  if (!week) return null;
+  return week[date.weekday] || { closed: true, note: null };
+}
+
+const local = (tenant, now) => DateTime.fromMillis(now.valueOf(), { zone: tenantTimezone(tenant) });
+const minuteOf = (time) => time.hour * 60 + time.minute;
+
+// true / false, or null when we don't know the tenant's hours.
+export function isOpenAt(tenant, now = DateTime.now()) {
+  const time = local(tenant, now);
+  const today = hoursOn(tenant, time);
+  if (!today) return null;
+  return !today.closed && minuteOf(time) >= today.open && minuteOf(time) < today.close;
+}
+
+// When the salon next opens after `now` (a DateTime in the tenant's zone), or null.
+export function nextOpening(tenant, now = DateTime.now()) {
+  const time = local(tenant, now);
+  for (let i = 0; i <= LOOKAHEAD_DAYS; i++) {
+    const day = time.plus({ days: i }).startOf("day");
+    const hours = hoursOn(tenant, day);
+    if (!hours || hours.closed) continue;
+    const opens = day.plus({ minutes: hours.open });
+    if (opens > time) return opens;
+  }
+  return null;
+}
+
+// "11 AM" / "7:30 PM"; "11:00" in Spanish and French.
+function formatTime(minutes, language = "en") {
+  const time = DateTime.fromObject({ hour: Math.floor(minutes / 60), minute: minutes % 60 });
+  if (language !== "en") return time.toFormat("H:mm");
+  return time.toFormat(time.minute ? "h:mm a" : "h a");
+}
+
+// "today at 11 AM", "tomorrow at 11 AM", "on Monday at 9 AM", "on Monday, January 5 at 9 AM".
+function describeOpening(tenant, opens, now, language = "en") {
+  const days = Math.round(opens.startOf("day").diff(local(tenant, now).startOf("day"), "days").days);
+  const time = formatTime(minuteOf(opens), language);
+  if (days < 1) return localize(tenant, language, "opens_today", { time });
+  if (days < 2) return localize(tenant, language, "opens_tomorrow", { time });
+  const day = opens.setLocale(LANGUAGES[language]?.say || "en-US")
+    .toLocaleString(days < 7 ? { weekday: "long" } : { weekday: "long", month: "long", day: "numeric" });
+  return localize(tenant, language, "opens_on", { day, time });
+}
+
+// What a caller hears right after the greeting when the salon is closed, or null while
+// it's open (or its hours are unknown).
+export function afterHoursNote(tenant, language = "en", now = DateTime.now()) {
+  if (isOpenAt(tenant, now) !== false) return null;
+  const opens = nextOpening(tenant, now);
+  return opens
+    ? localize(tenant, language, "after_hours", { when: describeOpening(tenant, opens, now, language) })
+    : localize(tenant, language, "closed_now");
+}
+
+// ---------------- ANSWERS ----------------
+const plural = (day) => `${dayName(day)}s`;
+
+function joinDays(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : names[0];
+}
+
+// "Sunday through Friday, 11 AM to 7 PM" from the weekly hours, grouping neighbouring
+// days with the same hours; the week starts after a change so runs don't split at Sunday.
+export function describeWeek(tenant) {
+  const week = weeklyHours(tenant);
+  if (!week) return null;
+  const same = (a, b) => (a && b ? a.open === b.open && a.close === b.close : a === b);
+  const days = [1, 2, 3, 4, 5, 6, 7];
+  const start = days.find((day) => !same(week[day], week[day === 1 ? 7 : day - 1])) || 1;
+  const ordered = days.map((i) => ((start - 1 + i - 1) % 7) + 1);
+
+  const runs = [];
+  for (const day of ordered) {
+    const last = runs[runs.length - 1];
+    if (last && same(week[last.days[0]], week[day])) last.days.push(day);
+    else runs.push({ days: [day] });
+  }
+  const open = runs.filter((run) => week[run.days[0]]);
+  if (!open.length) return null;
+  if (open.length === 1 && open[0].days.length === 7) {
+    return `every day, ${formatTime(week[1].open)} to ${formatTime(week[1].close)}`;
+  }
+  return open.map(({ days: run }) => {
+    const names = run.length > 2
+      ? `${dayName(run[0])} through ${dayName(run[run.length - 1])}`
+      : run.map(dayName).join(" and ");
+    return `${names}, ${formatTime(week[run[0]].open)} to ${formatTime(week[run[0]].close)}`;
+  }).join("; ");
+}
+
+function closedWeekdays(tenant) {
+  const week = weeklyHours(tenant) || {};
+  return [1, 2, 3, 4, 5, 6, 7].filter((day) => week[day] === null);
+}
+
+// "Thursday, November 26"
+const longDate = (date) => date.toFormat("cccc, LLLL d");
+
+// Holidays and special hours in the coming week, for a heads-up. Back-to-back days of
+// the same closure are read as one: "we're closed Thursday, October 22 through Friday, ...".
+function upcomingExceptions(tenant, now) {
+  const today = local(tenant, now).startOf("day");
+  const runs = [];
+  for (let i = 0; i < HEADS_UP_DAYS; i++) {
+    const day = today.plus({ days: i });
+    const exception = holidayOn(tenant, day.toISODate()) || specialOn(tenant, day.toISODate());
+    if (!exception) continue;
+    const last = runs[runs.length - 1];
+    if (last && exception.closed && last.exception.closed && last.exception.note === exception.note &&
+        last.to.plus({ days: 1 }).hasSame(day, "day")) {
+      last.to = day;
+    } else {
+      runs.push({ exception, from: day, to: day });
+    }
+  }
+  const dayText = (day) => (day.hasSame(today, "day") ? "today" : longDate(day));
+  const notes = runs.map(({ exception, from, to }) => {
+    const why = exception.note ? ` for ${exception.note}` : "";
+    const when = from.hasSame(to, "day") ? dayText(from) : `${dayText(from)} through ${longDate(to)}`;
+    return exception.closed
+      ? `we're closed ${when === "today" ? when : `on ${when}`}${why}`
+      : `${when === "today" ? when : `on ${when}`} we're open ${formatTime(exception.open)} to ${formatTime(exception.close)}${why}`;
+  });
+  return notes.length ? ` Heads up: ${notes.join(", and ")}.` : "";
+}
+
+// "We're open right now until 7 PM." / "We're closed right now; we open tomorrow at 11 AM."
+export function currentStatus(tenant, now = DateTime.now()) {
+  const open = isOpenAt(tenant, now);
+  if (open === null) return "";
+  if (open) {
+    const today = hoursOn(tenant, local(tenant, now));
+    return `We're open right now until ${formatTime(today.close)}.`;
+  }
+  const opens = nextOpening(tenant, now);
+  return opens ? `We're closed right now; we open ${describeOpening(tenant, opens, now)}.` : "We're closed right now.";
+}
+
+// The hours answer for calls, texts and the realtime check_hours tool: where we are right
+// now, the usual week, and any holidays coming up.
+export function getHoursResponse(tenant, now = DateTime.now()) {
+  const week = describeWeek(tenant);
+  if (!week) {
+    return tenant?.custom_responses?.hours_with_portal ||
+      "We're open by appointment only. What service are you interested in?";
+  }
+  const appointment = tenant?.hours?.by_appointment === false ? "" : " by appointment only";
+  const closed = closedWeekdays(tenant);
+  const closedText = closed.length ? ` We're closed ${joinDays(closed.map(plural))}.` : "";
+  return `${currentStatus(tenant, now)} Our hours are ${week}${appointment}.${closedText}${upcomingExceptions(tenant, now)} What service are you interested in?`.trim();
+}
+
+// The day a question is about: "today", "tomorrow", "Saturday", "this weekend",
+// "December 24th" or a holiday by name. Null when it names no day.
+function askedDay(tenant, lowerText, now) {
+  const today = local(tenant, now).startOf("day");
+  if (/\b(today|tonight|right now|now)\b/.test(lowerText)) return today;
+  if (/\btomorrow\b/.test(lowerText)) return today.plus({ days: 1 });
+  if (/\bweekend\b/.test(lowerText)) return today.plus({ days: (6 - today.weekday + 7) % 7 });
+
+  const dayIndex = WEEKDAYS.findIndex((name) => new RegExp(`\\b${name}s?\\b`).test(lowerText));
+  if (dayIndex >= 0) return today.plus({ days: (dayIndex + 1 - today.weekday + 7) % 7 });
+
+  const monthDay = new RegExp(`\\b(${MONTHS.join("|")})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`).exec(lowerText);
+  if (monthDay) {
+    const date = DateTime.fromObject({ year: today.year, month: MONTHS.indexOf(monthDay[1]) + 1, day: Number(monthDay[2]) },
+      { zone: today.zone });
+    if (date.isValid) return date < today ? date.plus({ years: 1 }) : date;
+  }
+
+  // Longest name first, so "Christmas Eve" isn't taken for "Christmas".
+  const named = [...(tenant?.hours?.holidays || []), ...(tenant?.hours?.special || [])]
+    .map((entry) => ({ name: (entry?.name || entry?.note || "").toLowerCase(), date: entry?.date || entry?.from }))
+    .filter(({ name, date }) => name && date)
+    .sort((a, b) => b.name.length - a.name.length)
+    .find(({ name }) => lowerText.includes(name));
+  return named ? DateTime.fromISO(named.date, { zone: today.zone }) : null;
+}
+
+// "Are you open on Saturday?" -> "No, we're closed on Saturdays. We open Sunday at 11 AM."
+// Null when the question names no day or the tenant's hours are unknown.
+export function answerDayQuestion(tenant, lowerText, now = DateTime.now()) {
+  const date = askedDay(tenant, lowerText, now);
+  if (!date) return null;
+  const hours = hoursOn(tenant, date);
+  if (!hours) return null;
+
+  const today = local(tenant, now).startOf("day");
+  const days = Math.round(date.diff(today, "days").days);
+  const when = days === 0 ? "today" : days === 1 ? "tomorrow" : days < 7 ? `on ${dayName(date.weekday)}` : `on ${longDate(date)}`;
+  const why = hours.note ? ` for ${hours.note}` : "";
+
+  if (hours.closed) {
+    const usual = !hours.note && (weeklyHours(tenant) || {})[date.weekday] === null;
+    const closedWhen = usual && !/\b(today|tomorrow)\b/.test(when) ? `on ${plural(date.weekday)}` : when;
+    const opens = nextOpening(tenant, date.endOf("day"));
+    return `No, we're closed ${closedWhen}${why}.` + (opens ? ` We open again ${describeOpening(tenant, opens, now)}.` : "");
+  }
+  if (days === 0 && minuteOf(local(tenant, now)) >= hours.close) {
+    const opens = nextOpening(tenant, now);
+    return `We're closed for the day; today's hours were ${formatTime(hours.open)} to ${formatTime(hours.close)}.` +
+      (opens ? ` We open again ${describeOpening(tenant, opens, now)}.` : "");
+  }
+  const status = days === 0 && isOpenAt(tenant, now) ? " and we're open right now" : "";
+  const appointment = tenant?.hours?.by_appointment === false ? "" : ", by appointment only";
+  return `Yes, ${when} we're open ${formatTime(hours.open)} to ${formatTime(hours.close)}${why}${status}${appointment}.`;
+}
@@ -0,0 +1,307 @@
+import fs from "fs";
+import path from "path";
+import { getAirtableRepository, AirtableConfigError } from "./airtable.js";
+
+// Durable per-call records: who called which tenant, every caller utterance and bot reply,
+// which intents fired, which links were texted, and the recording once Twilio has it.
+//
+// Records are kept in memory while the call is live and written through to a store after
+// every change. Stores are picked per tenant:
+//   "call_records": { "storage": "json" | "airtable" }
+// (or CALL_RECORD_STORE for all tenants). "json" writes ./data/calls/<CallSid>.json
+// (CALL_RECORDS_DIR); "airtable" uses the tenant's Call Logs table (see airtable.js).
+// A store is any object with save(record), get(callSid) and list({ tenantId, limit, offset, since }).
+
+const DEFAULT_DIR = process.env.CALL_RECORDS_DIR || "./data/calls";
+const MAX_TURNS = 200;
+// Twilio posts the recording shortly after hangup; keep ended calls around to attach it.
+const ENDED_TTL_MS = 30 * 60 * 1000;
+// Calls we never heard the end of (no status callback configured) are closed out after this.
+const LIVE_TTL_MS = 4 * 60 * 60 * 1000;
+
+// ---------------- STORES ----------------
+export function createJsonCallStore({ dir = DEFAULT_DIR } = {}) {
+  const fileFor = (callSid) => path.join(dir, `${String(callSid).replace(/[^\w-]/g, "")}.json`);
+  // file name -> { tenantId, startedAt }, so listings only open the files they return.
+  // Files another process wrote are picked up (parsed once) on the next listing.
+  const index = new Map();
+
+  async function refreshIndex() {
+    let files;
+    try {
+      files = (await fs.promises.readdir(dir)).filter((file) => file.endsWith(".json"));
+    } catch {
+      index.clear();
+      return;
+    }
+    const present = new Set(files);
+    for (const file of index.keys()) if (!present.has(file)) index.delete(file);
+    for (const file of files) {
+      if (index.has(file)) continue;
+      try {
+        const record = JSON.parse(await fs.promises.readFile(path.join(dir, file), "utf8"));
+        index.set(file, { tenantId: record.tenantId, startedAt: record.startedAt });
+      } catch {
+        // Half-written or hand-edited file: skip it rather than fail the listing.
+      }
+    }
+  }
+
+  return {
+    name: "json",
+
+    async save(record) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = fileFor(record.callSid);
+      await fs.promises.writeFile(file, JSON.stringify(record, null, 2));
+      index.set(path.basename(file), { tenantId: record.tenantId, startedAt: record.startedAt });
+    },
+
+    async get(callSid) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(callSid), "utf8"));
+      } catch {
+        return null;
+      }
+    },
+
+    // Newest first. `since` (ISO) leaves out calls that started before it.
+    async list({ tenantId, limit = 50, offset = 0, since } = {}) {
+      await refreshIndex();
+      const files = [...index]
+        .filter(([, entry]) => (!tenantId || entry.tenantId === tenantId) && (!since || String(entry.startedAt) >= since))
+        .sort(([, a], [, b]) => String(b.startedAt).localeCompare(String(a.startedAt)))
+        .slice(offset, offset + limit);
+      const records = [];
+      for (const [file] of files) {
+        try {
+          records.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), "utf8")));
+        } catch {
+          index.delete(file);
+        }
+      }
+      return records;
+    },
+  };
+}
+
+function transcriptText(record) {
+  return record.turns.map((turn) => `${turn.role === "bot" ? "Bot" : "Caller"}: ${turn.text}`).join("\n");
+}
+
+const splitList = (value) => (value ? String(value).split(/,\s*/).filter(Boolean) : []);
+
+// Call Logs rows hold a flattened copy: turns come back without per-turn times or intents.
+function recordFromCallLog(log, tenantId) {
+  const turns = String(log.transcript || "").split("\n").filter(Boolean).map((line) => {
+    const bot = line.startsWith("Bot: ");
+    return { at: null, role: bot ? "bot" : "caller", text: line.replace(/^(Bot|Caller): /, ""), intent: null };
+  });
+  return {
+    callSid: log.call_sid,
+    tenantId: log.tenant_id || tenantId,
+    caller: log.caller_phone,
+    startedAt: log.started_at,
+    endedAt: log.ended_at,
+    status: log.status,
+    durationSeconds: log.duration_seconds,
+    clientType: log.client_type,
+    service: log.service,
+    turns,
+    intents: splitList(log.intents),
+    linksSent: splitList(log.links_sent),
+    outcomes: splitList(log.outcome),
+    recording: log.recording_url ? { sid: null, url: log.recording_url, duration: log.recording_duration_seconds } : null,
+  };
+}
+
+export function createAirtableCallStore(tenant, options = {}) {
+  const airtable = getAirtableRepository(tenant, options);
+  const recordIds = new Map();
+
+  return {
+    name: "airtable",
+
+    async save(record) {
+      const values = {
+        call_sid: record.callSid,
+        caller_phone: record.caller || undefined,
+        started_at: record.startedAt || undefined,
+        ended_at: record.endedAt || undefined,
+        status: record.status || undefined,
+        outcome: record.outcomes?.length ? record.outcomes.join(", ") : undefined,
+        intents: record.intents?.length ? record.intents.join(", ") : undefined,
+        client_type: record.clientType || undefined,
+        service: record.service || undefined,
+        links_sent: record.linksSent?.length ? record.linksSent.join(", ") : undefined,
+        transcript: record.turns?.length ? transcriptText(record) : undefined,
+        recording_url: record.recording?.url || undefined,
+        recording_duration_seconds: record.recording?.duration ?? undefined,
+        duration_seconds: record.durationSeconds ?? undefined,
+      };
+
+      let id = recordIds.get(record.callSid);
+      if (!id) id = (await airtable.findCallLog(record.callSid))?.id;
+      if (id) {
+        await airtable.updateCallLog(id, values);
+      } else {
+        id = await airtable.createCallLog(values);
+      }
+      if (id) recordIds.set(record.callSid, id);
+    },
+
+    async get(callSid) {
+      const log = await airtable.findCallLog(callSid);
+      return log ? recordFromCallLog(log, tenant?.tenant_id) : null;
+    },
+
+    async list({ limit = 50, offset = 0, since } = {}) {
+      const logs = await airtable.listCallLogs({ max: offset + limit });
+      return logs.slice(offset)
+        .map((log) => recordFromCallLog(log, tenant?.tenant_id))
+        .filter((record) => !since || String(record.startedAt) >= since);
+    },
+  };
+}
+
+const jsonStore = createJsonCallStore();
+const airtableStores = new Map();
+
+// `log` hears about a tenant whose Airtable store falls back to JSON files.
+export function getCallStore(tenant, { log = console } = {}) {
+  const kind = tenant?.call_records?.storage || process.env.CALL_RECORD_STORE || "json";
+  if (kind !== "airtable") return jsonStore;
+
+  const key = tenant?.tenant_id || "default";
+  if (!airtableStores.has(key)) {
+    try {
+      airtableStores.set(key, createAirtableCallStore(tenant));
+    } catch (err) {
+      if (!(err instanceof AirtableConfigError)) throw err;
+      log.warn({ tenant: key }, "⚠️ Call records set to Airtable but no base is configured; using JSON files");
+      airtableStores.set(key, jsonStore);
+    }
+  }
+  return airtableStores.get(key);
+}
+
+// ---------------- RECORDER ----------------
+const live = new Map(); // callSid -> { record, store, log, writing, endedAt }
+
+function createRecord({ callSid, tenantId, caller = null, startedAt = new Date().toISOString() }) {
+  return {
+    callSid,
+    tenantId,
+    caller,
+    startedAt,
+    endedAt: null,
+    status: "in_progress",
+    durationSeconds: null,
+    clientType: null,
+    service: null,
+    turns: [],      // [{ at, role: "caller" | "bot", text, intent }]
+    intents: [],    // distinct, in the order they first fired
+    linksSent: [],
+    outcomes: [],   // "booked", "rescheduled", "cancelled", ...
+    recording: null, // { sid, url, duration }
+  };
+}
+
+// Writes are chained per call so a slow store never sees them out of order.
+function persist(entry) {
+  entry.writing = entry.writing
+    .then(() => entry.store.save(entry.record))
+    .catch((err) => entry.log.error({ err, callSid: entry.record.callSid, tenant: entry.record.tenantId }, "❌ Failed to save call record"));
+  return entry.writing;
+}
+
+function entryFor(callSid) {
+  return (callSid && live.get(callSid)) || null;
+}
+
+// `log` is kept with the call and told about any write that fails.
+export function startCallRecord(tenant, { callSid, caller, log = console }) {
+  if (!callSid || live.has(callSid)) return;
+  const entry = {
+    record: createRecord({ callSid, tenantId: tenant?.tenant_id || null, caller }),
+    store: getCallStore(tenant, { log }),
+    log,
+    writing: Promise.resolve(),
+    endedAt: null,
+  };
+  live.set(callSid, entry);
+  persist(entry);
+}
+
+// One /handle-speech turn: what the caller said, what was said back and which branch answered.
+export function recordTurn(callSid, { caller, bot = [], intent = null }) {
+  const entry = entryFor(callSid);
+  if (!entry) return;
+  const { record } = entry;
+  const at = new Date().toISOString();
+  if (caller) record.turns.push({ at, role: "caller", text: caller, intent });
+  for (const text of bot) record.turns.push({ at, role: "bot", text, intent });
+  record.turns.splice(0, Math.max(0, record.turns.length - MAX_TURNS));
+  if (intent && !record.intents.includes(intent)) record.intents.push(intent);
+  persist(entry);
+}
+
+export function recordLink(callSid, linkType) {
+  const entry = entryFor(callSid);
+  if (!entry || entry.record.linksSent.includes(linkType)) return;
+  entry.record.linksSent.push(linkType);
+  persist(entry);
+}
+
+export function recordOutcome(callSid, outcome) {
+  const entry = entryFor(callSid);
+  if (!entry) return;
+  entry.record.outcomes.push(outcome);
+  persist(entry);
+}
+
+// status: "completed" (we hung up) | "caller_hung_up" | Twilio's busy / failed / no-answer / canceled
+export function endCallRecord(callSid, { status = "completed", durationSeconds, clientType, service } = {}) {
+  const entry = entryFor(callSid);
+  if (!entry) return;
+  const { record } = entry;
+  if (!record.endedAt) {
+    record.endedAt = new Date().toISOString();
+    record.status = status;
+  }
+  if (durationSeconds !== undefined) record.durationSeconds = durationSeconds;
+  if (clientType) record.clientType = clientType;
+  if (service) record.service = service;
+  entry.endedAt = entry.endedAt || Date.now();
+  persist(entry);
+}
+
+export async function recordRecording(tenant, callSid, { sid, url, duration }, { log = console } = {}) {
+  let entry = entryFor(callSid);
+  if (!entry) {
+    const store = getCallStore(tenant, { log });
+    const record = (await store.get(callSid)) ||
+      { ...createRecord({ callSid, tenantId: tenant?.tenant_id || null, startedAt: null }), status: null };
+    entry = { record, store, log, writing: Promise.resolve(), endedAt: Date.now() };
+  }
+  entry.record.recording = { sid, url, duration: duration === undefined ? null : Number(duration) };
+  return persist(entry);
+}
+
+export async function getCallRecord(tenant, callSid, { log } = {}) {
+  return entryFor(callSid)?.record || getCallStore(tenant, { log }).get(callSid);
+}
+
+export function listCallRecords(tenant, { log, ...options } = {}) {
+  return getCallStore(tenant, { log }).list({ tenantId: tenant?.tenant_id, ...options });
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [callSid, entry] of live) {
+    if (!entry.endedAt && now - Date.parse(entry.record.startedAt) > LIVE_TTL_MS) {
+      endCallRecord(callSid, { status: "unknown" });
+    }
+    if (entry.endedAt && now - entry.endedAt > ENDED_TTL_MS) live.delete(callSid);
+  }
+}, 5 * 60 * 1000).unref();
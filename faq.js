@@ -0,0 +1,88 @@
+// Local FAQ matcher over a tenant's curated `canonical_answers` and `quick_responses`.
+// Scores token overlap (with light fuzzing for plurals and speech-to-text typos) so
+// on-script questions are answered directly and only the rest go to the LLM.
+// An entry with `lang` ("es", "fr", see i18n.js) only answers callers in that language;
+// entries without one are English.
+
+export const DEFAULT_FAQ_THRESHOLD = 0.6;
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "i", "im", "you", "your", "youre", "we", "our", "us", "me", "my",
+  "do", "does", "did", "is", "are", "am", "was", "be", "can", "could", "would", "will",
+  "to", "of", "for", "in", "on", "at", "with", "and", "or", "it", "its", "this", "that",
+  "there", "what", "whats", "how", "about", "any", "if", "so", "just", "have", "get",
+  "hi", "hello", "hey", "please", "um", "uh", "like", "know", "want", "need",
+]);
+
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t && !STOPWORDS.has(t))
+    .map((t) => (t.length > 3 && t.endsWith("s") && !t.endsWith("ss") ? t.slice(0, -1) : t));
+}
+
+function editDistanceAtMostOne(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+function tokensMatch(a, b) {
+  if (a === b) return true;
+  if (Math.min(a.length, b.length) >= 4 && (a.startsWith(b) || b.startsWith(a))) return true;
+  return Math.min(a.length, b.length) >= 5 && editDistanceAtMostOne(a, b);
+}
+
+// Dice-style overlap: how much of each side is covered by the other, 0..1.
+export function similarity(queryTokens, entryTokens) {
+  if (!queryTokens.length || !entryTokens.length) return 0;
+  const matchedQuery = queryTokens.filter((q) => entryTokens.some((e) => tokensMatch(q, e))).length;
+  const matchedEntry = entryTokens.filter((e) => queryTokens.some((q) => tokensMatch(q, e))).length;
+  return (matchedQuery + matchedEntry) / (queryTokens.length + entryTokens.length);
+}
+
+function faqEntries(tenant, language) {
+  const entries = [];
+  (tenant?.canonical_answers || []).forEach((entry, index) => {
+    if (entry?.q && entry?.a && (entry.lang || "en") === language) {
+      entries.push({ source: "canonical_answers", key: index, question: entry.q, answer: entry.a, sms: entry.sms || null });
+    }
+  });
+  if (language !== "en") return entries;
+  for (const [key, answer] of Object.entries(tenant?.quick_responses || {})) {
+    entries.push({ source: "quick_responses", key, question: key.replace(/_/g, " "), answer, sms: null });
+  }
+  return entries;
+}
+
+// Returns the best entry at or above the tenant's threshold, or null.
+export function matchFaq(tenant, text, { language = "en" } = {}) {
+  const queryTokens = tokenize(text);
+  if (!queryTokens.length) return null;
+
+  const threshold = tenant?.faq?.threshold ?? DEFAULT_FAQ_THRESHOLD;
+  let best = null;
+  for (const entry of faqEntries(tenant, language)) {
+    const score = similarity(queryTokens, tokenize(entry.question));
+    if (!best || score > best.score) best = { ...entry, score };
+  }
+  return best && best.score >= threshold ? best : null;
+}
@@ -0,0 +1,89 @@
+import { DateTime } from "luxon";
+import { isOpenAt } from "./business-hours.js";
+
+// Getting a caller to a person. During business hours the call is <Dial>ed through to the
+// stylist, who first hears who's calling and why (a "warm" transfer); outside hours, or
+// when nobody picks up, the caller leaves a voicemail that Twilio transcribes and the owner
+// is notified of (notifications.js). Both call modes use it: the <Gather> flow in index.js
+// and the realtime transfer_to_human tool. What the caller hears is in i18n.js (transfer, voicemail_*).
+//   "transfer": {
+//     "forwarding_number": "+13135550100",  // default voice_config.transfer_number, then contact.phone
+//     "owner_sms": "+13135550100",          // owner notifications; default the forwarding number
+//     "escalate_after": 2,                  // failed turns in a row before offering a person
+//     "ring_seconds": 25,
+//     "voicemail_seconds": 120
+//   }
+
+const DEFAULT_ESCALATE_AFTER = 2;
+
+const digits = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+
+// Never the number the bot answers: contact.phone is often the salon's Twilio line itself.
+function personalNumber(tenant, phone) {
+  return phone && digits(phone) !== digits(tenant?.phone_number) ? phone : null;
+}
+
+export function forwardingNumber(tenant) {
+  return personalNumber(tenant, tenant?.transfer?.forwarding_number || tenant?.voice_config?.transfer_number) ||
+    personalNumber(tenant, tenant?.contact?.phone);
+}
+
+export function ownerNumber(tenant) {
+  return personalNumber(tenant, tenant?.transfer?.owner_sms) || forwardingNumber(tenant);
+}
+
+export function escalateAfter(tenant) {
+  return Number(tenant?.transfer?.escalate_after) || DEFAULT_ESCALATE_AFTER;
+}
+
+// "dial" while the salon is open (or when its hours can't be read: an unanswered
+// <Dial> still ends in voicemail), "voicemail" otherwise or with no number to dial.
+export function handoffMode(tenant, now = DateTime.now()) {
+  if (!forwardingNumber(tenant)) return "voicemail";
+  return isOpenAt(tenant, now) === false ? "voicemail" : "dial";
+}
+
+// "talk to a person", "can I speak to Yesha", "you're not understanding me".
+export function wantsPerson(lowerSpeech, tenant) {
+  const name = (tenant?.loctician_name || "").toLowerCase().split(/\s+/)[0];
+  if (name && new RegExp(`\\b(speak|talk) (to|with) ${name}\\b`).test(lowerSpeech)) return true;
+  return /\b(speak|talk) (to|with) (a |an |the |some )?(person|human|someone|somebody|real person|representative|stylist|owner|manager)\b/.test(lowerSpeech) ||
+    /\b(operator|representative|real person|live person|human being)\b/.test(lowerSpeech) ||
+    /\b(you'?re not (understanding|listening)|you don'?t understand|this (isn'?t|is not) working)\b/.test(lowerSpeech);
+}
+
+// <Dial> to the stylist. They hear a whisper (/transfer-whisper) before the caller is put
+// through; /transfer-status takes over if nobody answers.
+//   baseUrl  public URL of this server: the realtime bridge swaps in this TwiML mid-call,
+//            where Twilio has no request URL to resolve relative paths against
+export function appendDial(response, tenant, { caller, reason, baseUrl = "" }) {
+  const dial = response.dial({
+    action: `${baseUrl}/transfer-status`,
+    method: "POST",
+    timeout: Number(tenant?.transfer?.ring_seconds) || 25,
+  });
+  // The stylist's leg is a new call to their phone, so the whisper is told which tenant it's for.
+  const whisper = new URLSearchParams({ tenant: tenant?.tenant_id || "", caller: caller || "", reason: reason || "" });
+  dial.number({ url: `${baseUrl}/transfer-whisper?${whisper}`, method: "POST" }, forwardingNumber(tenant));
+  return dial;
+}
+
+// <Record> a voicemail; the transcription arrives later at /voicemail-transcription.
+export function appendVoicemail(response, tenant, { baseUrl = "" } = {}) {
+  response.record({
+    action: `${baseUrl}/voicemail-complete`,
+    method: "POST",
+    maxLength: Number(tenant?.transfer?.voicemail_seconds) || 120,
+    finishOnKey: "#",
+    playBeep: true,
+    transcribe: true,
+    transcribeCallback: `${baseUrl}/voicemail-transcription`,
+  });
+}
+
+// What the stylist hears before being connected.
+export function whisperLine(tenant, { caller, reason }) {
+  const from = caller ? `from ${digits(caller).split("").join(" ")}` : "";
+  const why = (reason || "The caller asked for a person").trim().replace(/([^.!?])$/, "$1.");
+  return `LocSync call ${from} for ${tenant?.studio_name || "the salon"}. ${why} Connecting now.`.replace(/\s+/g, " ");
+}
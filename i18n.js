@@ -0,0 +1,325 @@
+// Languages for the <Gather> flow. English is always on; a tenant with
+// `advanced_features.multilingual_support: true` also takes Spanish and French calls:
+//   "localization": {
+//     "languages": ["es", "fr"],                       // default: every language below
+//     "default_language": "es",                        // for texts and calls we start; default "en"
+//     "es": { "greeting": "Gracias por llamar a ...", "sms_link": "{label}: {link}" },
+//     "fr": { "anything_else": "Autre chose ?" }
+//   }
+// Any key in STRINGS can be overridden per language. The caller's language is picked on
+// the first utterance (an explicit "español" / "français", or enough common words) and
+// kept on the call session; after that only an explicit request switches it. Messages we
+// send first (appointment reminders) use the client's last language, see preferredLanguage.
+
+export const LANGUAGES = {
+  en: { name: "English", gather: "en-US", say: "en-US", polly: "Polly.Joanna-Neural" },
+  es: { name: "Spanish", gather: "es-US", say: "es-US", polly: "Polly.Lupe-Neural" },
+  fr: { name: "French", gather: "fr-FR", say: "fr-FR", polly: "Polly.Lea-Neural" },
+};
+
+// Words Twilio's English recognizer hears when a caller answers the language prompt.
+export const LANGUAGE_HINTS = "español, espanol, Spanish, français, francais, French, English";
+
+const STRINGS = {
+  en: {
+    our_salon: "our salon",
+    our_team: "our team",
+    greeting: "Thank you for calling {studio}. This call may be recorded for quality purposes. How can I help you?",
+    language_offer: "",
+    language_switched: "Sure, let's continue in English. How can I help you?",
+    anything_else: "Is there anything else I can help you with?",
+    didnt_catch: "I didn't catch that. Could you please repeat?",
+    goodbye: "You're welcome! Have a great day!",
+    technical_issue: "I'm having a technical issue. Let me try again - what did you need help with?",
+    couldnt_process: "I'm sorry, I couldn't process that right now.",
+    link_already_sent: "I already texted you that link earlier in this call, so please check your messages.",
+    no_link: "I'm sorry, I can't text you that link right now. Please call {phone} for help.",
+    ask_client_type: "Are you a new client or a returning client?",
+    new_client_portal: "Welcome! New clients start with a personalized quote. I'm texting you our service portal.",
+    returning_booking: "Welcome back! I'm texting you our booking link now.",
+    booking_link_sent: "Perfect! I'm texting you our booking link now.",
+    portal_sent: "Our pricing is quote-based since everyone's needs are different. I'm texting you our service portal where you can get personalized pricing.",
+    directions_sent: "I'm texting you our address and directions to our door.",
+    website_sent: "I'm texting you our website link now.",
+    transfer: "Let me connect you with {stylist}. One moment please.",
+    escalate: "I'm sorry, I'm having trouble understanding.",
+    voicemail_closed: "We're closed right now. Please leave your name and a short message after the tone, then press pound, and {stylist} will get back to you.",
+    voicemail_no_answer: "Sorry, {stylist} can't come to the phone right now. Please leave your name and a short message after the tone, then press pound.",
+    voicemail_thanks: "Thank you! We'll get back to you soon. Goodbye!",
+    after_hours: "Just so you know, we're closed right now and open {when}. I can still help with quotes, booking links and questions.",
+    closed_now: "Just so you know, we're closed right now. I can still help with quotes, booking links and questions.",
+    opens_today: "today at {time}",
+    opens_tomorrow: "tomorrow at {time}",
+    opens_on: "on {day} at {time}",
+    sms_fallback: "Thanks for texting {studio}! Reply HELP for options or call us for assistance.",
+    sms_link: "{label}: {link}",
+    sms_links: "Here are the links:",
+    reminder_today: "today at {time}",
+    reminder_tomorrow: "tomorrow at {time}",
+    reminder_on: "{day} at {time}",
+    reminder_sms: "{studio}: reminder of your {service} {when}. Reply CONFIRM to confirm, RESCHEDULE to pick a new time, or CANCEL to cancel.",
+    reminder_call: "Hi! This is {studio} with a reminder about your {service} {when}. Would you like to confirm it, cancel it, or reschedule it?",
+    reminder_voicemail: "Hi! This is {studio} with a reminder about your {service} {when}. If you need to cancel or reschedule, just call us back at this number. Thank you!",
+    reminder_settled: "Hi! This is {studio}. Your appointment is all taken care of, so there's nothing you need to do. Goodbye!",
+    reminder_confirmed: "{studio}: thank you! Your {service} on {when} is confirmed. See you then!",
+    reminder_reschedule_link: "No problem! Pick a new time for your {service} here:",
+    reminder_reschedule_call: "No problem! Please call {phone} to move your {service}.",
+    reminder_cancelled: "{studio}: your {service} on {when} has been cancelled.",
+    reminder_cancel_failed: "Sorry, we couldn't cancel that by text. Please call {phone}.",
+    reminder_call_confirmed: "Great, you're all set. We'll see you then!",
+    reminder_call_reschedule: "I'm texting you a link to pick a new time.",
+    reminder_call_cancel: "I'm texting you a link to cancel your appointment.",
+    reminder_call_repeat: "Sorry, I didn't catch that. Would you like to confirm your {service} on {when}, cancel it, or reschedule it?",
+  },
+  es: {
+    our_salon: "nuestro salón",
+    our_team: "nuestro equipo",
+    greeting: "Gracias por llamar a {studio}. Esta llamada puede ser grabada. ¿En qué le puedo ayudar?",
+    language_offer: "Para español, diga español.",
+    language_switched: "Perfecto, seguimos en español. ¿En qué le puedo ayudar?",
+    anything_else: "¿Hay algo más en que le pueda ayudar?",
+    didnt_catch: "No le entendí bien. ¿Me lo puede repetir?",
+    goodbye: "¡Con gusto! Que tenga un excelente día.",
+    technical_issue: "Tengo un problema técnico. Intentemos de nuevo: ¿en qué le puedo ayudar?",
+    couldnt_process: "Lo siento, no pude procesar eso en este momento.",
+    link_already_sent: "Ya le envié ese enlace por mensaje de texto durante esta llamada. Por favor revise sus mensajes.",
+    no_link: "Lo siento, no le puedo enviar ese enlace ahora. Por favor llame al {phone}.",
+    ask_client_type: "¿Es usted cliente nuevo, o ya nos ha visitado antes?",
+    new_client_portal: "¡Bienvenido! Los clientes nuevos empiezan con una cotización personalizada. Le envío nuestro portal de servicios por mensaje de texto.",
+    returning_booking: "¡Qué gusto tenerle de vuelta! Le envío nuestro enlace para reservar por mensaje de texto.",
+    booking_link_sent: "¡Perfecto! Le envío nuestro enlace para reservar por mensaje de texto.",
+    portal_sent: "Nuestros precios se cotizan según lo que necesite cada cliente. Le envío nuestro portal de servicios para que reciba una cotización personalizada.",
+    directions_sent: "Le envío nuestra dirección y cómo llegar por mensaje de texto.",
+    website_sent: "Le envío el enlace de nuestro sitio web por mensaje de texto.",
+    transfer: "Le comunico con {stylist}. Un momento, por favor.",
+    escalate: "Disculpe, me está costando entenderle.",
+    voicemail_closed: "En este momento estamos cerrados. Deje su nombre y un mensaje breve después del tono, luego oprima la tecla de número, y {stylist} le devolverá la llamada.",
+    voicemail_no_answer: "Lo siento, {stylist} no puede atenderle en este momento. Deje su nombre y un mensaje breve después del tono, luego oprima la tecla de número.",
+    voicemail_thanks: "¡Gracias! Le llamaremos pronto. ¡Adiós!",
+    after_hours: "Le informamos que en este momento estamos cerrados; abrimos {when}. Aun así, le puedo ayudar con cotizaciones, enlaces para reservar y preguntas.",
+    closed_now: "Le informamos que en este momento estamos cerrados. Aun así, le puedo ayudar con cotizaciones, enlaces para reservar y preguntas.",
+    opens_today: "hoy a las {time}",
+    opens_tomorrow: "mañana a las {time}",
+    opens_on: "el {day} a las {time}",
+    sms_fallback: "¡Gracias por escribir a {studio}! Responda HELP para ver opciones o llámenos.",
+    sms_link: "{label}: {link}",
+    sms_links: "Aquí están los enlaces:",
+    link_service_portal: "Portal de servicios - cotizaciones personalizadas",
+    link_consultation_booking: "Reserve su consulta",
+    link_booking: "Reserve su cita",
+    link_website: "Visite nuestro sitio web",
+    link_instagram: "Síganos en Instagram",
+    link_appointment_lookup: "Consulte su cita",
+    link_directions: "Cómo llegar",
+    link_quote: "Solicite su cotización",
+    link_default: "Aquí está el enlace",
+    reminder_today: "hoy a las {time}",
+    reminder_tomorrow: "mañana a las {time}",
+    reminder_on: "el {day} a las {time}",
+    reminder_sms: "{studio}: le recordamos su cita de {service} {when}. Responda CONFIRM para confirmar, RESCHEDULE para elegir otra hora o CANCEL para cancelar.",
+    reminder_call: "¡Hola! Le llamamos de {studio} para recordarle su cita de {service} {when}. ¿Desea confirmarla, cancelarla o cambiarla de hora?",
+    reminder_voicemail: "¡Hola! Le llamamos de {studio} para recordarle su cita de {service} {when}. Si necesita cancelarla o cambiarla de hora, devuélvanos la llamada a este número. ¡Gracias!",
+    reminder_settled: "¡Hola! Le llamamos de {studio}. Su cita ya está resuelta, así que no tiene que hacer nada. ¡Adiós!",
+    reminder_confirmed: "{studio}: ¡gracias! Su cita de {service} {when} está confirmada. ¡Le esperamos!",
+    reminder_reschedule_link: "¡Claro! Elija una nueva hora para su cita de {service} aquí:",
+    reminder_reschedule_call: "¡Claro! Llame al {phone} para cambiar su cita de {service}.",
+    reminder_cancelled: "{studio}: su cita de {service} {when} ha sido cancelada.",
+    reminder_cancel_failed: "Lo siento, no pudimos cancelarla por mensaje de texto. Por favor llame al {phone}.",
+    reminder_call_confirmed: "¡Perfecto, todo listo! Le esperamos.",
+    reminder_call_reschedule: "Le envío por mensaje de texto un enlace para elegir una nueva hora.",
+    reminder_call_cancel: "Le envío por mensaje de texto un enlace para cancelar su cita.",
+    reminder_call_repeat: "Disculpe, no le entendí. ¿Desea confirmar su cita de {service} {when}, cancelarla o cambiarla de hora?",
+  },
+  fr: {
+    our_salon: "notre salon",
+    our_team: "notre équipe",
+    greeting: "Merci d'avoir appelé {studio}. Cet appel peut être enregistré. Comment puis-je vous aider ?",
+    language_offer: "Pour le français, dites français.",
+    language_switched: "Très bien, continuons en français. Comment puis-je vous aider ?",
+    anything_else: "Puis-je vous aider avec autre chose ?",
+    didnt_catch: "Je n'ai pas bien compris. Pouvez-vous répéter ?",
+    goodbye: "Avec plaisir ! Bonne journée.",
+    technical_issue: "J'ai un problème technique. Essayons à nouveau : comment puis-je vous aider ?",
+    couldnt_process: "Désolée, je n'ai pas pu traiter votre demande pour le moment.",
+    link_already_sent: "Je vous ai déjà envoyé ce lien par SMS pendant cet appel. Veuillez vérifier vos messages.",
+    no_link: "Désolée, je ne peux pas vous envoyer ce lien pour le moment. Veuillez appeler le {phone}.",
+    ask_client_type: "Êtes-vous un nouveau client, ou êtes-vous déjà venu chez nous ?",
+    new_client_portal: "Bienvenue ! Les nouveaux clients commencent par un devis personnalisé. Je vous envoie notre portail de services par SMS.",
+    returning_booking: "Content de vous revoir ! Je vous envoie notre lien de réservation par SMS.",
+    booking_link_sent: "Parfait ! Je vous envoie notre lien de réservation par SMS.",
+    portal_sent: "Nos prix sont établis sur devis, selon les besoins de chacun. Je vous envoie notre portail de services pour obtenir un devis personnalisé.",
+    directions_sent: "Je vous envoie notre adresse et l'itinéraire par SMS.",
+    website_sent: "Je vous envoie le lien de notre site web par SMS.",
+    transfer: "Je vous mets en relation avec {stylist}. Un instant, s'il vous plaît.",
+    escalate: "Désolée, j'ai du mal à vous comprendre.",
+    voicemail_closed: "Nous sommes fermés en ce moment. Laissez votre nom et un court message après le bip, puis appuyez sur dièse, et {stylist} vous rappellera.",
+    voicemail_no_answer: "Désolée, {stylist} ne peut pas répondre pour le moment. Laissez votre nom et un court message après le bip, puis appuyez sur dièse.",
+    voicemail_thanks: "Merci ! Nous vous rappellerons bientôt. Au revoir !",
+    after_hours: "Pour information, nous sommes fermés en ce moment et nous ouvrons {when}. Je peux quand même vous aider pour les devis, les liens de réservation et vos questions.",
+    closed_now: "Pour information, nous sommes fermés en ce moment. Je peux quand même vous aider pour les devis, les liens de réservation et vos questions.",
+    opens_today: "aujourd'hui à {time}",
+    opens_tomorrow: "demain à {time}",
+    opens_on: "{day} à {time}",
+    sms_fallback: "Merci d'avoir écrit à {studio} ! Répondez HELP pour les options ou appelez-nous.",
+    sms_link: "{label} : {link}",
+    sms_links: "Voici les liens :",
+    link_service_portal: "Portail de services - devis personnalisés",
+    link_consultation_booking: "Réservez votre consultation",
+    link_booking: "Réservez votre rendez-vous",
+    link_website: "Visitez notre site web",
+    link_instagram: "Suivez-nous sur Instagram",
+    link_appointment_lookup: "Retrouvez votre rendez-vous",
+    link_directions: "Itinéraire",
+    link_quote: "Demandez votre devis",
+    link_default: "Voici le lien",
+    reminder_today: "aujourd'hui à {time}",
+    reminder_tomorrow: "demain à {time}",
+    reminder_on: "le {day} à {time}",
+    reminder_sms: "{studio} : rappel de votre rendez-vous {service} {when}. Répondez CONFIRM pour confirmer, RESCHEDULE pour choisir un autre horaire ou CANCEL pour annuler.",
+    reminder_call: "Bonjour ! Ici {studio}, pour vous rappeler votre rendez-vous {service} {when}. Souhaitez-vous le confirmer, l'annuler ou le déplacer ?",
+    reminder_voicemail: "Bonjour ! Ici {studio}, pour vous rappeler votre rendez-vous {service} {when}. Si vous devez l'annuler ou le déplacer, rappelez-nous à ce numéro. Merci !",
+    reminder_settled: "Bonjour ! Ici {studio}. Votre rendez-vous est déjà réglé, vous n'avez rien à faire. Au revoir !",
+    reminder_confirmed: "{studio} : merci ! Votre rendez-vous {service} {when} est confirmé. À bientôt !",
+    reminder_reschedule_link: "Pas de problème ! Choisissez un nouvel horaire pour votre rendez-vous {service} ici :",
+    reminder_reschedule_call: "Pas de problème ! Appelez le {phone} pour déplacer votre rendez-vous {service}.",
+    reminder_cancelled: "{studio} : votre rendez-vous {service} {when} a été annulé.",
+    reminder_cancel_failed: "Désolée, nous n'avons pas pu l'annuler par SMS. Veuillez appeler le {phone}.",
+    reminder_call_confirmed: "Parfait, tout est en ordre. À bientôt !",
+    reminder_call_reschedule: "Je vous envoie par SMS un lien pour choisir un nouvel horaire.",
+    reminder_call_cancel: "Je vous envoie par SMS un lien pour annuler votre rendez-vous.",
+    reminder_call_repeat: "Désolée, je n'ai pas compris. Souhaitez-vous confirmer votre rendez-vous {service} {when}, l'annuler ou le déplacer ?",
+  },
+};
+
+// Languages this tenant answers in, English first.
+export function tenantLanguages(tenant) {
+  if (tenant?.advanced_features?.multilingual_support !== true) return ["en"];
+  const configured = tenant?.localization?.languages || Object.keys(LANGUAGES);
+  return ["en", ...configured.filter((language) => language !== "en" && LANGUAGES[language])];
+}
+
+export function isMultilingual(tenant) {
+  return tenantLanguages(tenant).length > 1;
+}
+
+// The language to reach a client in before they've said anything: the one they last used
+// (`known`) while the tenant still answers in it, else `localization.default_language`.
+export function preferredLanguage(tenant, known = null) {
+  const languages = tenantLanguages(tenant);
+  if (languages.includes(known)) return known;
+  const fallback = tenant?.localization?.default_language;
+  return languages.includes(fallback) ? fallback : "en";
+}
+
+// Tenant override, then the built-in string, then English. `{name}` placeholders are
+// filled from `vars`; `{studio}` and `{stylist}` default to the tenant's.
+export function localize(tenant, language, key, vars = {}) {
+  const lang = LANGUAGES[language] ? language : "en";
+  const template = tenant?.localization?.[lang]?.[key] ?? STRINGS[lang][key] ?? STRINGS.en[key] ?? "";
+  const values = {
+    studio: tenant?.studio_name || STRINGS[lang].our_salon,
+    stylist: tenant?.loctician_name || STRINGS[lang].our_team,
+    ...vars,
+  };
+  return template.replace(/\{(\w+)\}/g, (_, name) => values[name] ?? "");
+}
+
+// SMS prefix for a link type in the caller's language. English keeps `englishLabel`
+// (describeLink in tenant-config.js); service links fall back to a generic label.
+export function localizeLinkLabel(tenant, language, linkType, englishLabel) {
+  if (!LANGUAGES[language] || language === "en") return englishLabel;
+  const strings = { ...STRINGS[language], ...tenant?.localization?.[language] };
+  if (strings[`link_${linkType}`]) return strings[`link_${linkType}`];
+  const match = /_(quote|booking)$/.exec(linkType || "");
+  return (match && strings[`link_${match[1]}`]) || strings.link_default;
+}
+
+// ---------------- DETECTION ----------------
+// "español", "do you speak French", "in English please": the caller asked for a language.
+const LANGUAGE_REQUESTS = {
+  es: /\b(espa[ñn]ol|spanish|castellano)\b/i,
+  fr: /(\bfran[cç]ais\b|\bfrench\b|\bfranc[eé]s\b)/i,
+  en: /(\benglish\b|\bingl[eé]s\b|\banglais\b)/i,
+};
+
+// Common words that only show up in one of the three languages.
+const MARKERS = {
+  en: new Set(["i", "the", "you", "what", "how", "need", "want", "my", "hello", "please", "yes", "can", "appointment", "hours", "much", "does", "have"]),
+  es: new Set(["hola", "quiero", "necesito", "cita", "gracias", "por", "favor", "para", "usted", "cómo", "como", "cuánto", "cuanto", "dónde", "donde", "tiene", "tienen", "puedo", "el", "los", "las", "está", "sí", "buenos", "buenas", "días", "dias", "tardes", "quisiera", "hacer", "hacen", "precio", "una", "mi", "qué", "que", "tengo", "hablo", "cuál", "cual", "horario", "ustedes", "del"]),
+  fr: new Set(["bonjour", "je", "voudrais", "rendez", "vous", "merci", "est", "une", "pour", "avec", "combien", "où", "quelle", "quelles", "heure", "heures", "oui", "plaît", "plait", "c'est", "j'ai", "suis", "mon", "ma", "prix", "êtes", "avez", "faites", "quel", "pouvez", "nous", "les", "des", "du"]),
+};
+
+// -> { language, explicit } or null. `explicitOnly` ignores the word-count heuristic,
+// which is only trusted on the first utterance of a call.
+export function detectLanguage(text, languages = Object.keys(LANGUAGES), { explicitOnly = false } = {}) {
+  const lower = (text || "").toLowerCase();
+  if (!lower) return null;
+
+  // "no English", "I don't speak English", "ne parle pas anglais" aren't requests.
+  const asked = lower.replace(/\b(no|not|don'?t|doesn'?t|pas)\b(\s+\S+){0,2}/g, " ");
+  const requested = languages.filter((language) => LANGUAGE_REQUESTS[language]?.test(asked));
+  if (requested.length === 1) return { language: requested[0], explicit: true };
+  if (explicitOnly) return null;
+
+  const words = lower.split(/[^\p{L}']+/u).filter(Boolean);
+  const scores = languages
+    .map((language) => ({ language, score: words.filter((word) => MARKERS[language]?.has(word)).length }))
+    .sort((a, b) => b.score - a.score);
+  const [best, next] = scores;
+  if (!best || best.score < 2 || best.score === next?.score) return null;
+  return { language: best.language, explicit: false };
+}
+
+// ---------------- INTENTS ----------------
+// Keyword intents for Spanish and French calls, checked in order. English calls keep the
+// full router in index.js; anything not listed here goes to the FAQ and then the LLM.
+const INTENTS = {
+  es: [
+    ["goodbye", /\b(adi[oó]s|hasta luego|eso es todo|nada m[aá]s|es todo)\b/],
+    ["human", /\b(hablar con (una persona|alguien|un humano|la estilista|el estilista|la due[ñn]a)|persona real|operador[a]?)\b/],
+    ["new_client", /\b(soy nuev[oa]|cliente nuev[oa]|primera vez|nunca he venido)\b/],
+    ["returning_client", /\b(ya he venido|ya soy cliente|cliente regular|he venido antes)\b/],
+    ["appointment", /\b(cita|reservar|reservaci[oó]n|agendar|turno)\b/],
+    ["pricing", /\b(precio|precios|cu[aá]nto cuesta|cu[aá]nto cobran|cotizaci[oó]n|costo)\b/],
+    ["location", /\b(direcci[oó]n|d[oó]nde est[aá]n|ubicaci[oó]n|c[oó]mo llego)\b/],
+    ["website", /\b(sitio web|p[aá]gina web|p[aá]gina de internet)\b/],
+  ],
+  fr: [
+    ["goodbye", /(\bau revoir\b|\bc'est tout\b|\brien d'autre\b|\bbonne journ[eé]e\b)/],
+    ["human", /(\bparler (à|a|avec) (quelqu'un|une personne|un humain|la styliste|le styliste)|\bvraie personne\b|\bop[eé]rat(eur|rice)\b)/],
+    ["new_client", /(\bnouveau client|\bnouvelle cliente|\bpremi[eè]re fois\b|\bjamais venu)/],
+    ["returning_client", /(\bd[eé]j[aà] venu|\bd[eé]j[aà] client|\bcliente? habitu[eé])/],
+    ["appointment", /(\brendez-vous\b|\brendez vous\b|\br[eé]server\b|\br[eé]servation\b)/],
+    ["pricing", /(\bprix\b|\bcombien\b|\btarifs?\b|\bdevis\b)/],
+    ["location", /(\badresse\b|\bo[uù] [eê]tes-vous\b|\bitin[eé]raire\b|\bvous trouver\b)/],
+    ["website", /(\bsite web\b|\bsite internet\b)/],
+  ],
+};
+
+// Bare answers to "new or returning?", only trusted right after asking it.
+const CLIENT_TYPE_ANSWERS = {
+  es: [["new_client", /\bnuev[oa]s?\b/], ["returning_client", /\b(ya|antes|regular|de vuelta)\b/]],
+  fr: [["new_client", /(\bnouveau\b|\bnouvelle\b|\bpremi[eè]re\b)/], ["returning_client", /(\bd[eé]j[aà]|\bhabitu[eé])/]],
+};
+
+// Answers to a reminder call's "confirm, cancel or reschedule?" (English calls use the
+// appointment flow in index.js). Cancelling is checked first: "no, cancelar" is a cancel.
+// Words are matched on letter boundaries, since \b doesn't see "sí" or "estaré" as words.
+const REMINDER_ANSWERS = {
+  es: [["cancel", /cancel(ar|arla|o|e)/], ["reschedule", /(cambiar|cambiarla|reprogramar|mover|moverla|otro d[ií]a|otra hora)/],
+    ["confirm", /(confirm(o|ar|ada|arla)|s[ií]|ah[ií] estar[eé]|all[ií] estar[eé]|claro)/]],
+  fr: [["cancel", /annul\p{L}*/], ["reschedule", /(d[eé]placer|changer|reporter|autre (jour|heure|horaire))/],
+    ["confirm", /(confirm\p{L}*|oui|j'y serai|bien s[uû]r)/]],
+};
+const onWords = (pattern) => new RegExp(`(?<!\\p{L})(${pattern.source})(?!\\p{L})`, "u");
+
+export function matchReminderAnswer(language, text) {
+  const lower = (text || "").toLowerCase();
+  return (REMINDER_ANSWERS[language] || []).find(([, pattern]) => onWords(pattern).test(lower))?.[0] || null;
+}
+
+export function matchIntent(language, text, { askedClientType = false } = {}) {
+  const lower = (text || "").toLowerCase();
+  const find = (table) => (table[language] || []).find(([, pattern]) => pattern.test(lower))?.[0] || null;
+  return find(INTENTS) || (askedClientType ? find(CLIENT_TYPE_ANSWERS) : null);
+}
@@ -1,11 +1,100 @@
 import Fastify from "fastify";
 import formbody from "@fastify/formbody";
+import websocket from "@fastify/websocket";
 import twilio from "twilio";
 import fs from "fs";
 import OpenAI from "openai";
+import {
+  isFeatureEnabled,
+  findService,
+  getServiceById,
+  getQuoteLink,
+  getBookingLink,
+  getPortalLink,
+  getConsultationLink,
+  getMainBookingLink,
+  getWebsiteLink,
+  getInstagramLink,
+  getDirectionsLink,
+  getAppointmentLookupLink,
+  describeLink,
+  getLinkByType,
+  requiresQuote,
+  getTrainingResponse,
+  getAddressResponse,
+  getRunningLateResponse,
+} from "./tenant-config.js";
+import { STEPS, getSession, findSession, endSession } from "./sessions.js";
+import { createOverrides } from "./overrides.js";
+import { matchFaq } from "./faq.js";
+import {
+  parseKeyword,
+  classifyCompliance,
+  isOptedOut,
+  setOptOut,
+  getThread,
+  appendToThread,
+  getHelpReply,
+  getKeywordReply,
+  formatSmsReply,
+} from "./sms.js";
+import { getSchedulingProvider, SchedulingConfigError, SlotUnavailableError } from "./scheduling.js";
+import {
+  tenantTimezone,
+  describeSlot,
+  describeSlots,
+  pickSlot,
+  findUpcomingAppointments,
+} from "./voice-booking.js";
+import { evaluateCancellation } from "./policies.js";
+import { getAirtableRepository, AirtableConfigError } from "./airtable.js";
+import {
+  startCallRecord,
+  recordTurn,
+  recordLink,
+  recordOutcome,
+  recordRecording,
+  endCallRecord,
+} from "./call-records.js";
+import adminRoutes from "./admin.js";
+import { getCallMode, buildStreamTwiml, bridgeMediaStream } from "./realtime.js";
+import { createTtsCache } from "./tts-cache.js";
+import { createSpeaker } from "./tts.js";
+import { createTwilioWebhookGuard, isTestMode } from "./twilio-webhooks.js";
+import {
+  handoffMode,
+  wantsPerson,
+  escalateAfter,
+  appendDial,
+  appendVoicemail,
+  whisperLine,
+} from "./handoff.js";
+import { createNotifier } from "./notifications.js";
+import {
+  createReminderScheduler,
+  reminderSettings,
+  remindersEnabled,
+  parseReminderReply,
+  reminderCallLine,
+  reminderSlot,
+} from "./reminders.js";
+import { getHoursResponse, answerDayQuestion, afterHoursNote } from "./business-hours.js";
+import {
+  LANGUAGES,
+  LANGUAGE_HINTS,
+  tenantLanguages,
+  isMultilingual,
+  localize,
+  localizeLinkLabel,
+  detectLanguage,
+  matchIntent,
+  matchReminderAnswer,
+  preferredLanguage,
+} from "./i18n.js";
 
 const fastify = Fastify({ logger: true });
 await fastify.register(formbody);
+await fastify.register(websocket);
 
 // ---------------- ENV ----------------
 const {
@@ -17,6 +106,11 @@ const {
   PORT = 10000,
 } = process.env;
 
+// Where Twilio reaches this server (audio clips, recording callbacks, webhook signatures).
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "https://locsync-q7z9.onrender.com").replace(/\/+$/, "");
+// Calls and texts to numbers no tenant claims go to this tenant instead of being turned away.
+const DEFAULT_TENANT_ID = process.env.DEFAULT_TENANT_ID || null;
+
 if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER || !OPENAI_API_KEY || !AIRTABLE_PAT) {
   console.error("❌ Missing required environment variables");
   process.exit(1);
@@ -26,70 +120,64 @@ const twiml = twilio.twiml.VoiceResponse;
 const twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
 const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
 
-// ---------------- ELEVENLABS INTEGRATION ----------------
-async function generateElevenLabsAudio(text, tenant) {
-  try {
-    if (!process.env.ELEVENLABS_API_KEY) {
-      return null;
-    }
+// Every Twilio webhook route runs this first (see twilio-webhooks.js).
+const TWILIO_WEBHOOK_BASE_URL = (process.env.TWILIO_WEBHOOK_BASE_URL || PUBLIC_BASE_URL).replace(/\/+$/, "");
+const verifyTwilioSignature = createTwilioWebhookGuard({
+  authToken: TWILIO_AUTH_TOKEN,
+  baseUrl: TWILIO_WEBHOOK_BASE_URL,
+  log: fastify.log,
+});
 
-    const voiceId = tenant?.elevenlabs_voice_id || process.env.ELEVENLABS_VOICE_ID || "21m00Tcm4TlvDq8ikWAM";
-    
-    const response = await fetch(
-      `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
-      {
-        method: 'POST',
-        headers: {
-          'Accept': 'audio/mpeg',
-          'Content-Type': 'application/json',
-          'xi-api-key': process.env.ELEVENLABS_API_KEY,
-        },
-        body: JSON.stringify({
-          text: text,
-          model_id: "eleven_flash_v2_5",
-          voice_settings: {
-            stability: 0.75,
-            similarity_boost: 0.8,
-            speed: 1.0
-          }
-        }),
-      }
-    );
+// ---------------- VOICE ----------------
+// What each TwiML response has said, so call records can keep the bot's side of the call.
+const spokenText = new WeakMap();
 
-    if (!response.ok) {
-      throw new Error(`ElevenLabs API error: ${response.status}`);
-    }
+function spokenLines(response) {
+  return spokenText.get(response) || [];
+}
 
-    return await response.arrayBuffer();
-  } catch (error) {
-    fastify.log.error({ err: error }, "ElevenLabs TTS error");
-    return null;
-  }
+// Synthesized clips, served from /audio/:clip. See tts-cache.js and tts.js.
+const ttsCache = createTtsCache({ log: fastify.log });
+ttsCache.startSweeping();
+const speaker = createSpeaker({ cache: ttsCache, baseUrl: PUBLIC_BASE_URL, log: fastify.log });
+
+// Played on nearly every call, so they're generated at startup instead of mid-call.
+const STOCK_PHRASES = ["anything_else", "didnt_catch", "goodbye"];
+
+function greetingFor(tenant, language = "en") {
+  if (language === "en" && tenant?.voice_config?.greeting_tts) return tenant.voice_config.greeting_tts;
+  return localize(tenant, language, "greeting");
 }
 
-async function respondWithNaturalVoice(response, text, tenant) {
-  try {
-    if (process.env.ELEVENLABS_API_KEY) {
-      const audioBuffer = await generateElevenLabsAudio(text, tenant);
-      
-      if (audioBuffer) {
-        const audioFilename = `audio_${Date.now()}.mp3`;
-        const audioPath = `/tmp/${audioFilename}`;
-        fs.writeFileSync(audioPath, Buffer.from(audioBuffer));
-        
-        response.play(`https://locsync-q7z9.onrender.com/audio/${audioFilename}`);
-        
-        fastify.log.info('Using ElevenLabs voice for response');
-        return true;
-      }
-    }
-  } catch (error) {
-    fastify.log.error({ err: error }, "Voice generation failed, using fallback");
-  }
-  
-  response.say(text);
-  fastify.log.info('Using Twilio TTS fallback');
-  return false;
+// Greeting, the language offers and stock phrases in every language the tenant answers in.
+function prewarmPhrasesFor(tenant) {
+  return tenantLanguages(tenant).flatMap((language) => [
+    greetingFor(tenant, language),
+    localize(tenant, language, "language_offer"),
+    ...STOCK_PHRASES.map((key) => localize(tenant, language, key)),
+  ].map((text) => ({ text, language })));
+}
+
+// Speaks `text` in the tenant's voice (see tts.js). Returns true when it played a
+// synthesized clip rather than falling back to Twilio <Say>.
+async function respondWithNaturalVoice(response, text, tenant, language = "en") {
+  spokenText.set(response, [...spokenLines(response), text]);
+  const provider = await speaker.speak(response, text, tenant, { language });
+  fastify.log.info({ provider, language }, "🔊 Voice response");
+  return provider !== "twilio";
+}
+
+// <Gather> for the next turn, listening in the caller's language.
+function gatherSpeech(response, language = "en", { timeout = 12, hints } = {}) {
+  return response.gather({
+    input: "speech",
+    action: "/handle-speech",
+    method: "POST",
+    timeout,
+    speechTimeout: "auto",
+    language: LANGUAGES[language]?.gather || LANGUAGES.en.gather,
+    ...(hints ? { hints } : {}),
+  });
 }
 
 // ---------------- TENANT LOADING ----------------
@@ -108,73 +196,81 @@ function extractUrls(text) {
   return text.match(urlRegex) || [];
 }
 
-async function sendLinksViaSMS(fromNumber, toNumber, links, tenant, serviceType = null) {
-  if (!links.length) return;
-  
+async function sendTextMessage(fromNumber, toNumber, body, tenant, context = {}) {
+  if (isOptedOut(tenant?.tenant_id, fromNumber)) {
+    fastify.log.info({ fromNumber, ...context }, "SMS skipped - number opted out");
+    return false;
+  }
+
   try {
-    let message = "";
-    
-    if (links.length === 1) {
-      const link = links[0];
-      
-      if (serviceType === 'service_portal') {
-        message = `Service Portal - Get personalized quotes: ${link}`;
-      } else if (serviceType === 'wick_quote') {
-        message = `Wick Locs Quote: ${link}`;
-      } else if (serviceType === 'bald_coverage_quote') {
-        message = `Bald Coverage Quote: ${link}`;
-      } else if (serviceType === 'repair_quote') {
-        message = `Loc Repair Quote: ${link}`;
-      } else if (serviceType === 'retwist_quote') {
-        message = `Retwist Quote: ${link}`;
-      } else if (serviceType === 'crochet_quote') {
-        message = `Crochet Maintenance Quote: ${link}`;
-      } else if (serviceType === 'interlock_quote') {
-        message = `Interlock Maintenance Quote: ${link}`;
-      } else if (serviceType === 'sisterlock_quote') {
-        message = `Sisterlock/Microlock Maintenance Quote: ${link}`;
-      } else if (serviceType === 'retwist_booking') {
-        message = `Book your Retwist/Palm Roll appointment: ${link}`;
-      } else if (serviceType === 'wick_booking') {
-        message = `Book your Wick Loc maintenance: ${link}`;
-      } else if (serviceType === 'interlock_booking') {
-        message = `Book your Interlock maintenance: ${link}`;
-      } else if (serviceType === 'sisterlock_booking') {
-        message = `Book your Sisterlock/Microlock maintenance: ${link}`;
-      } else if (serviceType === 'crochet_booking') {
-        message = `Book your Crochet Roots maintenance: ${link}`;
-      } else if (serviceType === 'bald_coverage_booking') {
-        message = `Book your Bald Coverage maintenance: ${link}`;
-      } else if (serviceType === 'consultation_booking') {
-        message = `Book your consultation: ${link}`;
-      } else if (serviceType === 'website') {
-        message = `Visit our website: ${link}`;
-      } else if (serviceType === 'instagram') {
-        message = `Follow us on Instagram: ${link}`;
-      } else if (serviceType === 'appointment_lookup') {
-        message = `Appointment Lookup: ${link}`;
-      } else if (link.includes('directions')) {
-        message = `Directions to our door: ${link}`;
-      } else {
-        message = `Here's the link: ${link}`;
-      }
-    } else {
-      message = `Here are the links:\n${links.map((link, i) => `${i + 1}. ${link}`).join('\n')}`;
-    }
-    
     await twilioClient.messages.create({
-      body: message,
+      body,
       from: toNumber,
       to: fromNumber
     });
-    
-    fastify.log.info({ fromNumber, serviceType }, "SMS sent");
-    
+    fastify.log.info({ fromNumber, ...context }, "SMS sent");
+    return true;
   } catch (err) {
-    fastify.log.error({ err, fromNumber, serviceType }, "Failed to send SMS");
+    fastify.log.error({ err, fromNumber, ...context }, "Failed to send SMS");
+    return false;
   }
 }
 
+// Owner-editable reply rules, checked before the keyword routers (overrides.js).
+const overrides = createOverrides({ log: fastify.log });
+
+// Owner notifications for things a call or text promised someone would act on (notifications.js).
+const notifier = createNotifier({
+  sendSms: (to, body, tenant, context) => sendTextMessage(to, tenant?.phone_number || TWILIO_PHONE_NUMBER, body, tenant, context),
+  getTenant: getTenantById,
+  log: fastify.log,
+});
+notifier.startFlushing();
+
+// Appointment reminders by text and by call (reminders.js), started once the server is
+// listening. Replies come back to /incoming-sms; answered calls start at /reminder-call.
+const reminders = createReminderScheduler({
+  getTenants: () => Object.keys(TENANTS).map(getTenantById),
+  sendSms: (to, body, tenant, context) => sendTextMessage(to, tenant?.phone_number || TWILIO_PHONE_NUMBER, body, tenant, context),
+  placeCall: async (tenant, to) => {
+    const call = await twilioClient.calls.create({
+      to,
+      from: tenant?.phone_number || TWILIO_PHONE_NUMBER,
+      url: `${PUBLIC_BASE_URL}/reminder-call`,
+      statusCallback: `${PUBLIC_BASE_URL}/call-status`,
+      machineDetection: "Enable",
+    });
+    return call.sid;
+  },
+  // Someone who texted STOP doesn't want calls from the salon's number either.
+  isOptedOut: (tenant, phone) => isOptedOut(tenant?.tenant_id, phone),
+  // The language on the client's profile (kept by finishCall when the base has the field).
+  languageFor: async (tenant, phone) => {
+    try {
+      return (await getAirtable(tenant)?.findClient(phone))?.language || null;
+    } catch (err) {
+      fastify.log.warn({ err, tenant: tenant?.tenant_id }, "Could not load client language for reminder");
+      return null;
+    }
+  },
+  log: fastify.log,
+});
+
+async function sendLinksViaSMS(fromNumber, toNumber, links, tenant, serviceType = null, language = "en") {
+  links = links.filter(Boolean);
+  if (!links.length) return false;
+  
+  let message = "";
+  if (links.length === 1) {
+    const label = localizeLinkLabel(tenant, language, serviceType, describeLink(serviceType));
+    message = localize(tenant, language, "sms_link", { label, link: links[0] });
+  } else {
+    message = `${localize(tenant, language, "sms_links")}\n${links.map((link, i) => `${i + 1}. ${link}`).join('\n')}`;
+  }
+  
+  return sendTextMessage(fromNumber, toNumber, message, tenant, { serviceType, language });
+}
+
 function normalizePhone(phone) {
   if (!phone) return '';
   return phone.replace(/\D/g, '').slice(-10);
@@ -199,7 +295,24 @@ function loadTenantDetails(tenantId) {
   return {};
 }
 
+// The tenant that owns the number Twilio called or texted. Unknown numbers and tenants with
+// `active: false` get null (or DEFAULT_TENANT_ID when set) rather than some other salon.
 function getTenantByToNumber(toNumber) {
+  const baseTenant = findTenantByNumber(toNumber);
+  if (baseTenant && baseTenant.active !== false) {
+    return baseTenant.tenant_id ? { ...baseTenant, ...loadTenantDetails(baseTenant.tenant_id) } : baseTenant;
+  }
+
+  if (baseTenant) {
+    fastify.log.warn({ to: toNumber, tenant: baseTenant.tenant_id }, "Number belongs to an inactive tenant");
+  } else {
+    fastify.log.warn({ to: toNumber }, "No tenant for number");
+  }
+  const fallback = DEFAULT_TENANT_ID && getTenantById(DEFAULT_TENANT_ID);
+  return fallback && fallback.active !== false ? fallback : null;
+}
+
+function findTenantByNumber(toNumber) {
   if (!toNumber) return null;
 
   const normalized = normalizePhone(toNumber);
@@ -219,18 +332,15 @@ function getTenantByToNumber(toNumber) {
     }
   }
   
-  if (!baseTenant) {
-    baseTenant = Object.values(TENANTS)[0] || null;
-  }
-  
-  if (baseTenant?.tenant_id) {
-    const details = loadTenantDetails(baseTenant.tenant_id);
-    return { ...baseTenant, ...details };
-  }
-  
   return baseTenant;
 }
 
+function getTenantById(tenantId) {
+  const baseTenant = TENANTS[tenantId];
+  if (!baseTenant) return null;
+  return { ...baseTenant, ...loadTenantDetails(tenantId) };
+}
+
 function loadKnowledgeFor(tenant) {
   try {
     if (tenant?.tenant_id) {
@@ -255,11 +365,20 @@ function loadKnowledgeFor(tenant) {
   return "";
 }
 
-function buildVoicePrompt(tenant, knowledgeText) {
+// Non-English callers get answers in their language, whatever language the knowledge is in.
+function languageRule(language) {
+  return language && language !== "en"
+    ? `\n- Reply only in ${LANGUAGES[language]?.name || "the caller's language"}, even though the knowledge base is in English`
+    : "";
+}
+
+function buildVoicePrompt(tenant, knowledgeText, { mode = "gather", language = "en" } = {}) {
   const t = tenant || {};
   
   const loctician = t.loctician_name || "our stylist";
   const experience = t.experience_years ? `${t.experience_years} years experience` : "";
+
+  if (mode === "realtime") return buildRealtimePrompt(t, loctician, experience, knowledgeText);
   
   let prompt = `You are the virtual receptionist for "${t.studio_name || 'our salon'}" with ${loctician}${experience ? ` (${experience})` : ""}.
 
@@ -268,7 +387,7 @@ CRITICAL INSTRUCTIONS:
 - Answer questions about loc care, maintenance, and styling from the knowledge base
 - For appointment requests, the hardcoded flow handles it (not you)
 - Be conversational and helpful
-- Never spell out URLs
+- Never spell out URLs${languageRule(language)}
 
 Knowledge Base:
 ${(knowledgeText || "").slice(0, 10000)}
@@ -278,60 +397,127 @@ Remember: Answer loc care questions naturally using the knowledge base. For appo
   return prompt.slice(0, 15000);
 }
 
-// Airtable integration (simplified)
-async function callAirtableAPI(tenant, action, params = {}, requestType = 'lookup') {
-  if (!tenant?.airtable_base_id || !tenant?.airtable_table_name) {
-    return { handled: false, speech: "I can't access appointment information right now." };
-  }
+// Realtime mode has no keyword router in front of it, so the model drives the whole
+// call through the tools in realtime-tools.js.
+function buildRealtimePrompt(t, loctician, experience, knowledgeText) {
+  const quoteFirst = requiresQuote(t)
+    ? "- New clients need a personalized quote before booking: text them the <service>_quote link (or service_portal if they're unsure which service)"
+    : "- New clients can book directly: text them the booking link";
+  const otherLanguages = isMultilingual(t)
+    ? `\n- If the caller speaks ${tenantLanguages(t).slice(1).map((language) => LANGUAGES[language].name).join(" or ")}, continue the whole call in their language`
+    : "";
 
-  try {
-    const baseUrl = `https://api.airtable.com/v0/${tenant.airtable_base_id}/${tenant.airtable_table_name}`;
-    let url = baseUrl;
-    
-    if (action === 'lookup_appointments' && params.phone) {
-      const phoneNorm = normalizePhone(params.phone);
-      url += `?filterByFormula=SEARCH("${phoneNorm}",{client_phone})`;
-    }
+  const prompt = `You are the virtual receptionist for "${t.studio_name || 'our salon'}" with ${loctician}${experience ? ` (${experience})` : ""}, answering a live phone call.
 
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `Bearer ${AIRTABLE_PAT}`,
-        'Content-Type': 'application/json'
-      }
-    });
+CRITICAL INSTRUCTIONS:
+- Keep responses under 15 seconds and sound natural; one question at a time
+- Never read out or spell URLs: text them with send_link and say you've sent it
+- Early on, find out whether the caller is a new or returning client and which service they want
+${quoteFirst}
+- Returning clients: text them the <service>_booking link
+- Existing appointments: use lookup_appointments and read back what you find; to change or cancel, text the appointment_lookup link
+- Hours: use check_hours
+- If the caller asks for a person, is upset, or needs something you can't do, use transfer_to_human
+- Running late, paying a deposit in person or asking about training: use notify_owner, and only say the stylist knows once it has
+- Answer questions about loc care, maintenance, and styling from the knowledge base${otherLanguages}
 
-    if (!response.ok) {
-      throw new Error(`Airtable API error: ${response.status}`);
-    }
+Knowledge Base:
+${(knowledgeText || "").slice(0, 10000)}`;
 
-    const data = await response.json();
-    
-    if (data.records && data.records.length > 0) {
-      return {
-        handled: true,
-        speech: `I found your appointment. I'm texting you the appointment lookup link so you can manage it.`,
-        data: { appointments: data.records }
-      };
-    } else {
-      return {
-        handled: true,
-        speech: `I don't see any appointments under your number. Would you like to book one?`,
-        data: { appointments: [] }
-      };
-    }
+  return prompt.slice(0, 15000);
+}
+
+function buildSmsPrompt(tenant, knowledgeText, language = "en") {
+  const t = tenant || {};
+
+  let prompt = `You are the text message assistant for "${t.studio_name || 'our salon'}"${t.loctician_name ? ` with ${t.loctician_name}` : ""}.
 
+CRITICAL INSTRUCTIONS:
+- Keep replies under 300 characters; this is SMS
+- Answer questions about loc care, maintenance, and styling from the knowledge base
+- For booking, pricing, directions, deposits or cancellations, tell the client they can reply BOOK, PORTAL, DIRECTIONS, DEPOSIT or CANCEL
+- Be conversational and helpful; use the earlier messages in the thread for context${languageRule(language)}
+
+Knowledge Base:
+${(knowledgeText || "").slice(0, 10000)}`;
+
+  return prompt.slice(0, 15000);
+}
+
+// Answers from the tenant's curated FAQ when the match is confident enough,
+// and only asks OpenAI below the threshold. `language` picks the FAQ entries and the
+// language OpenAI answers in.
+async function answerQuestion(tenant, question, { maxTokens = 150, fallbackText, channel = "voice", history = [], language = "en" } = {}) {
+  const faq = matchFaq(tenant, question, { language });
+  if (faq) {
+    fastify.log.info({ tenant: tenant?.tenant_id, source: faq.source, key: faq.key, question: faq.question, score: faq.score, language }, "📚 FAQ MATCH");
+    return { text: faq.answer, sms: faq.sms, faq };
+  }
+
+  const knowledgeText = loadKnowledgeFor(tenant);
+  const systemPrompt = channel === "sms"
+    ? buildSmsPrompt(tenant, knowledgeText, language)
+    : buildVoicePrompt(tenant, knowledgeText, { language });
+  const completion = await openai.chat.completions.create({
+    model: "gpt-4o-mini",
+    temperature: 0.7,
+    messages: [
+      { role: "system", content: systemPrompt },
+      ...history,
+      { role: "user", content: question }
+    ],
+    max_tokens: maxTokens
+  });
+  const text = completion.choices?.[0]?.message?.content?.trim() || fallbackText;
+  return { text, sms: null, faq: null };
+}
+
+// ---------------- AIRTABLE: CLIENT PROFILES ----------------
+// Null when the tenant has no Airtable base configured.
+function getAirtable(tenant) {
+  try {
+    return getAirtableRepository(tenant, { apiKey: AIRTABLE_PAT, timeoutMs: 5000 });
   } catch (err) {
-    fastify.log.error({ err, action }, "Airtable API error");
-    return { handled: false, speech: "I'm having trouble accessing appointments." };
+    if (!(err instanceof AirtableConfigError)) fastify.log.warn({ err }, "Airtable unavailable");
+    return null;
   }
 }
 
+// A known client skips the "new or returning?" question. Runs in the background:
+// a slow base must never hold up the caller.
+function loadClientProfile(tenant, session, fromNumber) {
+  session.callerPhone = fromNumber;
+  getAirtable(tenant)?.findClient(fromNumber).then((profile) => {
+    if (profile?.client_type && !session.clientType) session.clientType = profile.client_type;
+  }).catch((err) => fastify.log.warn({ err }, "Could not load client profile"));
+}
+
+// ---------------- CALL END ----------------
+// Closes out the call record and updates the caller's client profile.
+function finishCall(callSid, tenant, status, extra = {}) {
+  const session = findSession(callSid);
+  const service = getServiceById(session?.service)?.id;
+  endCallRecord(callSid, { status, clientType: session?.clientType, service, ...extra });
+
+  if (session?.callerPhone) {
+    getAirtable(tenant)?.upsertClient(session.callerPhone, {
+      client_type: session.clientType || undefined,
+      language: session.language || undefined,
+      last_service: service,
+      last_call_at: new Date().toISOString(),
+    }).catch((err) => fastify.log.warn({ err, callSid }, "Could not update client profile"));
+  }
+  endSession(callSid);
+}
+
 // ---------------- ROUTES ----------------
 fastify.get("/", async () => {
   return { 
     status: "ok", 
-    service: "LocSync Voice Agent - Loc Repair Clinic",
-    elevenlabs: process.env.ELEVENLABS_API_KEY ? "enabled" : "disabled"
+    service: "LocSync Voice Agent",
+    tenants: Object.keys(TENANTS).length,
+    elevenlabs: process.env.ELEVENLABS_API_KEY ? "enabled" : "disabled",
+    tts: Object.fromEntries(Object.keys(TENANTS).map((id) => [id, speaker.voiceChain(getTenantById(id)).map((v) => v.provider)])),
   };
 });
 
@@ -339,32 +525,53 @@ fastify.get("/health", async () => {
   return { status: "healthy", timestamp: new Date().toISOString() };
 });
 
+// Call review for salon owners: see admin.js for auth.
+await fastify.register(adminRoutes, {
+  prefix: "/admin",
+  getTenant: getTenantById,
+  listTenantIds: () => Object.keys(TENANTS),
+  twilioAuth: { accountSid: TWILIO_ACCOUNT_SID, authToken: TWILIO_AUTH_TOKEN },
+});
+
+// Clips are content-addressed and never change, so Twilio (and anything between) may cache them.
 fastify.get('/audio/:filename', async (request, reply) => {
+  const audioPath = ttsCache.resolve(request.params.filename);
+  if (!audioPath) {
+    return reply.code(404).send('Audio not found');
+  }
   try {
-    const filename = request.params.filename;
-    const audioPath = `/tmp/${filename}`;
-    
-    if (fs.existsSync(audioPath)) {
-      const audio = fs.readFileSync(audioPath);
-      reply.type('audio/mpeg').send(audio);
-      
-      setTimeout(() => {
-        try { 
-          fs.unlinkSync(audioPath); 
-        } catch (e) {
-          fastify.log.warn(`Failed to cleanup: ${filename}`);
-        }
-      }, 5000);
-    } else {
-      reply.code(404).send('Audio not found');
-    }
+    const audio = await fs.promises.readFile(audioPath);
+    return reply
+      .type('audio/mpeg')
+      .header('Cache-Control', 'public, max-age=86400, immutable')
+      .send(audio);
   } catch (error) {
+    if (error.code === 'ENOENT') return reply.code(404).send('Audio not found');
     fastify.log.error({ err: error }, "Error serving audio");
-    reply.code(500).send('Error serving audio');
+    return reply.code(500).send('Error serving audio');
   }
 });
 
-fastify.post("/incoming-call", async (req, reply) => {
+// Calls to a number no active tenant owns: never answer as some other salon.
+function notInServiceTwiml() {
+  const response = new twiml();
+  response.say({ voice: "Polly.Joanna-Neural" }, "Sorry, the number you have called is not in service. Goodbye.");
+  response.hangup();
+  return response.toString();
+}
+
+// The salon's number and the client's. On calls we place (reminder calls) Twilio's From
+// is the salon and To is the client, the other way round from an incoming call.
+function callParties(body = {}) {
+  const from = (body.From || "").trim();
+  const to = (body.To || "").trim();
+  const outbound = String(body.Direction || "").startsWith("outbound");
+  return outbound
+    ? { salonNumber: from, callerNumber: to, outbound }
+    : { salonNumber: to, callerNumber: from, outbound };
+}
+
+fastify.post("/incoming-call", { preHandler: verifyTwilioSignature }, async (req, reply) => {
   const toNumber = (req.body?.To || "").trim();
   const fromNumber = (req.body?.From || "").trim();
   const callSid = req.body?.CallSid;
@@ -372,6 +579,14 @@ fastify.post("/incoming-call", async (req, reply) => {
   const tenant = getTenantByToNumber(toNumber);
 
   fastify.log.info({ to: toNumber, from: fromNumber, tenant: tenant?.tenant_id }, "Incoming call");
+  if (!tenant) {
+    reply.type("text/xml").send(notInServiceTwiml());
+    return;
+  }
+  if (callSid) {
+    startCallRecord(tenant, { callSid, caller: fromNumber, log: fastify.log });
+    loadClientProfile(tenant, getSession(callSid), fromNumber);
+  }
 
   // Start recording via REST API after short delay
   if (callSid) {
@@ -387,7 +602,8 @@ fastify.post("/incoming-call", async (req, reply) => {
               'Content-Type': 'application/x-www-form-urlencoded',
             },
             body: new URLSearchParams({
-              RecordingStatusCallback: 'https://locsync-q7z9.onrender.com/recording-status',
+              // Recording callbacks carry no To number, so the tenant rides along in the URL.
+              RecordingStatusCallback: `${PUBLIC_BASE_URL}/recording-status?tenant=${encodeURIComponent(tenant.tenant_id || "")}`,
               RecordingStatusCallbackMethod: 'POST',
             }).toString()
           }
@@ -400,25 +616,33 @@ fastify.post("/incoming-call", async (req, reply) => {
     }, 1500);
   }
 
+  // ===== REALTIME MODE: hand the call to the OpenAI Realtime bridge =====
+  if (getCallMode(tenant) === "realtime") {
+    // The same URL the /media-stream upgrade is signed against.
+    const streamUrl = `${TWILIO_WEBHOOK_BASE_URL.replace(/^http/, "ws")}/media-stream`;
+    fastify.log.info({ callSid, tenant: tenant?.tenant_id }, "🎙️ Realtime call mode");
+    reply.type("text/xml").send(buildStreamTwiml({ streamUrl }));
+    return;
+  }
+
   const response = new twiml();
 
-  const greeting = tenant?.voice_config?.greeting_tts || 
-    `Thank you for calling ${tenant?.studio_name || "our salon"}. This call may be recorded for quality purposes. How can I help you?`;
+  await respondWithNaturalVoice(response, greetingFor(tenant), tenant);
+  // After hours: "Just so you know, we're closed right now and open tomorrow at 11 AM. ..."
+  const closedNote = afterHoursNote(tenant);
+  if (closedNote) await respondWithNaturalVoice(response, closedNote, tenant);
+  // "Para español, diga español." Each offer is spoken in its own language.
+  for (const language of tenantLanguages(tenant).slice(1)) {
+    await respondWithNaturalVoice(response, localize(tenant, language, "language_offer"), tenant, language);
+  }
+  recordTurn(callSid, { bot: spokenLines(response), intent: "greeting" });
 
-  await respondWithNaturalVoice(response, greeting, tenant);
-  
-  response.gather({
-    input: "speech",
-    action: "/handle-speech",
-    method: "POST",
-    timeout: 10,
-    speechTimeout: "auto"
-  });
+  gatherSpeech(response, "en", { timeout: 10, hints: isMultilingual(tenant) ? LANGUAGE_HINTS : undefined });
 
   reply.type("text/xml").send(response.toString());
 });
 
-fastify.post("/recording-status", async (req, reply) => {
+fastify.post("/recording-status", { preHandler: verifyTwilioSignature }, async (req, reply) => {
   const { CallSid, RecordingSid, RecordingUrl, RecordingDuration, RecordingStatus } = req.body;
   
   fastify.log.info({ 
@@ -431,103 +655,1055 @@ fastify.post("/recording-status", async (req, reply) => {
 
   if (RecordingStatus === 'completed') {
     fastify.log.info({ RecordingUrl, RecordingDuration }, "✅ Recording saved");
-    // Future: save to Airtable or admin dashboard
+    const tenant = getTenantById(req.query?.tenant) || getTenantByToNumber(callParties(req.body).salonNumber);
+    await recordRecording(tenant, CallSid, { sid: RecordingSid, url: RecordingUrl, duration: RecordingDuration }, { log: fastify.log });
   }
 
   reply.send({ received: true });
 });
 
-fastify.post("/incoming-sms", async (req, reply) => {
+// Twilio call status callback: closes out the call log when the caller hangs up mid-conversation.
+fastify.post("/call-status", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+  const { CallSid, CallStatus, CallDuration } = req.body || {};
+  const tenant = getTenantByToNumber(callParties(req.body).salonNumber);
+  fastify.log.info({ CallSid, CallStatus, CallDuration }, "📞 Call status");
+
+  if (["completed", "busy", "failed", "no-answer", "canceled"].includes(CallStatus)) {
+    const duration = CallDuration ? { durationSeconds: Number(CallDuration) } : {};
+    if (findSession(CallSid)) {
+      finishCall(CallSid, tenant, CallStatus === "completed" ? "caller_hung_up" : CallStatus, duration);
+    } else {
+      // We already hung up on our side; this just adds Twilio's duration.
+      endCallRecord(CallSid, duration);
+    }
+  }
+
+  reply.send({ received: true });
+});
+
+// ---------------- REMINDER CALLS ----------------
+// A reminder call (reminders.js) was answered. A person is asked to confirm, cancel or
+// reschedule, and /handle-speech carries on as if they'd called about that appointment;
+// an answering machine gets the reminder as a message.
+fastify.post("/reminder-call", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+  const callSid = req.body?.CallSid;
+  const answeredBy = req.body?.AnsweredBy || "";
+  const { salonNumber, callerNumber } = callParties(req.body);
+  const tenant = getTenantByToNumber(salonNumber);
+  const appointment = tenant ? reminders.awaiting(tenant, callerNumber) : null;
+  fastify.log.info({ callSid, to: callerNumber, tenant: tenant?.tenant_id, answeredBy, appointmentId: appointment?.id }, "⏰ Reminder call answered");
+
+  const response = new twiml();
+  if (!tenant) {
+    response.hangup();
+  } else if (!appointment) {
+    // Already answered by text while the phone was ringing.
+    const language = preferredLanguage(tenant);
+    await respondWithNaturalVoice(response, localize(tenant, language, "reminder_settled"), tenant, language);
+    response.hangup();
+  } else if (answeredBy.startsWith("machine") || answeredBy === "fax") {
+    const { language } = appointment;
+    await respondWithNaturalVoice(response, reminderCallLine(tenant, appointment, { voicemail: true, language }), tenant, language);
+    response.hangup();
+  } else {
+    // The call carries on in the language the reminder was sent in.
+    const { language } = appointment;
+    startCallRecord(tenant, { callSid, caller: callerNumber, log: fastify.log });
+    const session = getSession(callSid);
+    loadClientProfile(tenant, session, callerNumber);
+    session.language = language;
+    session.reminder = appointment;
+    session.manage = { appointments: [appointment], selectedId: appointment.id, action: null };
+    session.step = STEPS.APPT_ACTION;
+    await respondWithNaturalVoice(response, reminderCallLine(tenant, appointment, { language }), tenant, language);
+    recordTurn(callSid, { bot: spokenLines(response), intent: "reminder" });
+    gatherSpeech(response, language);
+  }
+  reply.type("text/xml").send(response.toString());
+});
+
+// ---------------- HANDOFF: TRANSFER AND VOICEMAIL ----------------
+// Puts the caller through to the stylist during business hours, or takes a voicemail
+// (see handoff.js). `lead` is said first, e.g. an apology after repeated failed turns.
+async function handOff(response, tenant, session, { caller, reason, lead = null }) {
+  const language = session.language || "en";
+  const mode = handoffMode(tenant);
+  const line = localize(tenant, language, mode === "dial" ? "transfer" : "voicemail_closed");
+  fastify.log.info({ callSid: session.callSid, mode, reason }, "📲 HANDOFF TO A PERSON");
+  await respondWithNaturalVoice(response, lead ? `${lead} ${line}` : line, tenant, language);
+  if (mode === "dial") appendDial(response, tenant, { caller, reason, baseUrl: PUBLIC_BASE_URL });
+  else appendVoicemail(response, tenant, { baseUrl: PUBLIC_BASE_URL });
+}
+
+// Played to the stylist before the caller is connected.
+fastify.post("/transfer-whisper", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+  const { tenant: tenantId, caller, reason } = req.query || {};
+  const response = new twiml();
+  response.say({ voice: "Polly.Joanna-Neural" }, whisperLine(getTenantById(tenantId), { caller, reason }));
+  reply.type("text/xml").send(response.toString());
+});
+
+// <Dial> finished: done if the stylist picked up, otherwise take a voicemail.
+fastify.post("/transfer-status", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+  const { CallSid, DialCallStatus, DialCallDuration } = req.body || {};
+  const tenant = getTenantByToNumber(callParties(req.body).salonNumber);
+  const language = findSession(CallSid)?.language || "en";
+  fastify.log.info({ CallSid, DialCallStatus, DialCallDuration }, "📲 Transfer status");
+
+  const response = new twiml();
+  if (DialCallStatus === "completed" || DialCallStatus === "answered") {
+    recordOutcome(CallSid, "transferred");
+    response.hangup();
+    finishCall(CallSid, tenant, "completed");
+  } else {
+    await respondWithNaturalVoice(response, localize(tenant, language, "voicemail_no_answer"), tenant, language);
+    appendVoicemail(response, tenant, { baseUrl: PUBLIC_BASE_URL });
+  }
+  reply.type("text/xml").send(response.toString());
+});
+
+fastify.post("/voicemail-complete", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+  const { CallSid, RecordingDuration } = req.body || {};
+  const tenant = getTenantByToNumber(callParties(req.body).salonNumber);
+  const language = findSession(CallSid)?.language || "en";
+  fastify.log.info({ CallSid, RecordingDuration }, "📮 Voicemail recorded");
+
+  recordOutcome(CallSid, "voicemail");
+  const response = new twiml();
+  await respondWithNaturalVoice(response, localize(tenant, language, "voicemail_thanks"), tenant, language);
+  response.hangup();
+  finishCall(CallSid, tenant, "completed");
+  reply.type("text/xml").send(response.toString());
+});
+
+// Twilio's transcription arrives after the call: pass it on to the owner with the caller's number.
+fastify.post("/voicemail-transcription", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+  const { CallSid, TranscriptionText, TranscriptionStatus } = req.body || {};
+  const { salonNumber, callerNumber } = callParties(req.body);
+  const tenant = getTenantByToNumber(salonNumber);
+  fastify.log.info({ CallSid, TranscriptionStatus, tenant: tenant?.tenant_id }, "📮 Voicemail transcription");
+
+  if (tenant && !notifier.wants(tenant, "voicemail")) {
+    fastify.log.warn({ CallSid, tenant: tenant.tenant_id }, "Voicemail not passed on - no owner number or voicemail notifications off");
+  } else if (tenant) {
+    const text = TranscriptionStatus === "completed" ? TranscriptionText : null;
+    await notifier.notify(tenant, "voicemail", {
+      callSid: CallSid,
+      caller: callerNumber,
+      said: text,
+      detail: text ? null : "(no transcription)",
+      url: `${PUBLIC_BASE_URL}/admin/tenants/${encodeURIComponent(tenant.tenant_id)}/calls/${encodeURIComponent(CallSid || "")}`,
+    });
+  }
+  reply.send({ received: true });
+});
+
+// Keyword commands that promise the owner will follow up.
+const KEYWORD_EVENTS = { DEPOSIT: "deposit_in_person", CANCEL: "cancellation", CLASSES: "training_inquiry" };
+
+function isRunningLate(lowerText) {
+  return /\b(running (late|behind)|late for)\b/.test(lowerText);
+}
+
+// "can I pay the deposit in person", "¿puedo pagar el depósito en efectivo?"
+function wantsDepositInPerson(lowerText) {
+  return /\b(deposit|dep[oó]sito|acompte|d[ée]p[oô]t)/.test(lowerText) &&
+    /\b(in person|cash|come in|en persona|efectivo|en personne|en esp[eè]ces)\b/.test(lowerText);
+}
+
+// CONFIRM / RESCHEDULE / CANCEL in reply to a reminder text (reminders.js).
+async function answerReminderText(tenant, appointment, answer, { fromNumber, body }) {
+  const { language } = appointment;
+  const timezone = tenantTimezone(tenant);
+  const when = describeSlot(appointment.datetime, timezone);
+  const vars = {
+    service: appointment.label,
+    when: reminderSlot(tenant, appointment, { language }),
+    phone: tenant?.contact?.phone || localize(tenant, language, "our_salon"),
+  };
+  fastify.log.info({ fromNumber, appointmentId: appointment.id, answer, language }, "⏰ SMS REMINDER REPLY");
+
+  if (answer === "confirm") {
+    reminders.recordOutcome(tenant, fromNumber, "confirmed", { channel: "sms" });
+    return localize(tenant, language, "reminder_confirmed", vars);
+  }
+
+  if (answer === "reschedule") {
+    reminders.recordOutcome(tenant, fromNumber, "reschedule_requested", { channel: "sms" });
+    const link = getAppointmentLookupLink(tenant) || getMainBookingLink(tenant);
+    return link
+      ? formatSmsReply(localize(tenant, language, "reminder_reschedule_link", vars), link)
+      : localize(tenant, language, "reminder_reschedule_call", vars);
+  }
+
+  const policy = evaluateCancellation(tenant, appointment, { action: "cancel", timezone });
+  try {
+    await getSchedulingProvider(tenant, { timeoutMs: 6000 }).cancel(appointment.id, {
+      note: `Cancelled by text in reply to a reminder. Policy: ${policy.rule || "refundable"}.`,
+    });
+  } catch (err) {
+    fastify.log.error({ err, appointmentId: appointment.id }, "SMS reminder cancellation failed");
+    const command = getKeywordReply(tenant, "CANCEL");
+    return command
+      ? formatSmsReply(command.reply, command.link)
+      : localize(tenant, language, "reminder_cancel_failed", vars);
+  }
+  reminders.recordOutcome(tenant, fromNumber, "cancelled", { channel: "sms" });
+  notifier.notify(tenant, "cancellation", { caller: fromNumber, said: body, detail: `Cancelled their ${appointment.label} on ${when} by text.` });
+  return `${localize(tenant, language, "reminder_cancelled", vars)}${policy.speech ? ` ${policy.speech}` : ""}`;
+}
+
+fastify.post("/incoming-sms", { preHandler: verifyTwilioSignature }, async (req, reply) => {
   const body = req.body?.Body?.trim() || "";
   const fromNumber = (req.body?.From || "").trim();
   const toNumber = (req.body?.To || "").trim();
   const tenant = getTenantByToNumber(toNumber);
+  const tenantId = tenant?.tenant_id;
 
   const response = new twilio.twiml.MessagingResponse();
+  const keyword = parseKeyword(body);
+
+  if (!tenant) {
+    fastify.log.info({ from: fromNumber, to: toNumber }, "SMS ignored - no tenant for number");
+    reply.type("text/xml").send(response.toString());
+    return;
+  }
+
+  fastify.log.info({ from: fromNumber, tenant: tenantId, keyword }, "Incoming SMS");
 
+  // ===== COMPLIANCE: STOP / START / HELP =====
+  // Twilio sends the carrier-required confirmation for STOP/START itself.
+  const compliance = classifyCompliance(keyword);
+  if (compliance === 'opt_out') {
+    setOptOut(tenantId, fromNumber, true, { log: fastify.log });
+    fastify.log.info({ from: fromNumber, tenant: tenantId }, "🚫 SMS opt-out");
+    reply.type("text/xml").send(response.toString());
+    return;
+  }
+  if (compliance === 'opt_in') {
+    setOptOut(tenantId, fromNumber, false, { log: fastify.log });
+    fastify.log.info({ from: fromNumber, tenant: tenantId }, "✅ SMS opt-in");
+    reply.type("text/xml").send(response.toString());
+    return;
+  }
+  if (isOptedOut(tenantId, fromNumber)) {
+    fastify.log.info({ from: fromNumber, tenant: tenantId }, "SMS ignored - number opted out");
+    reply.type("text/xml").send(response.toString());
+    return;
+  }
+  if (compliance === 'help') {
+    response.message(getHelpReply(tenant));
+    reply.type("text/xml").send(response.toString());
+    return;
+  }
+
+  let replyText;
   try {
-    const salonName = tenant?.studio_name || "our salon";
-    response.message(`Thanks for texting ${salonName}! Call us for assistance.`);
+    const override = overrides.match(tenant, body, 'sms');
+    const command = getKeywordReply(tenant, keyword);
+    const reminded = reminders.awaiting(tenant, fromNumber);
+    const reminderAnswer = reminded ? parseReminderReply(body) : null;
+
+    // ===== ANSWER TO A REMINDER TEXT =====
+    if (reminderAnswer) {
+      replyText = await answerReminderText(tenant, reminded, reminderAnswer, { fromNumber, body });
+
+    // ===== OVERRIDE RULES =====
+    } else if (override) {
+      fastify.log.info({ rule: override.match, fromNumber }, "📌 SMS OVERRIDE RULE");
+      const { link } = resolveOverrideLink(tenant, override);
+      replyText = formatSmsReply(override.reply, link);
+
+    // ===== KEYWORD COMMANDS (PORTAL, DIRECTIONS, DEPOSIT, CANCEL, CLASSES, ...) =====
+    } else if (command) {
+      fastify.log.info({ keyword, fromNumber }, "🔑 SMS KEYWORD");
+      replyText = formatSmsReply(command.reply, command.link);
+      if (KEYWORD_EVENTS[keyword]) notifier.notify(tenant, KEYWORD_EVENTS[keyword], { caller: fromNumber, said: body });
+
+    // ===== RUNNING LATE =====
+    } else if (isRunningLate(body.toLowerCase())) {
+      // Only promise the stylist knows once the notification has gone out (or is held for later).
+      const status = await notifier.notify(tenant, "running_late", { caller: fromNumber, said: body });
+      const notified = status === "sent" || status === "held";
+      fastify.log.info({ fromNumber, status }, "⏰ SMS RUNNING LATE");
+      replyText = getRunningLateResponse(tenant, { notified });
+
+    // ===== FREE-FORM: FAQ, THEN OPENAI =====
+    } else if (body) {
+      const language = detectLanguage(body, tenantLanguages(tenant))?.language || "en";
+      const answer = await answerQuestion(tenant, body, {
+        channel: "sms",
+        history: getThread(tenantId, fromNumber),
+        maxTokens: 200,
+        fallbackText: localize(tenant, language, "sms_fallback"),
+        language,
+      });
+      replyText = formatSmsReply(answer.text, answer.sms && getLinkByType(tenant, answer.sms));
+    } else {
+      replyText = getHelpReply(tenant);
+    }
   } catch (err) {
     fastify.log.error({ err }, "SMS error");
-    response.message("Sorry, technical issues. Please call us.");
+    replyText = "Sorry, technical issues. Please call us.";
   }
 
+  if (body) appendToThread(tenantId, fromNumber, "user", body);
+  appendToThread(tenantId, fromNumber, "assistant", replyText);
+  response.message(replyText);
   reply.type("text/xml").send(response.toString());
 });
 
 // ============================================
-// MAIN SPEECH HANDLER - LOC REPAIR CLINIC
+// MAIN SPEECH HANDLER
 // ============================================
-fastify.post("/handle-speech", async (req, reply) => {
+function isAffirmative(lowerSpeech) {
+  return /\b(yes|yeah|yep|sure|okay|ok|please|definitely)\b/.test(lowerSpeech);
+}
+
+function isNegative(lowerSpeech) {
+  return /\b(no|nope|nah|not really)\b/.test(lowerSpeech);
+}
+
+// Explicit phrases always count; bare "new" / "return" only when we just asked "new or returning?".
+function detectClientType(lowerSpeech, lastStep) {
+  if (lowerSpeech.includes('new client') || lowerSpeech.includes('first time') ||
+      lowerSpeech.includes('never been') || lowerSpeech.includes('new customer')) {
+    return 'new';
+  }
+  if (lowerSpeech.includes('returning') || lowerSpeech.includes('been here before') ||
+      lowerSpeech.includes('existing client') || lowerSpeech.includes('come here before')) {
+    return 'returning';
+  }
+  if (lastStep === STEPS.CLIENT_TYPE) {
+    if (/\bnew\b/.test(lowerSpeech)) return 'new';
+    if (/\b(return|regular|before)\b/.test(lowerSpeech)) return 'returning';
+  }
+  return null;
+}
+
+// An override's `sms` is either a full URL or a link type resolved from tenant config.
+function resolveOverrideLink(tenant, rule) {
+  if (!rule.sms) return { link: null, linkType: null };
+  if (/^https?:\/\//.test(rule.sms)) return { link: rule.sms, linkType: null };
+  return { link: getLinkByType(tenant, rule.sms), linkType: rule.sms };
+}
+
+// Texts a link at most once per call and returns what the bot should say about it.
+async function textLinkOnce(session, fromNumber, toNumber, link, tenant, linkType, speech) {
+  const language = session.language || "en";
+  if (session.linksSent.includes(linkType)) {
+    return localize(tenant, language, "link_already_sent");
+  }
+  if (await sendLinksViaSMS(fromNumber, toNumber, [link], tenant, linkType, language)) {
+    session.linksSent.push(linkType);
+    recordLink(session.callSid, linkType);
+  }
+  return speech;
+}
+
+// ---------------- SPANISH / FRENCH CALLS ----------------
+// A smaller keyword router (matchIntent in i18n.js) for calls in another language: links
+// are texted rather than booked by voice, and everything else goes to the FAQ and then to
+// OpenAI, answering in the caller's language.
+async function handleLocalizedSpeech({ tenant, session, speech, response, turn, callSid, fromNumber, toNumber }) {
+  const language = session.language;
+  const say = (text) => respondWithNaturalVoice(response, text, tenant, language);
+  const textLink = async (link, linkType, key) => {
+    if (!link) return say(localize(tenant, language, "no_link", { phone: tenant?.contact?.phone || "" }));
+    return say(await textLinkOnce(session, fromNumber, toNumber, link, tenant, linkType, localize(tenant, language, key)));
+  };
+
+  const lastStep = session.step;
+  session.step = null;
+
+  // Answer to a reminder call's question. Like everything else here, moving or cancelling
+  // is done from a texted link rather than by voice.
+  if (session.reminder && lastStep === STEPS.APPT_ACTION) {
+    const appointment = session.reminder;
+    const answer = matchReminderAnswer(language, speech);
+    turn.intent = "manage_appointment";
+    fastify.log.info({ language, answer, appointmentId: appointment.id }, "⏰ REMINDER CALL ANSWER");
+    if (!answer) {
+      await say(localize(tenant, language, "reminder_call_repeat", {
+        service: appointment.label,
+        when: reminderSlot(tenant, appointment, { language }),
+      }));
+      session.step = STEPS.APPT_ACTION;
+      gatherSpeech(response, language);
+      return;
+    }
+    session.reminder = null;
+    session.manage = null;
+    if (answer === "confirm") {
+      recordOutcome(callSid, "confirmed");
+      reminders.recordOutcome(tenant, fromNumber, "confirmed", { channel: "call", callSid });
+      await say(localize(tenant, language, "reminder_call_confirmed"));
+    } else {
+      if (answer === "reschedule") reminders.recordOutcome(tenant, fromNumber, "reschedule_requested", { channel: "call", callSid });
+      const link = getAppointmentLookupLink(tenant) || getMainBookingLink(tenant);
+      await textLink(link, link === getAppointmentLookupLink(tenant) ? "appointment_lookup" : "booking",
+        answer === "cancel" ? "reminder_call_cancel" : "reminder_call_reschedule");
+    }
+    gatherSpeech(response, language);
+    await say(localize(tenant, language, "anything_else"));
+    return;
+  }
+
+  const portalLink = getPortalLink(tenant);
+  const override = overrides.match(tenant, speech, 'voice');
+  const intent = override ? "override" : matchIntent(language, speech, { askedClientType: lastStep === STEPS.CLIENT_TYPE });
+  turn.intent = intent;
+  fastify.log.info({ language, intent }, "🌐 LOCALIZED INTENT");
+
+  if (override) {
+    await say(override.reply);
+    const { link, linkType } = resolveOverrideLink(tenant, override);
+    if (link) await textLinkOnce(session, fromNumber, toNumber, link, tenant, linkType || link, null);
+    if (override.hangup) {
+      response.hangup();
+      finishCall(callSid, tenant, "completed");
+      return;
+    }
+  } else if (intent === "goodbye") {
+    await say(localize(tenant, language, "goodbye"));
+    response.hangup();
+    finishCall(callSid, tenant, "completed");
+    return;
+  } else if (intent === "appointment" && !session.clientType && isFeatureEnabled(tenant, 'new_vs_returning_flow')) {
+    await say(localize(tenant, language, "ask_client_type"));
+    session.step = STEPS.CLIENT_TYPE;
+    gatherSpeech(response, language);
+    return;
+  } else if (intent === "new_client" || (intent === "appointment" && session.clientType === "new")) {
+    session.clientType = "new";
+    if (requiresQuote(tenant) && portalLink) await textLink(portalLink, 'service_portal', "new_client_portal");
+    else await textLink(getMainBookingLink(tenant), 'booking', "booking_link_sent");
+  } else if (intent === "returning_client" || intent === "appointment") {
+    if (intent === "returning_client") session.clientType = "returning";
+    await textLink(getMainBookingLink(tenant), 'booking', session.clientType === "returning" ? "returning_booking" : "booking_link_sent");
+  } else if (intent === "pricing" && portalLink) {
+    await textLink(portalLink, 'service_portal', "portal_sent");
+  } else if (intent === "location" && getDirectionsLink(tenant)) {
+    await textLink(getDirectionsLink(tenant), 'directions', "directions_sent");
+  } else if (intent === "website" && getWebsiteLink(tenant)) {
+    await textLink(getWebsiteLink(tenant), 'website', "website_sent");
+  } else {
+    const answer = await answerQuestion(tenant, speech, {
+      maxTokens: 150,
+      fallbackText: localize(tenant, language, "couldnt_process"),
+      language,
+    });
+    turn.intent = answer.faq ? "faq" : "llm";
+    await say(answer.text);
+    const answerLink = answer.sms && getLinkByType(tenant, answer.sms);
+    if (answerLink) await textLinkOnce(session, fromNumber, toNumber, answerLink, tenant, answer.sms, null);
+  }
+
+  gatherSpeech(response, language);
+  await say(localize(tenant, language, "anything_else"));
+}
+
+// Records each /handle-speech turn once the TwiML has gone out.
+async function recordSpeechTurn(req) {
+  const turn = req.callTurn;
+  if (turn) recordTurn(turn.callSid, { caller: turn.caller, bot: spokenLines(turn.response), intent: turn.intent });
+}
+
+fastify.post("/handle-speech", { preHandler: verifyTwilioSignature, onResponse: recordSpeechTurn }, async (req, reply) => {
   const speechResult = req.body?.SpeechResult?.trim() || "";
-  const toNumber = (req.body?.To || "").trim();
-  const fromNumber = (req.body?.From || "").trim();
+  // fromNumber is always the client and toNumber the salon, whoever placed the call.
+  const { salonNumber: toNumber, callerNumber: fromNumber } = callParties(req.body);
+  const callSid = req.body?.CallSid;
   const tenant = getTenantByToNumber(toNumber);
+  if (!tenant) {
+    reply.type("text/xml").send(notInServiceTwiml());
+    return;
+  }
+  const session = getSession(callSid);
+  const noRepeat = tenant?.voice_config?.no_repeat_questions !== false;
 
-  fastify.log.info({ speech: speechResult, tenant: tenant?.tenant_id }, "Processing speech");
+  // The first utterance can pick any of the tenant's languages; after that only an
+  // explicit "español" / "in English please" switches.
+  const previousLanguage = session.language || "en";
+  const languages = tenantLanguages(tenant);
+  const detected = speechResult && languages.length > 1
+    ? detectLanguage(speechResult, languages, { explicitOnly: Boolean(session.language) })
+    : null;
+  if (speechResult) session.language = detected?.language || previousLanguage;
+  const language = session.language || "en";
+
+  fastify.log.info({ speech: speechResult, tenant: tenant?.tenant_id, callSid, step: session.step, language }, "Processing speech");
 
   const response = new twiml();
+  const turn = req.callTurn = { callSid, caller: speechResult, response, intent: null };
+
+  // Silent and errored turns in a row count towards escalateAfter(tenant); past it the
+  // caller is handed to a person instead of being asked again.
+  const retryOrEscalate = async (retryKey) => {
+    if (++session.failedTurns >= escalateAfter(tenant)) {
+      turn.intent = "escalated";
+      await handOff(response, tenant, session, {
+        caller: fromNumber,
+        reason: "The assistant couldn't understand the caller.",
+        lead: localize(tenant, language, "escalate"),
+      });
+      return;
+    }
+    await respondWithNaturalVoice(response, localize(tenant, language, retryKey), tenant, language);
+    gatherSpeech(response, language, { timeout: 10 });
+  };
 
   if (!speechResult) {
-    await respondWithNaturalVoice(response, "I didn't catch that. Could you please repeat?", tenant);
-    response.gather({
-      input: "speech",
-      action: "/handle-speech",
-      method: "POST",
-      timeout: 10,
-      speechTimeout: "auto"
-    });
+    turn.intent = "no_speech";
+    await retryOrEscalate("didnt_catch");
+    reply.type("text/xml").send(response.toString());
+    return;
+  }
+
+  session.failedTurns = 0;
+
+  // ===== OWNER NOTIFICATIONS =====
+  // The deposit FAQ tells the caller to text DEPOSIT; the owner hears about it either way.
+  // Nothing here changes what the caller hears.
+  if (wantsDepositInPerson(speechResult.toLowerCase())) {
+    notifier.notify(tenant, "deposit_in_person", { callSid, caller: fromNumber, said: speechResult });
+  }
+
+  // ===== SPEAK TO SOMEONE =====
+  if (wantsPerson(speechResult.toLowerCase(), tenant) || (language !== "en" && matchIntent(language, speechResult) === "human")) {
+    turn.intent = "human";
+    await handOff(response, tenant, session, { caller: fromNumber, reason: `The caller said: "${speechResult}"` });
+    reply.type("text/xml").send(response.toString());
+    return;
+  }
+
+  if (detected?.explicit && language !== previousLanguage) {
+    turn.intent = "language";
+    fastify.log.info({ from: previousLanguage, to: language }, "🌐 LANGUAGE SWITCH");
+    // The after-hours note was only said in English.
+    const closedNote = language !== "en" ? afterHoursNote(tenant, language) : null;
+    await respondWithNaturalVoice(response, [closedNote, localize(tenant, language, "language_switched")].filter(Boolean).join(" "), tenant, language);
+    gatherSpeech(response, language);
+    reply.type("text/xml").send(response.toString());
+    return;
+  }
+
+  if (language !== "en") {
+    try {
+      await handleLocalizedSpeech({ tenant, session, speech: speechResult, response, turn, callSid, fromNumber, toNumber });
+    } catch (err) {
+      fastify.log.error({ err, language }, "Speech processing error");
+      turn.intent = "error";
+      await retryOrEscalate("technical_issue");
+    }
     reply.type("text/xml").send(response.toString());
     return;
   }
 
   try {
     const lowerSpeech = speechResult.toLowerCase();
-    let handled = false;
+    const portalLink = getPortalLink(tenant);
+    const timezone = tenantTimezone(tenant);
+
+    // Each branch below sets the question it leaves open for the next turn.
+    const lastStep = session.step;
+    session.step = null;
+
+    const mentionedService = findService(lowerSpeech, tenant);
+    if (mentionedService) session.service = mentionedService.id;
+    const sessionService = getServiceById(session.service);
+
+    // ===== OVERRIDE RULES (owner-defined, see overrides.js) =====
+    const override = overrides.match(tenant, speechResult, 'voice');
+    if (override) {
+      turn.intent = "override";
+      fastify.log.info({ rule: override.match }, "📌 OVERRIDE RULE");
+      await respondWithNaturalVoice(response, override.reply, tenant);
+      const { link, linkType } = resolveOverrideLink(tenant, override);
+      if (link) {
+        await textLinkOnce(session, fromNumber, toNumber, link, tenant, linkType || link, null);
+      }
+      if (override.hangup) {
+        response.hangup();
+        finishCall(callSid, tenant, "completed");
+      } else {
+        gatherSpeech(response);
+        await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+      }
+      reply.type("text/xml").send(response.toString());
+      return;
+    }
+
+    const clientType = detectClientType(lowerSpeech, lastStep);
+    if (clientType) session.clientType = clientType;
+
+    // Texts the quote form for a service, or the portal when the tenant has no form for it.
+    const offerQuote = async (service) => {
+      const quoteLink = getQuoteLink(tenant, service);
+      if (quoteLink) {
+        const speech = await textLinkOnce(session, fromNumber, toNumber, quoteLink, tenant, `${service.id}_quote`,
+          `I'm texting you the ${service.label} quote form. Fill it out to get personalized pricing.`);
+        await respondWithNaturalVoice(response, speech, tenant);
+        return true;
+      }
+      if (portalLink) {
+        const speech = await textLinkOnce(session, fromNumber, toNumber, portalLink, tenant, 'service_portal',
+          `I'm texting you our service portal where you can get personalized pricing for ${service.label}.`);
+        await respondWithNaturalVoice(response, speech, tenant);
+        return true;
+      }
+      return false;
+    };
+
+    const offerBooking = async (service) => {
+      const bookingLink = getBookingLink(tenant, service);
+      if (!bookingLink) return false;
+      const speech = await textLinkOnce(session, fromNumber, toNumber, bookingLink, tenant, `${service.id}_booking`,
+        `Perfect! I'm texting you the direct booking link for your ${service.bookingLabel} appointment.`);
+      await respondWithNaturalVoice(response, speech, tenant);
+      return true;
+    };
+
+    // Reads out the next open slots from the tenant's scheduling provider so returning clients
+    // can book (or move an appointment) without a link. Returns false when the tenant can't
+    // book by voice.
+    const offerSlots = async (service, intro = null, { appointmentTypeID, rescheduleId = null, label } = {}) => {
+      if (!isFeatureEnabled(tenant, 'voice_booking')) return false;
+      try {
+        const scheduler = getSchedulingProvider(tenant, { timeoutMs: 4000 });
+        appointmentTypeID = appointmentTypeID || scheduler.appointmentTypeFor(service);
+        if (!appointmentTypeID) return false;
+        const slots = await scheduler.findAvailability({ appointmentTypeID, timezone });
+        if (!slots.length) return false;
+        session.booking = {
+          serviceId: service?.id || null,
+          appointmentTypeID,
+          slots,
+          pick: null,
+          rescheduleId,
+          label: label || service.bookingLabel,
+        };
+        fastify.log.info({ service: service?.id, slots, rescheduleId }, "🗓️ OFFERING TIME SLOTS");
+        const lead = intro || `I can book your ${session.booking.label} right now.`;
+        await respondWithNaturalVoice(response, `${lead} The next openings are ${describeSlots(slots, timezone)}. Which one works for you? Or say "text me the link".`, tenant);
+        session.step = STEPS.SLOT_OFFERED;
+        gatherSpeech(response);
+        return true;
+      } catch (err) {
+        if (!(err instanceof SchedulingConfigError)) {
+          fastify.log.warn({ err, service: service?.id }, "Could not load availability");
+        }
+        return false;
+      }
+    };
+
+    // Texts the link to finish online when booking or moving by voice isn't possible.
+    const textBookingFallback = async (speech) => {
+      const { serviceId, rescheduleId } = session.booking || session.manage || {};
+      const service = getServiceById(serviceId);
+      const useLookup = rescheduleId || session.manage || !service;
+      const link = useLookup ? getAppointmentLookupLink(tenant) : getBookingLink(tenant, service);
+      const linkType = useLookup ? 'appointment_lookup' : `${service.id}_booking`;
+      session.booking = null;
+      session.manage = null;
+      if (!link) {
+        await respondWithNaturalVoice(response, `Sorry, I can't finish that by phone right now. Please call ${tenant?.contact?.phone || "us"} back during business hours.`, tenant);
+        return;
+      }
+      await respondWithNaturalVoice(response, await textLinkOnce(session, fromNumber, toNumber, link, tenant, linkType, speech), tenant);
+    };
+
+    const salonSignature = () => tenant?.studio_name || "Your salon";
+
+    // On a reminder call, what the client decided about the appointment (reminders.js).
+    const answerReminder = (outcome) => {
+      if (!session.reminder) return;
+      reminders.recordOutcome(tenant, fromNumber, outcome, { channel: "call", callSid });
+      session.reminder = null;
+    };
+    const addressLine = () => (tenant?.address ? ` ${tenant.address}.` : "");
+
+    // Books (or reschedules to) session.booking.pick. New bookings use the caller's
+    // details from their last visit. Returns true when it left a new question open.
+    const bookPickedSlot = async () => {
+      const { appointmentTypeID, pick, label, rescheduleId, serviceId } = session.booking;
+      const when = describeSlot(pick, timezone);
+      try {
+        const scheduler = getSchedulingProvider(tenant, { timeoutMs: 6000 });
+
+        if (rescheduleId) {
+          await scheduler.reschedule(rescheduleId, { datetime: pick, timezone });
+          session.booking = null;
+          session.manage = null;
+          fastify.log.info({ appointmentId: rescheduleId, datetime: pick }, "🔁 RESCHEDULED BY VOICE");
+          recordOutcome(callSid, "rescheduled");
+          answerReminder("rescheduled");
+          await respondWithNaturalVoice(response, `Done! Your ${label} has been moved to ${when}. I'm texting you a confirmation.`, tenant);
+          await sendTextMessage(fromNumber, toNumber,
+            `${salonSignature()}: your ${label} has been moved to ${when}.${addressLine()} Confirmation #${rescheduleId}.`,
+            tenant, { appointmentId: rescheduleId });
+          return false;
+        }
+
+        const profile = await scheduler.findClientProfile(fromNumber);
+        if (!profile) {
+          fastify.log.info({ fromNumber }, "No client history for caller - sending booking link");
+          await textBookingFallback("I couldn't find your details from a past visit under this number, so I'm texting you the booking link to finish up.");
+          return false;
+        }
+
+        const appointment = await scheduler.book({ appointmentTypeID, datetime: pick, ...profile, phone: fromNumber, timezone });
+        session.booking = null;
+        fastify.log.info({ appointmentId: appointment?.id, service: serviceId, datetime: pick }, "✅ BOOKED BY VOICE");
+        recordOutcome(callSid, "booked");
+        await respondWithNaturalVoice(response, `You're all set, ${profile.firstName}! Your ${label} is booked for ${when}. I'm texting you a confirmation.`, tenant);
+        await sendTextMessage(fromNumber, toNumber,
+          `${salonSignature()}: your ${label} is confirmed for ${when}.${addressLine()} Confirmation #${appointment?.id}.`,
+          tenant, { appointmentId: appointment?.id });
+        return false;
+      } catch (err) {
+        if (err instanceof SlotUnavailableError &&
+            await offerSlots(getServiceById(serviceId), "Sorry, that time was just taken.", { appointmentTypeID, rescheduleId, label })) {
+          return true;
+        }
+        fastify.log.error({ err }, "Voice booking failed");
+        await textBookingFallback("I'm having trouble with the booking system right now, so I'm texting you the link to finish online.");
+        return false;
+      }
+    };
+
+    const selectedAppointment = () =>
+      session.manage?.appointments.find((appt) => appt.id === session.manage.selectedId) || null;
+
+    // Reads back the caller's upcoming appointments. Returns false when the tenant
+    // has no scheduling backend to look them up in.
+    const startManageAppointment = async (action) => {
+      let appointments;
+      try {
+        appointments = await findUpcomingAppointments(getSchedulingProvider(tenant, { timeoutMs: 5000 }), fromNumber, tenant);
+      } catch (err) {
+        if (!(err instanceof SchedulingConfigError)) {
+          fastify.log.warn({ err }, "Could not look up appointments");
+        }
+        return false;
+      }
+
+      fastify.log.info({ count: appointments.length, action }, "📋 MANAGE APPOINTMENT");
+      if (!appointments.length) {
+        await respondWithNaturalVoice(response, "I don't see any upcoming appointments under the number you're calling from. Would you like to book one?", tenant);
+        gatherSpeech(response);
+        return true;
+      }
+
+      session.manage = { appointments: appointments.slice(0, 3), selectedId: null, action };
+      if (session.manage.appointments.length > 1) {
+        const list = session.manage.appointments.map((appt) => `your ${appt.label} on ${describeSlot(appt.datetime, timezone)}`).join(", and ");
+        await respondWithNaturalVoice(response, `I see ${list}. Which one ${action ? `would you like to ${action}` : "are you calling about"}?`, tenant);
+        session.step = STEPS.APPT_SELECT;
+        gatherSpeech(response);
+        return true;
+      }
+
+      session.manage.selectedId = appointments[0].id;
+      await continueManageAppointment();
+      return true;
+    };
+
+    // Next step for the selected appointment: ask what to do, state the policy, or find new times.
+    const continueManageAppointment = async () => {
+      const appt = selectedAppointment();
+      const when = describeSlot(appt.datetime, timezone);
+      const { action } = session.manage;
+
+      if (action === 'cancel') {
+        const policy = evaluateCancellation(tenant, appt, { action, timezone });
+        await respondWithNaturalVoice(response, `Your ${appt.label} is on ${when}. ${policy.speech} Do you still want to cancel it?`.replace(/\s+/g, " "), tenant);
+        session.step = STEPS.CANCEL_CONFIRM;
+        gatherSpeech(response);
+        return;
+      }
+
+      if (action === 'reschedule') {
+        const moved = await offerSlots(getServiceById(appt.serviceId), `Let's find a new time for your ${appt.label} on ${when}.`, {
+          appointmentTypeID: appt.appointmentTypeID,
+          rescheduleId: appt.id,
+          label: appt.label,
+        });
+        if (!moved) {
+          answerReminder("reschedule_requested");
+          await textBookingFallback("I can't pull up open times right now, so I'm texting you the link to reschedule online.");
+          gatherSpeech(response);
+          await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+        }
+        return;
+      }
+
+      await respondWithNaturalVoice(response, `I see your ${appt.label} on ${when}. Would you like to keep it, cancel it, or reschedule it?`, tenant);
+      session.step = STEPS.APPT_ACTION;
+      gatherSpeech(response);
+    };
+
+    // Without a scheduling backend, reads the caller's upcoming dates from Airtable and
+    // texts the lookup link so they can manage them online.
+    const readBackAirtableAppointments = async () => {
+      const airtable = getAirtable(tenant);
+      let appointments = null;
+      try {
+        appointments = airtable && await airtable.findUpcomingAppointments(fromNumber);
+      } catch (err) {
+        fastify.log.error({ err }, "Airtable appointment lookup failed");
+      }
+
+      if (!appointments) {
+        await respondWithNaturalVoice(response, "I'm having trouble accessing appointments right now.", tenant);
+      } else if (!appointments.length) {
+        await respondWithNaturalVoice(response, "I don't see any upcoming appointments under your number. Would you like to book one?", tenant);
+        return;
+      } else {
+        const list = appointments.slice(0, 3).map((appt) =>
+          `${appt.service ? `your ${appt.service}` : "an appointment"} on ${appt.datetime ? describeSlot(appt.datetime, timezone) : "a date I can't read"}`);
+        await respondWithNaturalVoice(response, `I see ${list.join(", and ")}.`, tenant);
+      }
+      if (!session.linksSent.includes('appointment_lookup')) {
+        const link = getAppointmentLookupLink(tenant);
+        const speech = await textLinkOnce(session, fromNumber, toNumber, link, tenant, 'appointment_lookup',
+          "I'm texting you the appointment lookup link so you can manage it.");
+        if (link) await respondWithNaturalVoice(response, speech, tenant);
+      }
+    };
+
+    // New clients get a quote first; we only ask which service if we don't already know it.
+    const handleNewClient = async () => {
+      fastify.log.info("🆕 NEW CLIENT DETECTED");
+      if (sessionService && await offerQuote(sessionService)) {
+        gatherSpeech(response);
+        await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+        return;
+      }
+      const quoteIntro = requiresQuote(tenant) ? "As a new client, you'll need to get a personalized quote first. " : "";
+      const portalOffer = portalLink ? ", or would you like to explore our service portal?" : "?";
+      await respondWithNaturalVoice(response, `Welcome! ${quoteIntro}Do you know which service you need${portalOffer}`, tenant);
+      session.step = STEPS.NEW_SERVICE;
+      gatherSpeech(response, "en", { timeout: 15 });
+    };
+
+    const handleReturningClient = async () => {
+      if (!isFeatureEnabled(tenant, 'maintenance_booking_links')) {
+        fastify.log.info("🔄 RETURNING CLIENT DETECTED - Sending booking link");
+        const speech = await textLinkOnce(session, fromNumber, toNumber, getMainBookingLink(tenant), tenant, 'booking',
+          "Welcome back! I'm texting you our booking link now.");
+        await respondWithNaturalVoice(response, speech, tenant);
+      } else if (sessionService && await offerSlots(sessionService)) {
+        return;
+      } else if (sessionService && await offerBooking(sessionService)) {
+        fastify.log.info({ service: sessionService.id }, "📅 SENDING BOOKING LINK");
+      } else {
+        fastify.log.info("🔄 RETURNING CLIENT DETECTED");
+        await respondWithNaturalVoice(response, "Great! Since you're a returning client, what service do you usually get? I can send you a direct booking link.", tenant);
+        session.step = STEPS.RETURNING_SERVICE;
+        gatherSpeech(response);
+        return;
+      }
+      gatherSpeech(response);
+      await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+    };
+
+    const askClientType = async () => {
+      fastify.log.info("🎯 APPOINTMENT REQUEST - Asking new vs returning");
+      await respondWithNaturalVoice(response, "Are you a new client or a returning client?", tenant);
+      session.step = STEPS.CLIENT_TYPE;
+      gatherSpeech(response);
+    };
+
+    // ===== PRIORITY 0: PICKING / CONFIRMING A TIME SLOT =====
+    if (session.booking && (lastStep === STEPS.SLOT_OFFERED || lastStep === STEPS.SLOT_CONFIRM)) {
+      turn.intent = "slot_pick";
+      const { slots, pick, label, rescheduleId } = session.booking;
+      const picked = pickSlot(lowerSpeech, slots, timezone);
+      let askedAgain = false;
+
+      if (/\b(link|text me|send me)\b/.test(lowerSpeech)) {
+        await textBookingFallback("No problem, I'm texting you the link now.");
+      } else if (lastStep === STEPS.SLOT_CONFIRM && isAffirmative(lowerSpeech) && !isNegative(lowerSpeech) &&
+          (picked < 0 || slots[picked] === pick)) {
+        askedAgain = await bookPickedSlot();
+      } else if (picked >= 0) {
+        session.booking.pick = slots[picked];
+        const when = describeSlot(slots[picked], timezone);
+        let confirmText = `Just to confirm: ${label} on ${when}. Should I book it?`;
+        if (rescheduleId) {
+          const policy = evaluateCancellation(tenant, selectedAppointment() || { datetime: slots[picked] }, { action: 'reschedule', timezone });
+          confirmText = `Just to confirm: move your ${label} to ${when}. ${policy.speech} Should I go ahead?`.replace(/\s+/g, " ");
+        }
+        await respondWithNaturalVoice(response, confirmText, tenant);
+        session.step = STEPS.SLOT_CONFIRM;
+        gatherSpeech(response);
+        askedAgain = true;
+      } else if (isNegative(lowerSpeech) && lastStep === STEPS.SLOT_OFFERED) {
+        await textBookingFallback("No problem. I'm texting you the link so you can pick a time that works for you.");
+      } else {
+        const lead = isNegative(lowerSpeech) ? "No problem." : "Sorry, I didn't catch which one.";
+        await respondWithNaturalVoice(response, `${lead} The openings are ${describeSlots(slots, timezone)}. Which one works for you?`, tenant);
+        session.step = STEPS.SLOT_OFFERED;
+        gatherSpeech(response);
+        askedAgain = true;
+      }
+
+      if (!askedAgain) {
+        gatherSpeech(response);
+        await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+      }
+      reply.type("text/xml").send(response.toString());
+      return;
+    }
+
+    // ===== PRIORITY 0: WHICH APPOINTMENT / WHAT TO DO WITH IT =====
+    if (session.manage && [STEPS.APPT_SELECT, STEPS.APPT_ACTION, STEPS.CANCEL_CONFIRM].includes(lastStep)) {
+      turn.intent = "manage_appointment";
+      const { appointments } = session.manage;
+      let finished = false;
+
+      if (lastStep === STEPS.APPT_SELECT) {
+        let index = pickSlot(lowerSpeech, appointments.map((appt) => appt.datetime), timezone);
+        if (index < 0 && mentionedService) {
+          index = appointments.findIndex((appt) => appt.serviceId === mentionedService.id);
+        }
+        if (index >= 0) {
+          session.manage.selectedId = appointments[index].id;
+          await continueManageAppointment();
+        } else {
+          const list = appointments.map((appt) => `the ${appt.label} on ${describeSlot(appt.datetime, timezone)}`).join(", or ");
+          await respondWithNaturalVoice(response, `Sorry, which one: ${list}?`, tenant);
+          session.step = STEPS.APPT_SELECT;
+          gatherSpeech(response);
+        }
+      } else if (lastStep === STEPS.APPT_ACTION) {
+        if (lowerSpeech.includes('cancel')) {
+          session.manage.action = 'cancel';
+          await continueManageAppointment();
+        } else if (/\b(reschedule|move|change|different)\b/.test(lowerSpeech)) {
+          session.manage.action = 'reschedule';
+          await continueManageAppointment();
+        } else if (session.reminder && !/\b(confirm|keep|be there|see you)\b/.test(lowerSpeech) &&
+            !(isAffirmative(lowerSpeech) && !isNegative(lowerSpeech))) {
+          // A reminder call only takes an unclear answer as "keep it" when it's a clear yes.
+          const appt = selectedAppointment();
+          await respondWithNaturalVoice(response, `Sorry, I didn't catch that. Would you like to confirm your ${appt.label} on ${describeSlot(appt.datetime, timezone)}, cancel it, or reschedule it?`, tenant);
+          session.step = STEPS.APPT_ACTION;
+          gatherSpeech(response);
+        } else {
+          if (session.reminder) {
+            recordOutcome(callSid, "confirmed");
+            answerReminder("confirmed");
+          }
+          session.manage = null;
+          await respondWithNaturalVoice(response, "Great, you're all set. We'll see you then!", tenant);
+          finished = true;
+        }
+      } else {
+        const appt = selectedAppointment();
+        if (isAffirmative(lowerSpeech) && !isNegative(lowerSpeech)) {
+          const policy = evaluateCancellation(tenant, appt, { action: 'cancel', timezone });
+          const when = describeSlot(appt.datetime, timezone);
+          try {
+            await getSchedulingProvider(tenant, { timeoutMs: 6000 }).cancel(appt.id, {
+              note: `Cancelled by phone via voice assistant. Policy: ${policy.rule || "refundable"}.`
+            });
+            session.manage = null;
+            fastify.log.info({ appointmentId: appt.id, rule: policy.rule }, "❌ CANCELLED BY VOICE");
+            recordOutcome(callSid, "cancelled");
+            answerReminder("cancelled");
+            notifier.notify(tenant, "cancellation", { callSid, caller: fromNumber, detail: `Cancelled their ${appt.label} on ${when} by phone.` });
+            await respondWithNaturalVoice(response, `Your ${appt.label} on ${when} has been cancelled. I'm texting you a confirmation.`, tenant);
+            await sendTextMessage(fromNumber, toNumber,
+              `${salonSignature()}: your ${appt.label} on ${when} has been cancelled.${policy.speech ? ` ${policy.speech}` : ""}`,
+              tenant, { appointmentId: appt.id });
+          } catch (err) {
+            fastify.log.error({ err, appointmentId: appt.id }, "Voice cancellation failed");
+            await textBookingFallback("I'm having trouble cancelling that right now, so I'm texting you the link to cancel online.");
+          }
+        } else {
+          session.manage = null;
+          await respondWithNaturalVoice(response, "Okay, I'll leave your appointment as it is.", tenant);
+        }
+        finished = true;
+      }
+
+      if (finished) {
+        gatherSpeech(response);
+        await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+      }
+      reply.type("text/xml").send(response.toString());
+      return;
+    }
+
+    // ===== EXISTING APPOINTMENTS: CHECK / CANCEL / RESCHEDULE =====
+    // "cancellation policy" is a question, not a request to cancel, so match the verb only.
+    const manageAction = /\bcancel(l?ing)?\b/.test(lowerSpeech) ? 'cancel' : (/\breschedul(e|ing)\b/.test(lowerSpeech) ? 'reschedule' : null);
+    if (manageAction || lowerSpeech.includes('check appointment') || lowerSpeech.includes('manage appointment') ||
+        lowerSpeech.includes('check my appointment') || lowerSpeech.includes('when is my appointment')) {
+      turn.intent = "appointment_lookup";
+      if (!(await startManageAppointment(manageAction))) {
+        await readBackAirtableAppointments();
+        gatherSpeech(response);
+        await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+      }
+      reply.type("text/xml").send(response.toString());
+      return;
+    }
+
+    // ===== PRIORITY 0: ANSWER TO "WOULD YOU LIKE A QUOTE?" =====
+    if (lastStep === STEPS.QUOTE_OFFERED && sessionService && !mentionedService) {
+      turn.intent = "quote_answer";
+      if (isNegative(lowerSpeech)) {
+        await respondWithNaturalVoice(response, "No problem. Is there anything else I can help you with?", tenant);
+        gatherSpeech(response);
+        reply.type("text/xml").send(response.toString());
+        return;
+      }
+      if (isAffirmative(lowerSpeech) && await offerQuote(sessionService)) {
+        gatherSpeech(response);
+        await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+        reply.type("text/xml").send(response.toString());
+        return;
+      }
+    }
 
     // ===== PRIORITY 1: APPOINTMENT REQUESTS =====
-    if (!handled && (
+    if (
       lowerSpeech.includes('appointment') ||
       lowerSpeech.includes('book') ||
       lowerSpeech.includes('schedule')
-    )) {
-      fastify.log.info("🎯 APPOINTMENT REQUEST - Asking new vs returning");
-      await respondWithNaturalVoice(response, "Are you a new client or a returning client?", tenant);
-      response.gather({
-        input: "speech",
-        action: "/handle-speech",
-        method: "POST",
-        timeout: 12,
-        speechTimeout: "auto"
-      });
+    ) {
+      turn.intent = "appointment_request";
+      if (!isFeatureEnabled(tenant, 'new_vs_returning_flow')) {
+        fastify.log.info("🎯 APPOINTMENT REQUEST - Sending booking link");
+        const speech = await textLinkOnce(session, fromNumber, toNumber, getMainBookingLink(tenant), tenant, 'booking',
+          "I'm texting you our booking link now.");
+        await respondWithNaturalVoice(response, speech, tenant);
+        gatherSpeech(response);
+        await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+      } else if (session.clientType === 'new' && (noRepeat || clientType)) {
+        await handleNewClient();
+      } else if (session.clientType === 'returning' && (noRepeat || clientType)) {
+        await handleReturningClient();
+      } else {
+        await askClientType();
+      }
       reply.type("text/xml").send(response.toString());
       return;
     }
     
     // ===== PRIORITY 2: NEW CLIENT RESPONSE =====
-    if (!handled && (
-      lowerSpeech.includes('new client') ||
-      lowerSpeech.includes('first time') ||
-      lowerSpeech.includes('never been') ||
-      lowerSpeech.includes('new customer') ||
-      (lowerSpeech.includes('new') && !lowerSpeech.includes('what'))
-    )) {
-      fastify.log.info("🆕 NEW CLIENT DETECTED");
-      await respondWithNaturalVoice(response, "Welcome! As a new client, you'll need to get a personalized quote first. Do you know which service you need, or would you like to explore our service portal?", tenant);
-      response.gather({
-        input: "speech",
-        action: "/handle-speech",
-        method: "POST",
-        timeout: 15,
-        speechTimeout: "auto"
-      });
+    if (clientType === 'new') {
+      turn.intent = "new_client";
+      await handleNewClient();
       reply.type("text/xml").send(response.toString());
       return;
     }
     
     // ===== PRIORITY 3: NEW CLIENT - SERVICE PORTAL =====
-    if (!handled && (
+    if (portalLink && (
       lowerSpeech.includes('explore') ||
       lowerSpeech.includes('portal') ||
       lowerSpeech.includes('not sure') ||
@@ -536,241 +1712,207 @@ fastify.post("/handle-speech", async (req, reply) => {
       lowerSpeech.includes('confused') ||
       lowerSpeech.includes('help me decide')
     )) {
+      turn.intent = "service_portal";
       fastify.log.info("📋 SENDING SERVICE PORTAL");
-      await respondWithNaturalVoice(response, "No problem! I'm texting you our service portal where you can explore all services and get personalized quotes.", tenant);
-      const portalLink = "https://www.locrepair.com/service_portal";
-      await sendLinksViaSMS(fromNumber, toNumber, [portalLink], tenant, 'service_portal');
-      response.gather({
-        input: "speech",
-        action: "/handle-speech",
-        method: "POST",
-        timeout: 12,
-        speechTimeout: "auto"
-      });
+      const speech = await textLinkOnce(session, fromNumber, toNumber, portalLink, tenant, 'service_portal',
+        "No problem! I'm texting you our service portal where you can explore all services and get personalized quotes.");
+      await respondWithNaturalVoice(response, speech, tenant);
+      gatherSpeech(response);
       await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
       reply.type("text/xml").send(response.toString());
       return;
     }
     
     // ===== PRIORITY 4: SERVICE QUESTIONS =====
-    if (!handled) {
-      const serviceKeywords = ['retwist', 'wick', 'interlock', 'sisterlock', 'sister lock', 
-                               'microlock', 'crochet', 'bald coverage', 'bald spot', 
-                               'repair', 'extension', 'starter locs'];
-      let mentionedService = null;
-      for (const keyword of serviceKeywords) {
-        if (lowerSpeech.includes(keyword)) {
-          mentionedService = keyword;
-          break;
-        }
-      }
+    if (mentionedService) {
+      turn.intent = "service_question";
+      const isInfoIntent = (
+        lowerSpeech.includes('what are') || lowerSpeech.includes('what is') ||
+        lowerSpeech.includes('tell me about') || lowerSpeech.includes('tell me more') ||
+        lowerSpeech.includes('explain') || lowerSpeech.includes('how do') ||
+        lowerSpeech.includes('what\'s the difference') || lowerSpeech.includes('do you offer') ||
+        lowerSpeech.includes('do you do') || lowerSpeech.includes('can you do') ||
+        lowerSpeech.includes('more info') || lowerSpeech.includes('learn about') ||
+        lowerSpeech.includes('information about')
+      );
+      const isPricingIntent = (
+        lowerSpeech.includes('how much') || lowerSpeech.includes('cost') ||
+        lowerSpeech.includes('price') || lowerSpeech.includes('pricing') ||
+        lowerSpeech.includes('get a quote') || lowerSpeech.includes('quote for')
+      );
+      const quoteLink = getQuoteLink(tenant, mentionedService);
       
-      if (mentionedService) {
-        const isInfoIntent = (
-          lowerSpeech.includes('what are') || lowerSpeech.includes('what is') ||
-          lowerSpeech.includes('tell me about') || lowerSpeech.includes('tell me more') ||
-          lowerSpeech.includes('explain') || lowerSpeech.includes('how do') ||
-          lowerSpeech.includes('what\'s the difference') || lowerSpeech.includes('do you offer') ||
-          lowerSpeech.includes('do you do') || lowerSpeech.includes('can you do') ||
-          lowerSpeech.includes('more info') || lowerSpeech.includes('learn about') ||
-          lowerSpeech.includes('information about')
-        );
-        const isPricingIntent = (
-          lowerSpeech.includes('how much') || lowerSpeech.includes('cost') ||
-          lowerSpeech.includes('price') || lowerSpeech.includes('pricing') ||
-          lowerSpeech.includes('get a quote') || lowerSpeech.includes('quote for')
-        );
-        const isBookingIntent = (
-          lowerSpeech.includes('book') || lowerSpeech.includes('appointment') ||
-          lowerSpeech.includes('schedule')
-        );
-        
-        if (isInfoIntent) {
-          fastify.log.info({ service: mentionedService }, "ℹ️ INFO INTENT");
-          const knowledgeText = loadKnowledgeFor(tenant);
-          const systemPrompt = buildVoicePrompt(tenant, knowledgeText);
-          const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            temperature: 0.7,
-            messages: [
-              { role: "system", content: systemPrompt },
-              { role: "user", content: speechResult }
-            ],
-            max_tokens: 200
-          });
-          const aiResponse = completion.choices?.[0]?.message?.content?.trim() || "Let me help you with that.";
-          await respondWithNaturalVoice(response, aiResponse, tenant);
-          await respondWithNaturalVoice(response, `Would you like to get a personalized quote for ${mentionedService.replace('_', ' ')}?`, tenant);
-          response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
-          handled = true;
-          reply.type("text/xml").send(response.toString());
-          return;
-        } else if (isPricingIntent) {
-          fastify.log.info({ service: mentionedService }, "💰 PRICING INTENT");
-          let quoteLink = null;
-          let serviceName = mentionedService;
-          if (mentionedService === 'retwist') { quoteLink = "https://www.locrepair.com/retwist-quote/"; serviceName = "retwist"; }
-          else if (mentionedService === 'wick') { quoteLink = "https://www.locrepair.com/wick-maintenance-quote/"; serviceName = "wick locs"; }
-          else if (mentionedService.includes('bald')) { quoteLink = "https://www.locrepair.com/bald-quote-for-existing-locs/"; serviceName = "bald coverage"; }
-          else if (mentionedService === 'repair') { quoteLink = "https://www.locrepair.com/repair-quote/"; serviceName = "loc repair"; }
-          else if (mentionedService === 'crochet') { quoteLink = "https://www.locrepair.com/crochet-maintenance-quote"; serviceName = "crochet maintenance"; }
-          else if (mentionedService === 'interlock') { quoteLink = "https://www.locrepair.com/interlocking-maintenance-quote/"; serviceName = "interlock maintenance"; }
-          else if (mentionedService.includes('sisterlock') || mentionedService.includes('microlock')) { quoteLink = "https://www.locrepair.com/micro-sister-brother-locs-maintenance-quote/"; serviceName = "sisterlock/microlock maintenance"; }
-          else if (mentionedService.includes('starter')) { quoteLink = "https://www.locrepair.com/starter-loc-quote"; serviceName = "starter locs"; }
-          else if (mentionedService === 'extension') { quoteLink = "https://www.locrepair.com/permanent-loc-extensions-quote/"; serviceName = "loc extensions"; }
-          
-          if (quoteLink) {
-            await respondWithNaturalVoice(response, `I'm texting you the ${serviceName} quote form. Fill it out to get personalized pricing.`, tenant);
-            await sendLinksViaSMS(fromNumber, toNumber, [quoteLink], tenant, `${serviceName.replace(' ', '_')}_quote`);
-            response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
-            await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
-            handled = true;
-            reply.type("text/xml").send(response.toString());
-            return;
-          }
-        } else if (isBookingIntent) {
-          fastify.log.info({ service: mentionedService }, "📅 BOOKING INTENT");
-          await respondWithNaturalVoice(response, "Are you a new client or a returning client?", tenant);
-          response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
-          handled = true;
-          reply.type("text/xml").send(response.toString());
-          return;
+      if (isInfoIntent) {
+        fastify.log.info({ service: mentionedService.id }, "ℹ️ INFO INTENT");
+        const answer = await answerQuestion(tenant, speechResult, { maxTokens: 200, fallbackText: "Let me help you with that." });
+        await respondWithNaturalVoice(response, answer.text, tenant);
+        const answerLink = answer.sms && getLinkByType(tenant, answer.sms);
+        if (answerLink) {
+          await textLinkOnce(session, fromNumber, toNumber, answerLink, tenant, answer.sms, null);
         }
+        if (quoteLink && !session.linksSent.includes(`${mentionedService.id}_quote`)) {
+          await respondWithNaturalVoice(response, `Would you like to get a personalized quote for ${mentionedService.label}?`, tenant);
+          session.step = STEPS.QUOTE_OFFERED;
+        } else {
+          await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+        }
+        gatherSpeech(response);
+        reply.type("text/xml").send(response.toString());
+        return;
+      }
+
+      if (isPricingIntent && quoteLink) {
+        fastify.log.info({ service: mentionedService.id }, "💰 PRICING INTENT");
+        await offerQuote(mentionedService);
+        gatherSpeech(response);
+        await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+        reply.type("text/xml").send(response.toString());
+        return;
+      }
+
+      // A bare service name answers whichever question we asked last.
+      if (lastStep === STEPS.NEW_SERVICE || (session.clientType === 'new' && lastStep !== STEPS.RETURNING_SERVICE)) {
+        await handleNewClient();
+        reply.type("text/xml").send(response.toString());
+        return;
+      }
+      if (lastStep === STEPS.RETURNING_SERVICE || session.clientType === 'returning') {
+        session.clientType = 'returning';
+        await handleReturningClient();
+        reply.type("text/xml").send(response.toString());
+        return;
+      }
+      if (isFeatureEnabled(tenant, 'new_vs_returning_flow')) {
+        await askClientType();
+        reply.type("text/xml").send(response.toString());
+        return;
+      }
+      if (await offerBooking(mentionedService)) {
+        gatherSpeech(response);
+        await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
+        reply.type("text/xml").send(response.toString());
+        return;
       }
+      // Nothing to book it with: the questions below may still answer it.
     }
 
     // ===== HANDLE "YES" RESPONSES =====
-    if (!handled && (lowerSpeech.includes('yes') || lowerSpeech.includes('yeah') || 
-        lowerSpeech.includes('sure') || lowerSpeech.includes('okay'))) {
+    if (isAffirmative(lowerSpeech) && lastStep !== STEPS.CLIENT_TYPE) {
+      turn.intent = "yes";
       await respondWithNaturalVoice(response, "Great! Which service would you like a quote for?", tenant);
-      response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
-      handled = true;
+      session.clientType = session.clientType || 'new';
+      session.step = STEPS.NEW_SERVICE;
+      gatherSpeech(response);
       reply.type("text/xml").send(response.toString());
       return;
     }
 
     // ===== PRIORITY 5: RETURNING CLIENT =====
-    if (!handled && (
-      lowerSpeech.includes('returning') || lowerSpeech.includes('been here before') ||
-      lowerSpeech.includes('existing client') || lowerSpeech.includes('regular') ||
-      lowerSpeech.includes('come here before') || lowerSpeech.includes('return')
-    )) {
-      fastify.log.info("🔄 RETURNING CLIENT DETECTED");
-      await respondWithNaturalVoice(response, "Great! Since you're a returning client, what service do you usually get? I can send you a direct booking link.", tenant);
-      response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
+    if (clientType === 'returning') {
+      turn.intent = "returning_client";
+      await handleReturningClient();
       reply.type("text/xml").send(response.toString());
       return;
     }
     
-    // ===== PRIORITY 6: RETURNING CLIENT BOOKING LINKS =====
-    if (!handled) {
-      let bookingLink = null;
-      let serviceName = "";
-      if (lowerSpeech.includes('retwist') || lowerSpeech.includes('palm roll')) { bookingLink = "https://locrepair.as.me/?appointmentType=83058786"; serviceName = "retwist"; }
-      else if (lowerSpeech.includes('wick')) { bookingLink = "https://locrepair.as.me/?appointmentType=83060814"; serviceName = "wick loc maintenance"; }
-      else if (lowerSpeech.includes('interlock')) { bookingLink = "https://locrepair.as.me/?appointmentType=83060708"; serviceName = "interlock maintenance"; }
-      else if (lowerSpeech.includes('sisterlock') || lowerSpeech.includes('sister lock') || lowerSpeech.includes('microlock')) { bookingLink = "https://locrepair.as.me/?appointmentType=83060793"; serviceName = "sisterlock maintenance"; }
-      else if (lowerSpeech.includes('crochet')) { bookingLink = "https://locrepair.as.me/?appointmentType=83060747"; serviceName = "crochet roots maintenance"; }
-      else if (lowerSpeech.includes('bald')) { bookingLink = "https://locrepair.as.me/?appointmentType=83060933"; serviceName = "bald coverage maintenance"; }
-      
-      if (bookingLink) {
-        fastify.log.info({ service: serviceName }, "📅 SENDING BOOKING LINK");
-        await respondWithNaturalVoice(response, `Perfect! I'm texting you the direct booking link for your ${serviceName} appointment.`, tenant);
-        await sendLinksViaSMS(fromNumber, toNumber, [bookingLink], tenant, `${serviceName.replace(' ', '_')}_booking`);
-        response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
-        await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
-        reply.type("text/xml").send(response.toString());
-        return;
-      }
-    }
-    
     // ===== CONSULTATION =====
-    if (!handled && lowerSpeech.includes('consultation')) {
+    const consultLink = getConsultationLink(tenant);
+    if (consultLink && lowerSpeech.includes('consultation')) {
+      turn.intent = "consultation";
       fastify.log.info("📋 CONSULTATION REQUEST");
-      await respondWithNaturalVoice(response, "I'm texting you our consultation booking link.", tenant);
-      const consultLink = "https://locrepair.as.me/?appointmentType=83061405";
-      await sendLinksViaSMS(fromNumber, toNumber, [consultLink], tenant, 'consultation_booking');
-      response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
+      const speech = await textLinkOnce(session, fromNumber, toNumber, consultLink, tenant, 'consultation_booking',
+        "I'm texting you our consultation booking link.");
+      await respondWithNaturalVoice(response, speech, tenant);
+      gatherSpeech(response);
       await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
       reply.type("text/xml").send(response.toString());
       return;
     }
     
     // ===== HOURS =====
-    if (!handled && (lowerSpeech.includes('hour') || lowerSpeech.includes('open') || lowerSpeech.includes('close'))) {
-      await respondWithNaturalVoice(response, "We're open Sunday through Friday, 11 AM to 7 PM by appointment only. We're closed Saturdays. What service are you interested in?", tenant);
-      response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
+    if (lowerSpeech.includes('hour') || lowerSpeech.includes('open') || lowerSpeech.includes('close')) {
+      turn.intent = "hours";
+      // "Are you open on Saturday?" gets that day; anything else, the week and where we are now.
+      await respondWithNaturalVoice(response, answerDayQuestion(tenant, lowerSpeech) || getHoursResponse(tenant), tenant);
+      gatherSpeech(response);
       reply.type("text/xml").send(response.toString());
       return;
     }
     
     // ===== PRICING =====
-    if (!handled && (lowerSpeech.includes('price') || lowerSpeech.includes('cost') || lowerSpeech.includes('how much'))) {
-      await respondWithNaturalVoice(response, "Our pricing is quote-based since everyone's needs are different. I'm texting you our service portal where you can get personalized pricing.", tenant);
-      const portalLink = "https://www.locrepair.com/service_portal";
-      await sendLinksViaSMS(fromNumber, toNumber, [portalLink], tenant, 'service_portal');
-      response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
+    if (portalLink && (lowerSpeech.includes('price') || lowerSpeech.includes('cost') || lowerSpeech.includes('how much'))) {
+      turn.intent = "pricing";
+      const speech = await textLinkOnce(session, fromNumber, toNumber, portalLink, tenant, 'service_portal',
+        "Our pricing is quote-based since everyone's needs are different. I'm texting you our service portal where you can get personalized pricing.");
+      await respondWithNaturalVoice(response, speech, tenant);
+      gatherSpeech(response);
       await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
       reply.type("text/xml").send(response.toString());
       return;
     }
     
     // ===== TRAINING =====
-    if (!handled && (lowerSpeech.includes('training') || lowerSpeech.includes('course') || lowerSpeech.includes('learn'))) {
-      await respondWithNaturalVoice(response, "Yes, we offer a comprehensive loc repair training program for 49 dollars per week. You can text START to 313-455-5627 to enroll.", tenant);
-      response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
+    const trainingResponse = getTrainingResponse(tenant);
+    if (trainingResponse && (lowerSpeech.includes('training') || lowerSpeech.includes('course') || lowerSpeech.includes('learn'))) {
+      turn.intent = "training";
+      notifier.notify(tenant, "training_inquiry", { callSid, caller: fromNumber, said: speechResult });
+      await respondWithNaturalVoice(response, trainingResponse, tenant);
+      gatherSpeech(response);
       await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
       reply.type("text/xml").send(response.toString());
       return;
     }
     
     // ===== LOCATION =====
-    if (!handled && (lowerSpeech.includes('address') || lowerSpeech.includes('location') || lowerSpeech.includes('where are you'))) {
-      await respondWithNaturalVoice(response, "We're located at 25240 Lahser Road, Suite 9, Southfield, Michigan 48033. Parking is in the rear with handicap access.", tenant);
-      response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
+    const addressResponse = getAddressResponse(tenant);
+    if (addressResponse && (lowerSpeech.includes('address') || lowerSpeech.includes('location') || lowerSpeech.includes('where are you'))) {
+      turn.intent = "location";
+      const directionsLink = getDirectionsLink(tenant);
+      if (directionsLink && !session.linksSent.includes('directions')) {
+        await textLinkOnce(session, fromNumber, toNumber, directionsLink, tenant, 'directions', null);
+        await respondWithNaturalVoice(response, `${addressResponse} I'm texting you directions to our door.`, tenant);
+      } else {
+        await respondWithNaturalVoice(response, addressResponse, tenant);
+      }
+      gatherSpeech(response);
       await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
       reply.type("text/xml").send(response.toString());
       return;
     }
     
     // ===== WEBSITE =====
-    if (!handled && (lowerSpeech.includes('website') || lowerSpeech.includes('web site') || lowerSpeech.includes('online'))) {
-      await respondWithNaturalVoice(response, "I'm texting you our website link now.", tenant);
-      await sendLinksViaSMS(fromNumber, toNumber, ["https://www.locrepair.com"], tenant, 'website');
-      response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
+    const websiteLink = getWebsiteLink(tenant);
+    if (websiteLink && (lowerSpeech.includes('website') || lowerSpeech.includes('web site') || lowerSpeech.includes('online'))) {
+      turn.intent = "website";
+      const speech = await textLinkOnce(session, fromNumber, toNumber, websiteLink, tenant, 'website',
+        "I'm texting you our website link now.");
+      await respondWithNaturalVoice(response, speech, tenant);
+      gatherSpeech(response);
       await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
       reply.type("text/xml").send(response.toString());
       return;
     }
     
     // ===== INSTAGRAM =====
-    if (!handled && (lowerSpeech.includes('instagram') || lowerSpeech.includes('insta') || lowerSpeech.includes('social media'))) {
-      await respondWithNaturalVoice(response, "I'm texting you our Instagram link now.", tenant);
-      await sendLinksViaSMS(fromNumber, toNumber, ["https://www.instagram.com/locrepairexpert"], tenant, 'instagram');
-      response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
+    const instagramLink = getInstagramLink(tenant);
+    if (instagramLink && (lowerSpeech.includes('instagram') || lowerSpeech.includes('insta') || lowerSpeech.includes('social media'))) {
+      turn.intent = "instagram";
+      const speech = await textLinkOnce(session, fromNumber, toNumber, instagramLink, tenant, 'instagram',
+        "I'm texting you our Instagram link now.");
+      await respondWithNaturalVoice(response, speech, tenant);
+      gatherSpeech(response);
       await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
       reply.type("text/xml").send(response.toString());
       return;
     }
     
     // ===== RUNNING LATE =====
-    if (!handled && (lowerSpeech.includes('running late') || lowerSpeech.includes('running behind') || lowerSpeech.includes('late for'))) {
-      await respondWithNaturalVoice(response, "Thanks for the update! Yesha has been informed you're running behind.", tenant);
-      response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
-      await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
-      reply.type("text/xml").send(response.toString());
-      return;
-    }
-    
-    // ===== APPOINTMENT LOOKUP =====
-    if (!handled && (lowerSpeech.includes('check appointment') || lowerSpeech.includes('manage appointment') || 
-        lowerSpeech.includes('cancel') || lowerSpeech.includes('reschedule'))) {
-      const appointmentResult = await callAirtableAPI(tenant, 'lookup_appointments', { phone: fromNumber });
-      await respondWithNaturalVoice(response, appointmentResult.speech, tenant);
-      if (appointmentResult.handled) {
-        await sendLinksViaSMS(fromNumber, toNumber, ["https://www.locrepair.com/appointment-lookup.html"], tenant, 'appointment_lookup');
-      }
-      response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
+    if (isRunningLate(lowerSpeech)) {
+      turn.intent = "running_late";
+      const status = await notifier.notify(tenant, "running_late", { callSid, caller: fromNumber, said: speechResult });
+      const notified = status === "sent" || status === "held";
+      await respondWithNaturalVoice(response, getRunningLateResponse(tenant, { notified }), tenant);
+      gatherSpeech(response);
       await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
       reply.type("text/xml").send(response.toString());
       return;
@@ -781,8 +1923,10 @@ fastify.post("/handle-speech", async (req, reply) => {
         lowerSpeech.includes('that\'s all') || lowerSpeech.includes('nothing else') ||
         lowerSpeech.includes('no more') || lowerSpeech.includes('have a good day') ||
         (lowerSpeech.includes('no') && (lowerSpeech.includes('thank') || lowerSpeech.includes('good')))) {
+      turn.intent = "goodbye";
       await respondWithNaturalVoice(response, "You're welcome! Have a great day!", tenant);
       response.hangup();
+      finishCall(callSid, tenant, "completed");
       reply.type("text/xml").send(response.toString());
       return;
     }
@@ -790,48 +1934,76 @@ fastify.post("/handle-speech", async (req, reply) => {
     // ===== SIMPLE NO =====
     if (lowerSpeech.includes('no') && lowerSpeech.length <= 15 && 
         !lowerSpeech.includes('english') && !lowerSpeech.includes('problem')) {
+      turn.intent = "simple_no";
       await respondWithNaturalVoice(response, "Looks like you're all set! Feel free to call back anytime. Have a great day!", tenant);
       response.hangup();
+      finishCall(callSid, tenant, "completed");
       reply.type("text/xml").send(response.toString());
       return;
     }
     
-    // ===== FALLBACK: OPENAI =====
-    fastify.log.info("💬 Using OpenAI for loc knowledge question");
-    const knowledgeText = loadKnowledgeFor(tenant);
-    const systemPrompt = buildVoicePrompt(tenant, knowledgeText);
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      temperature: 0.7,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: speechResult }
-      ],
-      max_tokens: 150
-    });
-    const aiResponse = completion.choices?.[0]?.message?.content?.trim() || "I'm sorry, I couldn't process that right now.";
-    await respondWithNaturalVoice(response, aiResponse, tenant);
-    response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 12, speechTimeout: "auto" });
+    // ===== FALLBACK: FAQ, THEN OPENAI =====
+    fastify.log.info("💬 Answering loc knowledge question");
+    const answer = await answerQuestion(tenant, speechResult, { maxTokens: 150, fallbackText: "I'm sorry, I couldn't process that right now." });
+    turn.intent = answer.faq ? "faq" : "llm";
+    await respondWithNaturalVoice(response, answer.text, tenant);
+    const answerLink = answer.sms && getLinkByType(tenant, answer.sms);
+    if (answerLink) {
+      await textLinkOnce(session, fromNumber, toNumber, answerLink, tenant, answer.sms, null);
+    }
+    gatherSpeech(response);
     await respondWithNaturalVoice(response, "Is there anything else I can help you with?", tenant);
     reply.type("text/xml").send(response.toString());
     return;
 
   } catch (err) {
     fastify.log.error({ err }, "Speech processing error");
-    await respondWithNaturalVoice(response, "I'm having a technical issue. Let me try again - what did you need help with?", tenant);
-    response.gather({ input: "speech", action: "/handle-speech", method: "POST", timeout: 10, speechTimeout: "auto" });
+    turn.intent = "error";
+    await retryOrEscalate("technical_issue");
     reply.type("text/xml").send(response.toString());
   }
 });
 
+// Twilio <Stream> target for tenants in realtime mode (see realtime.js).
+fastify.get("/media-stream", { websocket: true, preHandler: verifyTwilioSignature }, (socket) => {
+  bridgeMediaStream(socket, {
+    // The tenant comes from the number that was called, as on the HTTP webhooks.
+    lookupCall: async (callSid) => {
+      const call = await twilioClient.calls(callSid).fetch();
+      if (call.status !== "in-progress") return null;
+      const { salonNumber, callerNumber } = callParties({ From: call.from, To: call.to, Direction: call.direction });
+      return { tenant: getTenantByToNumber(salonNumber), callerNumber };
+    },
+    instructionsFor: (tenant) => buildVoicePrompt(tenant, loadKnowledgeFor(tenant), { mode: "realtime" }),
+    sendLinks: (caller, tenant, links, linkType) => sendLinksViaSMS(caller, tenant?.phone_number, links, tenant, linkType),
+    twilioClient,
+    baseUrl: PUBLIC_BASE_URL,
+    notifier,
+    log: fastify.log,
+    apiKey: OPENAI_API_KEY,
+  });
+});
+
 // ---------------- START SERVER ----------------
 fastify.listen({ port: PORT, host: "0.0.0.0" }, (err, address) => {
   if (err) {
     fastify.log.error(err);
     process.exit(1);
   }
-  console.log(`🚀 LocSync Voice Bot - Loc Repair Clinic Edition running on ${address}`);
-  console.log(`📞 Phone: 313-455-5627`);
-  console.log(`🎤 ElevenLabs: ${process.env.ELEVENLABS_API_KEY ? "ENABLED ✅" : "Disabled"}`);
-  console.log(`✨ Hardcoded flow for New vs Returning clients!`);
+  console.log(`🚀 LocSync Voice Bot running on ${address}`);
+  if (isTestMode()) console.warn("⚠️ TWILIO_WEBHOOK_TEST_MODE: Twilio signatures are NOT being checked");
+  console.log(`📞 Tenants: ${Object.values(TENANTS).map(t => `${t.tenant_id} (${t.phone_number}${t.active === false ? ", inactive" : ""})`).join(', ')}`);
+  console.log(`🎤 Voices: ${Object.keys(TENANTS).map((id) => `${id}=${speaker.voiceChain(getTenantById(id)).map((v) => v.provider).join(">")}`).join(', ')}`);
+  console.log(`🌐 Languages: ${Object.keys(TENANTS).map((id) => `${id}=${tenantLanguages(getTenantById(id)).join("+")}`).join(', ')}`);
+  console.log(`🎙️ Call modes: ${Object.keys(TENANTS).map((id) => `${id}=${getCallMode(getTenantById(id))}`).join(', ')}`);
+  console.log(`⏰ Reminders: ${Object.keys(TENANTS).map((id) => {
+    const tenant = getTenantById(id);
+    if (!remindersEnabled(tenant)) return `${id}=off`;
+    const { sms, call } = reminderSettings(tenant);
+    return `${id}=${[sms.length && `sms ${sms.join("/")}h`, call.length && `call ${call.join("/")}h`].filter(Boolean).join(", ")}`;
+  }).join(', ')}`);
+  reminders.start();
+
+  speaker.prewarm(Object.keys(TENANTS).map(getTenantById).filter(Boolean), prewarmPhrasesFor)
+    .then(({ warmed, total }) => total && fastify.log.info(`🔥 Pre-warmed ${warmed}/${total} TTS clips`));
 });
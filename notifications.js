@@ -0,0 +1,287 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { DateTime } from "luxon";
+import { tenantTimezone } from "./voice-booking.js";
+import { ownerNumber } from "./handoff.js";
+
+// Tells the owner when a call or text needs them to do something: a client running late,
+// asking to pay a deposit in person, cancelling, asking about training, or leaving a
+// voicemail. Each event is opted into per tenant, with the channels it goes out on:
+//   "notifications": {
+//     "events": {
+//       "running_late": ["sms"],
+//       "deposit_in_person": ["sms", "email"],
+//       "cancellation": ["email", "webhook"],
+//       "training_inquiry": ["email"],
+//       "voicemail": ["sms"]                       // the default, even without this block
+//     },
+//     "sms": "+13135550100",                       // default transfer.owner_sms (handoff.js)
+//     "email": "owner@example.com",
+//     "webhook_url": "https://hooks.example.com/locsync",
+//     "webhook_secret": "s3cret",                  // X-LocSync-Signature: hex HMAC-SHA256 of the body
+//     "digest_minutes": 60,                        // emails are batched into one digest per window
+//     "quiet_hours": { "start": "21:00", "end": "08:00" }
+//   }
+// Quiet hours are in the tenant's `timezone`: texts and digests are held until they end,
+// then go out as one message. Webhooks are for machines and always go out right away.
+// An event is sent once per call (CallSid), or once a day per number for texts.
+//   EMAIL_API_URL      SendGrid-compatible mail send endpoint (a local stand-in for testing)
+//   EMAIL_API_KEY      bearer token for it; email is skipped without one
+//   NOTIFY_EMAIL_FROM  sender address
+//   NOTIFICATIONS_FILE held notifications and what was already sent, across restarts
+
+const EMAIL_API_URL = process.env.EMAIL_API_URL || "https://api.sendgrid.com/v3/mail/send";
+const NOTIFY_EMAIL_FROM = process.env.NOTIFY_EMAIL_FROM || "notifications@locsync.app";
+const NOTIFICATIONS_FILE = process.env.NOTIFICATIONS_FILE || "./data/notifications.json";
+const WEBHOOK_TIMEOUT_MS = 5000;
+const DEFAULT_DIGEST_MINUTES = 60;
+const SENT_TTL_MS = 48 * 60 * 60 * 1000;
+
+export const NOTIFICATION_EVENTS = {
+  running_late: "Running late",
+  deposit_in_person: "Wants to pay a deposit in person",
+  cancellation: "Cancellation",
+  training_inquiry: "Training enquiry",
+  voicemail: "New voicemail",
+};
+
+const CHANNELS = ["sms", "email", "webhook"];
+const DEFAULT_EVENTS = { voicemail: ["sms"] };
+
+const digits = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+const localTime = (tenant, at) => DateTime.fromMillis(at.valueOf(), { zone: tenantTimezone(tenant) });
+
+function settings(tenant) {
+  return tenant?.notifications || {};
+}
+
+// Channels an event is on for this tenant (`true` means every channel), keeping only
+// those with somewhere to send to.
+export function channelsFor(tenant, event) {
+  const config = settings(tenant);
+  const chosen = { ...DEFAULT_EVENTS, ...config.events }[event];
+  const channels = chosen === true ? CHANNELS : (Array.isArray(chosen) ? chosen : []);
+  return channels.filter((channel) => (
+    (channel === "sms" && (config.sms || ownerNumber(tenant))) ||
+    (channel === "email" && config.email) ||
+    (channel === "webhook" && config.webhook_url)
+  ));
+}
+
+// "21:00" -> 1260 minutes after midnight.
+function minutes(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || "").trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+export function inQuietHours(tenant, now = DateTime.now()) {
+  const start = minutes(settings(tenant).quiet_hours?.start);
+  const end = minutes(settings(tenant).quiet_hours?.end);
+  if (start === null || end === null || start === end) return false;
+  const local = localTime(tenant, now);
+  const minute = local.hour * 60 + local.minute;
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+// One line per notification: what happened, who, when, and what they said.
+export function describeNotification(tenant, { event, caller, said, detail, url, at }) {
+  const when = localTime(tenant, DateTime.fromISO(at)).toFormat("ccc LLL d, h:mm a");
+  const quote = said ? ` "${said.trim().slice(0, 200)}"` : "";
+  return `${NOTIFICATION_EVENTS[event] || event} - ${caller || "unknown number"}, ${when}:${quote}` +
+    (detail ? ` ${detail}` : "") + (url ? ` ${url}` : "");
+}
+
+// ---------------- STORE ----------------
+function loadStore(file) {
+  try {
+    const store = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { pending: store.pending || {}, sent: store.sent || {} };
+  } catch {
+    return { pending: {}, sent: {} };
+  }
+}
+
+function saveStore(file, store, log) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(store, null, 2));
+  } catch (err) {
+    log.error({ err, file }, "❌ Failed to save notifications");
+  }
+}
+
+// ---------------- CHANNELS ----------------
+async function sendEmail(to, subject, text) {
+  if (!process.env.EMAIL_API_KEY) throw new Error("EMAIL_API_KEY is not set");
+  const res = await fetch(EMAIL_API_URL, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${process.env.EMAIL_API_KEY}`, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      personalizations: [{ to: [{ email: to }] }],
+      from: { email: NOTIFY_EMAIL_FROM },
+      subject,
+      content: [{ type: "text/plain", value: text }],
+    }),
+  });
+  if (!res.ok) throw new Error(`email API error: ${res.status}`);
+}
+
+async function postWebhook(tenant, notification) {
+  const config = settings(tenant);
+  const body = JSON.stringify({
+    event: notification.event,
+    tenant_id: tenant?.tenant_id || null,
+    studio: tenant?.studio_name || null,
+    call_sid: notification.callSid || null,
+    caller: notification.caller || null,
+    said: notification.said || null,
+    detail: notification.detail || null,
+    url: notification.url || null,
+    at: notification.at,
+  });
+  const headers = { "Content-Type": "application/json" };
+  if (config.webhook_secret) {
+    headers["X-LocSync-Signature"] = crypto.createHmac("sha256", config.webhook_secret).update(body).digest("hex");
+  }
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const res = await fetch(config.webhook_url, { method: "POST", headers, body, signal: controller.signal });
+    if (!res.ok) throw new Error(`webhook responded ${res.status}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ---------------- NOTIFIER ----------------
+// sendSms(to, body, tenant, context) -> bool sends from the tenant's number (index.js's sendTextMessage).
+// getTenant(tenantId) finds the tenant again when held notifications are flushed.
+export function createNotifier({ sendSms, getTenant, log = console, file = NOTIFICATIONS_FILE }) {
+  const store = loadStore(file);
+
+  function hold(tenant, channel, notification) {
+    const id = tenant?.tenant_id || "default";
+    store.pending[id] = store.pending[id] || {};
+    store.pending[id][channel] = [...(store.pending[id][channel] || []), { ...notification, queuedAt: Date.now() }];
+  }
+
+  async function sendSmsDigest(tenant, notifications) {
+    const lines = notifications.map((n) => describeNotification(tenant, n));
+    const body = lines.length === 1
+      ? `${tenant?.studio_name || "LocSync"}: ${lines[0]}`
+      : `${tenant?.studio_name || "LocSync"}: ${lines.length} notifications\n${lines.map((line) => `- ${line}`).join("\n")}`;
+    const to = settings(tenant).sms || ownerNumber(tenant);
+    return sendSms(to, body, tenant, { event: notifications.map((n) => n.event).join(","), notification: true });
+  }
+
+  async function sendEmailDigest(tenant, notifications) {
+    const studio = tenant?.studio_name || "LocSync";
+    const subject = notifications.length === 1
+      ? `${studio}: ${NOTIFICATION_EVENTS[notifications[0].event] || notifications[0].event}`
+      : `${studio}: ${notifications.length} call notifications`;
+    await sendEmail(settings(tenant).email, subject, notifications.map((n) => describeNotification(tenant, n)).join("\n\n"));
+    return true;
+  }
+
+  // Sends what's held for each tenant once quiet hours are over (and, for email, once
+  // the digest window has passed). Failed sends are logged, not retried.
+  async function flush(now = DateTime.now()) {
+    for (const [tenantId, held] of Object.entries(store.pending)) {
+      const tenant = getTenant(tenantId);
+      if (!tenant) {
+        delete store.pending[tenantId];
+        continue;
+      }
+      if (inQuietHours(tenant, now)) continue;
+
+      const window = (Number(settings(tenant).digest_minutes ?? DEFAULT_DIGEST_MINUTES) || 0) * 60 * 1000;
+      for (const channel of ["sms", "email"]) {
+        const notifications = held[channel] || [];
+        if (!notifications.length) continue;
+        if (channel === "email" && now.valueOf() - Math.min(...notifications.map((n) => n.queuedAt)) < window) continue;
+        delete held[channel];
+        try {
+          await (channel === "sms" ? sendSmsDigest : sendEmailDigest)(tenant, notifications);
+          log.info({ tenant: tenantId, channel, count: notifications.length }, "🔔 Owner notifications sent");
+        } catch (err) {
+          log.error({ err, tenant: tenantId, channel }, "Failed to send owner notifications");
+        }
+      }
+      if (!Object.keys(held).length) delete store.pending[tenantId];
+    }
+
+    for (const [key, at] of Object.entries(store.sent)) {
+      if (now.valueOf() - at > SENT_TTL_MS) delete store.sent[key];
+    }
+    saveStore(file, store, log);
+  }
+
+  return {
+    // Whether the owner hears about this event at all, so callers are only told
+    // "Yesha has been informed" when it's true.
+    wants(tenant, event) {
+      return channelsFor(tenant, event).length > 0;
+    },
+
+    // details: { callSid, caller, said, detail, url, at }. Resolves once immediate channels
+    // have gone out; never rejects. Resolves to what happened:
+    //   "sent"       at least one channel delivered it
+    //   "held"       nothing failed, but it waits for the email digest or the end of quiet hours
+    //   "failed"     every channel that tried to send it failed
+    //   "duplicate"  already passed on for this call (or this number today)
+    //   "off"        the tenant doesn't want this event, or has nowhere to send it
+    async notify(tenant, event, { callSid = null, caller = null, said = null, detail = null, url = null, at = DateTime.now() } = {}) {
+      const channels = channelsFor(tenant, event);
+      if (!channels.length) return "off";
+
+      const day = localTime(tenant, at).toISODate();
+      const key = `${tenant?.tenant_id || "default"}:${event}:${callSid || `sms:${digits(caller)}:${day}`}`;
+      if (store.sent[key]) {
+        log.info({ key }, "Owner notification skipped - already sent");
+        return "duplicate";
+      }
+      store.sent[key] = Date.now();
+
+      const notification = { event, callSid, caller, said, detail, url, at: DateTime.fromMillis(at.valueOf()).toISO() };
+      const quiet = inQuietHours(tenant, at);
+      log.info({ tenant: tenant?.tenant_id, event, callSid, channels, quiet }, "🔔 Owner notification");
+
+      let sent = 0;
+      let held = 0;
+      for (const channel of channels) {
+        try {
+          if (channel === "webhook") {
+            await postWebhook(tenant, notification);
+            sent++;
+          } else if (channel === "email" || quiet) {
+            hold(tenant, channel, notification);
+            held++;
+          } else if (await sendSmsDigest(tenant, [notification])) {
+            sent++;
+          } else {
+            log.warn({ tenant: tenant?.tenant_id, event, channel }, "Owner notification not sent");
+          }
+        } catch (err) {
+          log.error({ err, tenant: tenant?.tenant_id, event, channel }, "Failed to send owner notification");
+        }
+      }
+      saveStore(file, store, log);
+      if (channels.includes("email")) await flush().catch((err) => log.error({ err }, "Notification flush failed"));
+      if (sent) return "sent";
+      if (held) return "held";
+      // Nothing went out, so a later attempt isn't a duplicate.
+      delete store.sent[key];
+      saveStore(file, store, log);
+      return "failed";
+    },
+
+    flush,
+
+    startFlushing(intervalMs = 60 * 1000) {
+      return setInterval(() => {
+        flush().catch((err) => log.error({ err }, "Notification flush failed"));
+      }, intervalMs).unref();
+    },
+  };
+}
@@ -0,0 +1,91 @@
+import fs from "fs";
+
+// Owner-editable reply rules, checked before the keyword router.
+// Global rules live in ./overrides.json, per-tenant rules in ./tenants/<id>/overrides.json
+// (tenant rules win). Files are re-read when they change, so edits need no deploy.
+//
+// Rule shape:
+//   {
+//     "match": "walk[- ]?ins?",    // JS RegExp source; a leading "(?i)" is accepted as the i flag
+//     "flags": "i",                // optional RegExp flags
+//     "reply": "We're appointment only.",
+//     "sms": "booking",            // optional: a link type from tenant-config.js or a full URL
+//     "hangup": false,             // optional: end the call after the reply (voice only)
+//     "channels": ["voice", "sms"] // optional: defaults to both
+//   }
+
+const GLOBAL_OVERRIDES_PATH = "./overrides.json";
+const cache = new Map(); // path -> { mtimeMs, rules }
+
+export function compileRule(rule) {
+  if (!rule || typeof rule.match !== "string" || typeof rule.reply !== "string") {
+    throw new Error("Override rule needs string `match` and `reply`");
+  }
+
+  let source = rule.match;
+  const flags = new Set((rule.flags || "").split(""));
+  // PCRE-style inline flags aren't valid in JS; lift them into RegExp flags.
+  const inline = /^\(\?([imsu]+)\)/.exec(source);
+  if (inline) {
+    source = source.slice(inline[0].length);
+    for (const f of inline[1]) flags.add(f);
+  }
+  // Rules are tested repeatedly; stateful flags would make matches alternate.
+  flags.delete("g");
+  flags.delete("y");
+
+  return {
+    match: rule.match,
+    pattern: new RegExp(source, [...flags].join("")),
+    reply: rule.reply,
+    sms: rule.sms || null,
+    hangup: rule.hangup === true,
+    channels: Array.isArray(rule.channels) ? rule.channels : ["voice", "sms"],
+  };
+}
+
+// log: pino-style logger for rules and files that can't be used (they're skipped).
+export function createOverrides({ log = console } = {}) {
+  function readRules(path) {
+    let stat;
+    try {
+      stat = fs.statSync(path);
+    } catch {
+      return [];
+    }
+
+    const cached = cache.get(path);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.rules;
+
+    const rules = [];
+    try {
+      const raw = JSON.parse(fs.readFileSync(path, "utf8"));
+      for (const rule of Array.isArray(raw) ? raw : []) {
+        try {
+          rules.push(compileRule(rule));
+        } catch (err) {
+          log.warn({ err, path, match: rule?.match }, "⚠️ Skipping override rule");
+        }
+      }
+    } catch (err) {
+      log.warn({ err, path }, "⚠️ Could not load overrides");
+    }
+
+    cache.set(path, { mtimeMs: stat.mtimeMs, rules });
+    return rules;
+  }
+
+  function load(tenant) {
+    const tenantRules = tenant?.tenant_id ? readRules(`./tenants/${tenant.tenant_id}/overrides.json`) : [];
+    return [...tenantRules, ...readRules(GLOBAL_OVERRIDES_PATH)];
+  }
+
+  return {
+    load,
+
+    match(tenant, text, channel) {
+      if (!text) return null;
+      return load(tenant).find((rule) => rule.channels.includes(channel) && rule.pattern.test(text)) || null;
+    },
+  };
+}
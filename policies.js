@@ -0,0 +1,64 @@
+import { DateTime } from "luxon";
+import { getServiceById } from "./tenant-config.js";
+
+// Applies a tenant's `policies.cancellation` rules to an appointment the caller wants to
+// cancel or move, so the bot can state the consequence before acting.
+//
+//   "cancellation": {
+//     "same_day": "forfeits deposit",
+//     "maintenance": "72 hours notice required for refund",
+//     "specialty": "bald coverage and extensions deposits non-refundable",
+//     "refund_window_hours": 72,                               // else read from `maintenance`
+//     "non_refundable_services": ["bald_coverage", "extensions"]
+//   }
+
+function refundWindowHours(rules) {
+  if (Number.isFinite(rules.refund_window_hours)) return rules.refund_window_hours;
+  const match = /(\d+)\s*hours?/i.exec(rules.maintenance || "");
+  return match ? Number(match[1]) : null;
+}
+
+// Returns { refundable, rule, speech } where rule is "specialty" | "same_day" | "notice" | null.
+export function evaluateCancellation(tenant, appointment, { action = "cancel", timezone, now = DateTime.now() } = {}) {
+  const rules = tenant?.policies?.cancellation;
+  if (!rules) return { refundable: true, rule: null, speech: "" };
+
+  const start = DateTime.fromISO(appointment.datetime, { setZone: true }).setZone(timezone);
+  const hoursUntil = start.diff(now, "hours").hours;
+  const windowHours = refundWindowHours(rules);
+  const verb = action === "reschedule" ? "rescheduling" : "cancelling";
+
+  if (appointment.serviceId && (rules.non_refundable_services || []).includes(appointment.serviceId)) {
+    const label = getServiceById(appointment.serviceId)?.label || appointment.label;
+    return {
+      refundable: false,
+      rule: "specialty",
+      speech: `Just so you know, the deposit for ${label} is non-refundable.`,
+    };
+  }
+
+  if (start.hasSame(now.setZone(timezone), "day")) {
+    return {
+      refundable: false,
+      rule: "same_day",
+      speech: `Since your appointment is today, ${verb} means your deposit is forfeited.`,
+    };
+  }
+
+  if (windowHours && hoursUntil < windowHours) {
+    return {
+      refundable: false,
+      rule: "notice",
+      speech: `We need ${windowHours} hours notice for a deposit refund, and your appointment is less than ${windowHours} hours away, so your deposit won't be refunded.`,
+    };
+  }
+
+  if (!windowHours) return { refundable: true, rule: null, speech: "" };
+  return {
+    refundable: true,
+    rule: null,
+    speech: action === "reschedule"
+      ? `Since it's more than ${windowHours} hours away, your deposit carries over to the new time.`
+      : `Since it's more than ${windowHours} hours away, your deposit is refundable.`,
+  };
+}
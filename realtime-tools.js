@@ -0,0 +1,278 @@
+import twilio from "twilio";
+import { getAvailableLinkTypes, getLinkByType, describeLink } from "./tenant-config.js";
+import { getSchedulingProvider, getSchedulingProviderName, SchedulingConfigError } from "./scheduling.js";
+import { findUpcomingAppointments, describeSlot, tenantTimezone } from "./voice-booking.js";
+import { recordLink } from "./call-records.js";
+import { getHoursResponse, isOpenAt, nextOpening } from "./business-hours.js";
+import { forwardingNumber, handoffMode, appendDial, appendVoicemail } from "./handoff.js";
+import { LANGUAGES, localize, tenantLanguages, preferredLanguage } from "./i18n.js";
+import { NOTIFICATION_EVENTS } from "./notifications.js";
+
+// Function tools for the Realtime agent: the same things the <Gather> bot can do
+// (text links, read back appointments, give hours, hand off to a person), scoped to
+// one call's tenant and caller.
+
+const DEFAULT_TOOL_TIMEOUT_MS = Number(process.env.REALTIME_TOOL_TIMEOUT_MS) || 8000;
+
+// ---------------- REGISTRY ----------------
+// Errors go back to the model as { ok: false, code, error } so it can apologize or
+// try something else instead of going quiet.
+const toolError = (code, error) => ({ ok: false, code, error });
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === "boolean",
+  object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+  array: (v) => Array.isArray(v),
+};
+
+// Enough JSON Schema for tool parameters: an object of typed, optionally enum'd
+// properties with a required list. Returns a problem description, or null.
+export function validateArguments(schema, args) {
+  if (!TYPE_CHECKS.object(args)) return "arguments must be a JSON object";
+  for (const key of schema?.required || []) {
+    if (args[key] === undefined || args[key] === null || args[key] === "") return `missing required argument "${key}"`;
+  }
+  const properties = schema?.properties || {};
+  for (const [key, value] of Object.entries(args)) {
+    const prop = properties[key];
+    if (!prop) {
+      if (schema?.additionalProperties === false) return `unknown argument "${key}"`;
+      continue;
+    }
+    if (prop.type && TYPE_CHECKS[prop.type] && !TYPE_CHECKS[prop.type](value)) return `"${key}" must be a ${prop.type}`;
+    if (prop.enum && !prop.enum.includes(value)) return `"${key}" must be one of: ${prop.enum.join(", ")}`;
+  }
+  return null;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`timed out after ${ms}ms`), { code: "timeout" })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// One registry per call. register() takes { description, parameters, run, timeoutMs };
+// dispatch() takes a completed function_call item from the Realtime API and always
+// resolves to the output to hand back under that item's call_id.
+export function createToolRegistry({ callSid, log, timeoutMs = DEFAULT_TOOL_TIMEOUT_MS } = {}) {
+  const tools = new Map();
+  const dispatched = new Set(); // call_ids already run, in case an event is replayed
+
+  return {
+    register(name, tool) {
+      if (typeof tool?.run !== "function") throw new TypeError(`Tool ${name} has no run()`);
+      tools.set(name, { parameters: { type: "object", properties: {} }, ...tool });
+    },
+
+    has: (name) => tools.has(name),
+
+    // session.update `tools`
+    get definitions() {
+      return [...tools].map(([name, tool]) => ({
+        type: "function",
+        name,
+        description: tool.description,
+        parameters: tool.parameters,
+      }));
+    },
+
+    async dispatch({ call_id: callId, name, arguments: rawArgs }) {
+      if (callId && dispatched.has(callId)) return null;
+      if (callId) dispatched.add(callId);
+
+      const started = Date.now();
+      const tool = tools.get(name);
+      let args = {};
+      let result;
+
+      if (!tool) {
+        result = toolError("unknown_tool", `There is no ${name} tool.`);
+      } else {
+        try {
+          args = rawArgs ? JSON.parse(rawArgs) : {};
+        } catch {
+          args = null;
+        }
+        const problem = args === null ? "arguments are not valid JSON" : validateArguments(tool.parameters, args);
+        if (problem) {
+          result = toolError("invalid_arguments", `Bad arguments for ${name}: ${problem}.`);
+        } else {
+          try {
+            result = (await withTimeout(Promise.resolve().then(() => tool.run(args)), tool.timeoutMs || timeoutMs)) ?? { ok: true };
+          } catch (err) {
+            result = err.code === "timeout"
+              ? toolError("timeout", "That took too long. Apologize and offer to text a link instead.")
+              : toolError("tool_failed", "That didn't work. Apologize and offer to text a link instead.");
+            log?.error({ err, callSid, tool: name, callId }, "Realtime tool failed");
+          }
+        }
+      }
+
+      log?.info({
+        callSid,
+        tool: name,
+        callId,
+        args,
+        ok: result?.ok !== false,
+        code: result?.code,
+        ms: Date.now() - started,
+      }, "🛠️ Realtime tool call");
+      return result;
+    },
+  };
+}
+
+// ---------------- TOOLS ----------------
+
+// Upcoming appointments from the tenant's scheduling provider, or from its Airtable base
+// when that provider isn't set up.
+async function lookupAppointments(tenant, caller) {
+  const timezone = tenantTimezone(tenant);
+  const providers = [...new Set([getSchedulingProviderName(tenant), "airtable"])];
+  for (const name of providers) {
+    try {
+      const appointments = await findUpcomingAppointments(getSchedulingProvider(tenant, { timeoutMs: 5000 }, name), caller, tenant);
+      return appointments.map((appt) => ({
+        service: appt.label,
+        when: describeSlot(appt.datetime, timezone),
+        ...(appt.staff ? { with: appt.staff } : {}),
+      }));
+    } catch (err) {
+      if (!(err instanceof SchedulingConfigError)) throw err;
+    }
+  }
+  return null;
+}
+
+// sendLinks(caller, tenant, links, linkType) -> bool is index.js's sendLinksViaSMS.
+// baseUrl is where Twilio reaches this server, for the transfer's callbacks.
+// notifier is index.js's owner notifier (notifications.js).
+export function createRealtimeTools({ tenant, callSid, caller, sendLinks, twilioClient, baseUrl, notifier, log, timeoutMs }) {
+  const linkTypes = getAvailableLinkTypes(tenant);
+  // Voicemails notify the owner on their own, after the call.
+  const ownerEvents = Object.keys(NOTIFICATION_EVENTS).filter((event) => event !== "voicemail" && notifier?.wants(tenant, event));
+  const sent = new Set();
+
+  const tools = {
+    send_link: {
+      description: "Text the caller a link. Use <service>_quote for a new client's personalized quote, " +
+        "<service>_booking for a returning client's booking page, service_portal when a new client isn't sure " +
+        "which service they need. Never read links aloud; send them with this tool.",
+      parameters: {
+        type: "object",
+        properties: {
+          link_type: { type: "string", enum: linkTypes },
+        },
+        required: ["link_type"],
+        additionalProperties: false,
+      },
+      enabled: linkTypes.length > 0 && Boolean(caller),
+      async run({ link_type: linkType }) {
+        const link = getLinkByType(tenant, linkType);
+        if (!link) return { ok: false, error: `No ${linkType} link for this salon.` };
+        if (sent.has(linkType)) return { ok: true, note: "Already texted on this call; ask them to check their messages." };
+        const ok = await sendLinks(caller, tenant, [link], linkType);
+        if (ok) {
+          sent.add(linkType);
+          recordLink(callSid, linkType);
+        }
+        return ok
+          ? { ok: true, sent: describeLink(linkType) }
+          : { ok: false, error: "The text didn't go through. Offer to spell out the website instead." };
+      },
+    },
+
+    lookup_appointments: {
+      description: "Look up the caller's upcoming appointments by the number they're calling from.",
+      parameters: { type: "object", properties: {} },
+      enabled: Boolean(caller),
+      async run() {
+        const appointments = await lookupAppointments(tenant, caller);
+        if (appointments === null) {
+          return { ok: false, error: "This salon's booking system isn't connected. Offer to text the appointment_lookup link." };
+        }
+        return { ok: true, appointments };
+      },
+    },
+
+    check_hours: {
+      description: "Get the salon's opening hours, whether it's open right now, when it next opens, " +
+        "and any holidays or special hours coming up.",
+      parameters: { type: "object", properties: {} },
+      enabled: true,
+      async run() {
+        const opens = nextOpening(tenant);
+        return {
+          ok: true,
+          hours: getHoursResponse(tenant),
+          open_now: isOpenAt(tenant),
+          next_opening: opens ? describeSlot(opens.toISO(), tenantTimezone(tenant)) : null,
+        };
+      },
+    },
+
+    transfer_to_human: {
+      description: "Transfer the call to the stylist when the caller asks for a person, or is frustrated, " +
+        "or needs something you can't do. Tell the caller you're connecting them first; outside business " +
+        "hours (see check_hours) tell them they can leave a voicemail instead.",
+      parameters: {
+        type: "object",
+        properties: {
+          reason: { type: "string", description: "One line on why, for the stylist." },
+          language: { type: "string", enum: tenantLanguages(tenant), description: "The language the caller is speaking." },
+        },
+      },
+      enabled: Boolean(callSid),
+      timeoutMs: 5000,
+      async run({ reason, language = preferredLanguage(tenant) } = {}) {
+        const mode = handoffMode(tenant);
+        const response = new twilio.twiml.VoiceResponse();
+        response.pause({ length: 1 });
+        if (mode === "dial") {
+          appendDial(response, tenant, { caller, reason, baseUrl });
+        } else {
+          const { polly, say } = LANGUAGES[language] || LANGUAGES.en;
+          response.say({ voice: polly, language: say }, localize(tenant, language, "voicemail_closed"));
+          appendVoicemail(response, tenant, { baseUrl });
+        }
+        await twilioClient.calls(callSid).update({ twiml: response.toString() });
+        log.info({ callSid, reason, mode, to: mode === "dial" ? forwardingNumber(tenant) : null }, "📲 Realtime transfer to human");
+        return { ok: true, mode };
+      },
+    },
+
+    notify_owner: {
+      description: "Let the stylist know when the caller is running late, wants to pay a deposit in person, " +
+        "has cancelled, or is asking about training classes. Only tell the caller the stylist has been " +
+        "informed after this returns notified: true.",
+      parameters: {
+        type: "object",
+        properties: {
+          event: { type: "string", enum: ownerEvents },
+          said: { type: "string", description: "What the caller said, in a sentence, for the stylist." },
+        },
+        required: ["event"],
+        additionalProperties: false,
+      },
+      enabled: ownerEvents.length > 0 && Boolean(callSid),
+      async run({ event, said }) {
+        const status = await notifier.notify(tenant, event, { callSid, caller, said });
+        if (status === "sent") return { ok: true, notified: true };
+        if (status === "held") return { ok: true, notified: true, note: "The stylist will see it when they're next available." };
+        if (status === "duplicate") return { ok: true, notified: false, note: "Already passed on earlier in this call." };
+        return { ok: false, notified: false, error: "The message to the stylist didn't go through. Offer to take a message or text a link instead." };
+      },
+    },
+  };
+
+  const registry = createToolRegistry({ callSid, log, timeoutMs });
+  for (const [name, { enabled, ...tool }] of Object.entries(tools)) {
+    if (enabled) registry.register(name, tool);
+  }
+  return registry;
+}
@@ -0,0 +1,263 @@
+import twilio from "twilio";
+import WebSocket from "ws";
+import { createRealtimeTools } from "./realtime-tools.js";
+import { recordTurn, endCallRecord } from "./call-records.js";
+
+// "realtime" call mode: Twilio <Connect><Stream> bridged to the OpenAI Realtime API.
+// A tenant opts in with `voice_config.mode: "realtime"`; everyone else stays on the
+// <Gather> flow in index.js. Both modes share tenant loading, call records and logging.
+
+const REALTIME_MODEL = process.env.OPENAI_REALTIME_MODEL || "gpt-4o-realtime-preview-2024-12-17";
+// OPENAI_REALTIME_URL points the bridge at a local stand-in of the API.
+const OPENAI_WS_URL = process.env.OPENAI_REALTIME_URL || `wss://api.openai.com/v1/realtime?model=${REALTIME_MODEL}`;
+const DEFAULT_VOICE = process.env.OPENAI_VOICE || "verse";
+const CONNECT_TIMEOUT_MS = 10000;
+// Caller audio held while the OpenAI socket connects: 20ms frames, so about ten seconds.
+const MAX_PENDING = 500;
+
+export function getCallMode(tenant) {
+  return tenant?.voice_config?.mode === "realtime" ? "realtime" : "gather";
+}
+
+// Twilio requires wss:// for <Stream> and signs the upgrade request against this exact URL
+// (index.js checks it like any other webhook). Nothing about the call rides along: anyone
+// can put anything in a stream's "start" event, so the bridge asks Twilio about the call.
+export function buildStreamTwiml({ streamUrl }) {
+  const response = new twilio.twiml.VoiceResponse();
+  response.connect().stream({ url: streamUrl });
+  return response.toString();
+}
+
+// Bridges one Twilio media stream to an OpenAI Realtime session. When OpenAI can't be
+// reached or drops mid-call, the caller is handed to a person (transfer_to_human).
+//   lookupCall(callSid)     -> { tenant, callerNumber } from Twilio's record of the call, with
+//                              the tenant found by its To number; null hangs up the stream
+//   instructionsFor(tenant) system prompt (index.js builds it from the tenant's knowledge)
+//   sendLinks, twilioClient, baseUrl, notifier  passed through to the tools (see realtime-tools.js)
+export function bridgeMediaStream(twilioWS, {
+  lookupCall,
+  instructionsFor,
+  sendLinks,
+  twilioClient,
+  baseUrl,
+  notifier,
+  log,
+  apiKey = process.env.OPENAI_API_KEY,
+}) {
+  let streamSid = null;
+  let callSid = null;
+  let tenant = null;
+  let tools = null;
+  let configured = false;
+  let ended = false;
+
+  // Caller audio that arrives before the session is set up (the socket is still connecting,
+  // or we're still asking Twilio about the call). Nothing is kept once the socket is gone.
+  const pending = [];
+
+  // Barge-in bookkeeping. Twilio echoes each "mark" we send once the audio before it has
+  // played, so marks still queued mean the caller is hearing (or about to hear) the bot.
+  let latestMediaTimestamp = 0;   // ms into the call, from Twilio's media events
+  let lastAssistantItem = null;   // item_id of the assistant audio being played
+  let responseStartTimestamp = null;
+  let markQueue = [];
+
+  // Tool calls started during the current response (see response.done below).
+  let toolCalls = [];
+
+  const oaiWS = new WebSocket(OPENAI_WS_URL, {
+    handshakeTimeout: CONNECT_TIMEOUT_MS,
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "OpenAI-Beta": "realtime=v1",
+    },
+  });
+
+  const sendToOpenAI = (event) => {
+    if (configured && oaiWS.readyState === WebSocket.OPEN) oaiWS.send(JSON.stringify(event));
+    else if (!configured && oaiWS.readyState <= WebSocket.OPEN && pending.length < MAX_PENDING) pending.push(event);
+  };
+
+  // The session is configured once both sides are up: we need the tenant from
+  // Twilio's "start" event before we can say who we are.
+  const configureSession = () => {
+    if (configured || !tools || oaiWS.readyState !== WebSocket.OPEN) return;
+    configured = true;
+
+    oaiWS.send(JSON.stringify({
+      type: "session.update",
+      session: {
+        instructions: instructionsFor(tenant),
+        voice: tenant?.voice_config?.realtime_voice || DEFAULT_VOICE,
+        modalities: ["text", "audio"],
+        turn_detection: { type: "server_vad" },
+        input_audio_format: "g711_ulaw",
+        output_audio_format: "g711_ulaw",
+        input_audio_transcription: { model: "whisper-1" },
+        tools: tools.definitions,
+      },
+    }));
+
+    const greeting = tenant?.voice_config?.greeting_tts ||
+      `Thank you for calling ${tenant?.studio_name || "our salon"}. How can I help you?`;
+    oaiWS.send(JSON.stringify({
+      type: "response.create",
+      response: { instructions: `Greet the caller by saying exactly: "${greeting}"` },
+    }));
+
+    while (pending.length) oaiWS.send(JSON.stringify(pending.shift()));
+  };
+
+  oaiWS.on("open", configureSession);
+
+  // OpenAI → Twilio: audio deltas, transcripts and tool calls
+  oaiWS.on("message", async (raw) => {
+    let msg;
+    try { msg = JSON.parse(raw.toString()); } catch { return; }
+    const t = msg.type;
+
+    if (t === "response.audio.delta") {
+      const b64 = msg.delta || msg.audio;
+      if (b64 && streamSid && twilioWS.readyState === WebSocket.OPEN) {
+        // Send audio chunk back to Twilio (G.711 μ-law 8kHz base64)
+        twilioWS.send(JSON.stringify({ event: "media", streamSid, media: { payload: b64 } }));
+        if (msg.item_id && msg.item_id !== lastAssistantItem) {
+          lastAssistantItem = msg.item_id;
+          responseStartTimestamp = latestMediaTimestamp;
+        }
+        twilioWS.send(JSON.stringify({ event: "mark", streamSid, mark: { name: "responsePart" } }));
+        markQueue.push("responsePart");
+      }
+    }
+
+    // Caller started talking: stop the bot mid-sentence.
+    if (t === "input_audio_buffer.speech_started") {
+      handleBargeIn();
+    }
+
+    if (t === "conversation.item.input_audio_transcription.completed" && msg.transcript) {
+      recordTurn(callSid, { caller: msg.transcript.trim(), intent: "realtime" });
+    }
+    if (t === "response.audio_transcript.done" && msg.transcript) {
+      recordTurn(callSid, { bot: [msg.transcript.trim()], intent: "realtime" });
+    }
+
+    if (t === "error") {
+      log.error({ callSid, error: msg.error }, "OpenAI Realtime error event");
+    }
+
+    // Function calls: only run once the item is complete (arguments are still
+    // streaming on `.added`). Outputs go back under the item's call_id, and the model is
+    // asked to continue once per response, after every tool in it has answered.
+    if (t === "response.output_item.done" && msg.item?.type === "function_call" && tools) {
+      const item = msg.item;
+      toolCalls.push(tools.dispatch(item).then((result) => {
+        if (!result) return false;
+        sendToOpenAI({
+          type: "conversation.item.create",
+          item: { type: "function_call_output", call_id: item.call_id, output: JSON.stringify(result) },
+        });
+        return true;
+      }));
+    }
+
+    if (t === "response.done" && toolCalls.length) {
+      const calls = toolCalls;
+      toolCalls = [];
+      const answered = await Promise.all(calls);
+      if (answered.some(Boolean)) sendToOpenAI({ type: "response.create" });
+    }
+  });
+
+  oaiWS.on("close", () => {
+    log.info({ callSid }, "OpenAI Realtime socket closed");
+    pending.length = 0;
+    handOff("The AI assistant disconnected.");
+  });
+  oaiWS.on("error", (err) => log.error({ err, callSid }, "OpenAI Realtime socket error"));
+
+  // The caller is still on the line but the assistant is gone: put them through to a
+  // person, or just end the stream if that can't be done.
+  let handedOff = false;
+  async function handOff(reason) {
+    if (ended || handedOff) return;
+    handedOff = true;
+    const result = tools ? await tools.dispatch({ name: "transfer_to_human", arguments: JSON.stringify({ reason }) }) : null;
+    if (result?.ok) return;
+    log.warn({ callSid, reason }, "Realtime call ended - no assistant and no handoff");
+    if (twilioWS.readyState === WebSocket.OPEN) twilioWS.close();
+  }
+
+  // Drops the rest of the bot's audio from Twilio's buffer and tells OpenAI how much
+  // of the item the caller actually heard, so the model's context matches the call.
+  // Turn-taking itself is left to server_vad.
+  function handleBargeIn() {
+    if (!markQueue.length || !lastAssistantItem || responseStartTimestamp === null) return;
+
+    const audioEndMs = Math.max(0, latestMediaTimestamp - responseStartTimestamp);
+    sendToOpenAI({ type: "conversation.item.truncate", item_id: lastAssistantItem, content_index: 0, audio_end_ms: audioEndMs });
+    if (twilioWS.readyState === WebSocket.OPEN) {
+      twilioWS.send(JSON.stringify({ event: "clear", streamSid }));
+    }
+    log.info({ callSid, itemId: lastAssistantItem, audioEndMs }, "✋ Caller interrupted");
+
+    markQueue = [];
+    lastAssistantItem = null;
+    responseStartTimestamp = null;
+  }
+
+  // Twilio → OpenAI: incoming audio frames; handle WS events
+  twilioWS.on("message", async (raw) => {
+    let data;
+    try { data = JSON.parse(raw.toString()); } catch { return; }
+    const ev = data.event;
+
+    if (ev === "start") {
+      if (streamSid) return;
+      streamSid = data.start?.streamSid;
+      callSid = data.start?.callSid || null;
+      let call = null;
+      try {
+        call = callSid ? await lookupCall(callSid) : null;
+      } catch (err) {
+        log.error({ err, callSid }, "Realtime call lookup failed");
+      }
+      if (!call?.tenant) {
+        log.warn({ callSid, streamSid }, "🚫 Realtime media stream refused - no tenant for call");
+        twilioWS.close();
+        return;
+      }
+      tenant = call.tenant;
+      tools = createRealtimeTools({
+        tenant,
+        callSid,
+        caller: call.callerNumber || null,
+        sendLinks,
+        twilioClient,
+        baseUrl,
+        notifier,
+        log,
+      });
+      log.info({ callSid, streamSid, tenant: tenant?.tenant_id }, "🎙️ Realtime media stream started");
+      if (oaiWS.readyState === WebSocket.OPEN) configureSession();
+      else if (oaiWS.readyState !== WebSocket.CONNECTING) handOff("The AI assistant couldn't be reached.");
+    } else if (ev === "media") {
+      latestMediaTimestamp = Number(data.media?.timestamp) || latestMediaTimestamp;
+      const b64 = data.media?.payload;
+      if (b64) {
+        sendToOpenAI({ type: "input_audio_buffer.append", audio: b64 });
+      }
+    } else if (ev === "mark") {
+      markQueue.shift();
+    } else if (ev === "stop" || ev === "closed") {
+      twilioWS.close();
+    }
+  });
+
+  twilioWS.on("close", () => {
+    ended = true;
+    try { oaiWS.close(); } catch {}
+    endCallRecord(callSid, { status: "completed" });
+    log.info({ callSid }, "Realtime media stream closed");
+  });
+}
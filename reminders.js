@@ -0,0 +1,253 @@
+import fs from "fs";
+import path from "path";
+import { DateTime } from "luxon";
+import { getSchedulingProvider, SchedulingConfigError } from "./scheduling.js";
+import { tenantTimezone, summarizeAppointment } from "./voice-booking.js";
+import { localize, preferredLanguage } from "./i18n.js";
+
+// Appointment reminders, read from the tenant's scheduling backend (scheduling.js): a text
+// some hours before each appointment and, optionally, a reminder call. Clients answer
+// CONFIRM, RESCHEDULE or CANCEL by text (index.js /incoming-sms) or by voice (the
+// /reminder-call flow), and the outcome is kept here and on the call record.
+//   "reminders": {
+//     "sms_hours_before": [48, 2],
+//     "call_hours_before": [24],                        // optional; no calls without it
+//     "call_window": { "start": "09:00", "end": "20:00" }  // tenant's timezone
+//   }
+// Reminders go out in the client's last language, else the tenant's default (i18n.js
+// preferredLanguage); the wording is in i18n.js under reminder_* and can be overridden.
+// One reminder goes out at a time: when an appointment is already inside more than one
+// window (booked 30 hours ahead, say), only the closest is sent. Nobody is called about an appointment they've already
+// confirmed, and moving an appointment starts its reminders over.
+//   REMINDERS_FILE  what was sent, who we're waiting to hear from, and their answers
+
+const REMINDERS_FILE = process.env.REMINDERS_FILE || "./data/reminders.json";
+const DEFAULT_CALL_WINDOW = { start: "09:00", end: "20:00" };
+const MAX_OUTCOMES = 1000;
+
+const digits = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+const hoursList = (value) => (Array.isArray(value) ? value.map(Number).filter((h) => h > 0).sort((a, b) => a - b) : []);
+
+export function reminderSettings(tenant) {
+  const config = tenant?.reminders || {};
+  return {
+    sms: hoursList(config.sms_hours_before),
+    call: hoursList(config.call_hours_before),
+    window: { ...DEFAULT_CALL_WINDOW, ...config.call_window },
+  };
+}
+
+export function remindersEnabled(tenant) {
+  const { sms, call } = reminderSettings(tenant);
+  return tenant?.active !== false && tenant?.reminders?.enabled !== false && (sms.length > 0 || call.length > 0);
+}
+
+// A bare "CONFIRM", "Reschedule" or "cancel!" -> "confirm" | "reschedule" | "cancel". Anything
+// else ("what's your cancellation policy?", "don't cancel, I'll be there") is null and gets
+// answered as a normal text, since cancelling on a guess can't be taken back.
+export function parseReminderReply(text) {
+  const match = /^(confirm|reschedule|cancel)[\s.!]*$/.exec(String(text || "").toLowerCase().trim());
+  return match ? match[1] : null;
+}
+
+// "Tuesday, October 21 at 11 AM" in the client's language, or "tomorrow at 11 AM" when
+// `now` is given and it's that close.
+export function reminderSlot(tenant, appointment, { language = "en", now = null } = {}) {
+  const at = DateTime.fromISO(appointment.datetime, { setZone: true }).setZone(tenantTimezone(tenant)).setLocale(language);
+  const time = language === "en" ? at.toFormat(at.minute ? "h:mm a" : "h a") : at.toLocaleString(DateTime.TIME_SIMPLE);
+  if (now) {
+    const today = now.setZone(at.zone).startOf("day");
+    if (at.hasSame(today, "day")) return localize(tenant, language, "reminder_today", { time });
+    if (at.hasSame(today.plus({ days: 1 }), "day")) return localize(tenant, language, "reminder_tomorrow", { time });
+  }
+  const day = language === "en" ? at.toFormat("cccc, LLLL d") : at.toLocaleString({ weekday: "long", month: "long", day: "numeric" });
+  return localize(tenant, language, "reminder_on", { day, time });
+}
+
+export function reminderText(tenant, appointment, { language = "en", now = DateTime.now() } = {}) {
+  const when = reminderSlot(tenant, appointment, { language, now });
+  return localize(tenant, language, "reminder_sms", { service: appointment.label, when });
+}
+
+// What a reminder call says: a question when someone picks up, or a message for their voicemail.
+export function reminderCallLine(tenant, appointment, { voicemail = false, language = "en", now = DateTime.now() } = {}) {
+  const when = reminderSlot(tenant, appointment, { language, now });
+  return localize(tenant, language, voicemail ? "reminder_voicemail" : "reminder_call", { service: appointment.label, when });
+}
+
+// "09:00" -> 540
+function minutes(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || "").trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function inCallWindow(tenant, now) {
+  const { window } = reminderSettings(tenant);
+  const local = now.setZone(tenantTimezone(tenant));
+  const minute = local.hour * 60 + local.minute;
+  return minute >= (minutes(window.start) ?? 0) && minute < (minutes(window.end) ?? 24 * 60);
+}
+
+// ---------------- STORE ----------------
+function loadStore(file) {
+  try {
+    const store = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { sent: store.sent || {}, awaiting: store.awaiting || {}, outcomes: store.outcomes || [] };
+  } catch {
+    return { sent: {}, awaiting: {}, outcomes: [] };
+  }
+}
+
+function saveStore(file, store, log) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(store, null, 2));
+  } catch (err) {
+    log.error({ err, file }, "❌ Failed to save reminders");
+  }
+}
+
+// ---------------- SCHEDULER ----------------
+// getTenants() -> every loaded tenant
+// sendSms(to, body, tenant, context) -> bool sends from the tenant's number
+// placeCall(tenant, to) -> CallSid starts a reminder call (index.js answers it at /reminder-call),
+//   or null when it wasn't placed
+// isOptedOut(tenant, phone) -> bool numbers that texted STOP, which get no reminders at all
+// languageFor(tenant, phone) -> the language the client last used, or null (may be async)
+export function createReminderScheduler({ getTenants, sendSms, placeCall, isOptedOut, languageFor, log = console, file = REMINDERS_FILE }) {
+  const store = loadStore(file);
+  const awaitingKey = (tenant, phone) => `${tenant?.tenant_id || "default"}:${digits(phone)}`;
+
+  const confirmed = (tenant, appt) => store.outcomes.some((o) => o.tenantId === tenant.tenant_id &&
+    o.appointmentId === appt.id && o.datetime === appt.datetime && o.outcome === "confirmed");
+
+  // The closest reminder due for this channel, in hours before, or null.
+  function dueOffset(offsets, hoursUntil) {
+    return offsets.find((hours) => hoursUntil <= hours) ?? null;
+  }
+
+  async function remindTenant(tenant, now) {
+    const { sms, call } = reminderSettings(tenant);
+    const timezone = tenantTimezone(tenant);
+    const scheduler = getSchedulingProvider(tenant, { timeoutMs: 10000 });
+    const horizon = Math.max(...sms, ...call);
+    const appointments = await scheduler.listAppointments({
+      from: now.setZone(timezone).toISO(),
+      to: now.plus({ hours: horizon }).setZone(timezone).toISO(),
+      timezone,
+    });
+
+    for (const appt of appointments) {
+      const start = DateTime.fromISO(appt.datetime, { setZone: true });
+      const hoursUntil = start.diff(now, "hours").hours;
+      if (!appt.phone || hoursUntil <= 0 || hoursUntil > horizon) continue;
+      const appointment = summarizeAppointment(scheduler, tenant, appt);
+
+      // Of the reminders due and not yet sent, only the closest goes out; the ones before it
+      // (on either channel) are moot by now.
+      const sentKey = (channel, hours) => `${tenant.tenant_id}:${appt.id}:${appt.datetime}:${channel}:${hours}`;
+      const due = [["sms", sms], ["call", call]]
+        .map(([channel, offsets]) => ({ channel, hours: dueOffset(offsets, hoursUntil) }))
+        .filter(({ channel, hours }) => hours !== null && !store.sent[sentKey(channel, hours)])
+        .filter(({ channel }) => channel === "sms" || (inCallWindow(tenant, now) && !confirmed(tenant, appt)))
+        .sort((a, b) => a.hours - b.hours)[0];
+      if (!due) continue;
+
+      // Marked sent only once it has gone out, so a failed send is tried again next tick.
+      // Numbers that have opted out are marked sent too, and never tried.
+      const { channel, hours } = due;
+      const markSent = () => {
+        for (const [other, offsets] of [["sms", sms], ["call", call]]) {
+          for (const earlier of offsets.filter((h) => h >= hours)) store.sent[sentKey(other, earlier)] = appt.datetime;
+        }
+      };
+      try {
+        if (isOptedOut?.(tenant, appt.phone)) {
+          markSent();
+          log.info({ tenant: tenant.tenant_id, appointmentId: appt.id }, "Reminder skipped - number opted out");
+          continue;
+        }
+        const known = await Promise.resolve(languageFor?.(tenant, appt.phone)).catch(() => null);
+        const language = preferredLanguage(tenant, known);
+        if (channel === "sms") {
+          const ok = await sendSms(appt.phone, reminderText(tenant, appointment, { language, now }), tenant, { appointmentId: appt.id, reminder: hours });
+          if (!ok) continue;
+        } else {
+          const callSid = await placeCall(tenant, appt.phone);
+          if (!callSid) continue;
+          log.info({ tenant: tenant.tenant_id, appointmentId: appt.id, callSid }, "📞 Reminder call placed");
+        }
+        markSent();
+        store.awaiting[awaitingKey(tenant, appt.phone)] = { appointment, channel, language, sentAt: now.toISO() };
+        log.info({ tenant: tenant.tenant_id, appointmentId: appt.id, channel, hours }, "⏰ Appointment reminder sent");
+      } catch (err) {
+        log.error({ err, tenant: tenant.tenant_id, appointmentId: appt.id, channel }, "Appointment reminder failed");
+      }
+    }
+  }
+
+  // Sends whatever reminders are due. Tenants without a scheduling backend are skipped.
+  async function tick(now = DateTime.now()) {
+    for (const tenant of getTenants().filter(remindersEnabled)) {
+      try {
+        await remindTenant(tenant, now);
+      } catch (err) {
+        if (err instanceof SchedulingConfigError) {
+          log.warn({ tenant: tenant.tenant_id }, "Reminders skipped - no scheduling backend");
+        } else {
+          log.error({ err, tenant: tenant.tenant_id }, "Reminder run failed");
+        }
+      }
+    }
+
+    // Forget appointments that have started.
+    for (const [key, datetime] of Object.entries(store.sent)) {
+      if (DateTime.fromISO(datetime) < now) delete store.sent[key];
+    }
+    for (const [key, { appointment }] of Object.entries(store.awaiting)) {
+      if (DateTime.fromISO(appointment.datetime) < now) delete store.awaiting[key];
+    }
+    saveStore(file, store, log);
+  }
+
+  return {
+    tick,
+
+    // The reminder this number was last sent and hasn't answered, or null: the appointment,
+    // with the `language` the reminder went out in.
+    awaiting(tenant, phone, now = DateTime.now()) {
+      const entry = store.awaiting[awaitingKey(tenant, phone)];
+      if (!entry || DateTime.fromISO(entry.appointment.datetime) <= now) return null;
+      return { ...entry.appointment, language: entry.language || "en" };
+    },
+
+    // outcome: "confirmed" | "cancelled" | "rescheduled" | "reschedule_requested"
+    recordOutcome(tenant, phone, outcome, { channel, callSid = null } = {}) {
+      const key = awaitingKey(tenant, phone);
+      const appointment = store.awaiting[key]?.appointment;
+      if (!appointment) return false;
+      if (outcome !== "reschedule_requested") delete store.awaiting[key];
+      store.outcomes.push({
+        tenantId: tenant?.tenant_id || null,
+        appointmentId: appointment.id,
+        datetime: appointment.datetime,
+        phone,
+        outcome,
+        channel,
+        callSid,
+        at: new Date().toISOString(),
+      });
+      store.outcomes.splice(0, Math.max(0, store.outcomes.length - MAX_OUTCOMES));
+      saveStore(file, store, log);
+      log.info({ tenant: tenant?.tenant_id, appointmentId: appointment.id, outcome, channel }, "📋 Reminder answered");
+      return true;
+    },
+
+    start(intervalMs = 5 * 60 * 1000) {
+      tick().catch((err) => log.error({ err }, "Reminder run failed"));
+      return setInterval(() => {
+        tick().catch((err) => log.error({ err }, "Reminder run failed"));
+      }, intervalMs).unref();
+    },
+  };
+}
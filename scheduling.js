@@ -0,0 +1,473 @@
+import { DateTime } from "luxon";
+import { SERVICES, findService, getBookingLink, isFeatureEnabled } from "./tenant-config.js";
+import { getAcuityClient, appointmentTypeIdFromUrl, AcuityConfigError, AcuityValidationError } from "./acuity.js";
+import { getSquareClient, squareServiceVariationId, SquareConfigError, SquareValidationError } from "./square.js";
+import { getAirtableRepository, AirtableConfigError } from "./airtable.js";
+
+// One interface over every scheduling backend a tenant can book in, picked by
+//   "scheduling": { "provider": "acuity" | "square" | "airtable" | "fake" }   (default "acuity")
+//
+// A provider is an object with:
+//   name
+//   appointmentTypeFor(service)               backend appointment type for one of our SERVICES, or null
+//   listAppointmentTypes()                    [{ id, name, duration, price }]
+//   findAvailability({ appointmentTypeID, timezone, count, now })
+//                                             ISO datetimes: the earliest opening on each of the next
+//                                             `count` open days, so callers can pick by weekday
+//   findAppointmentsByPhone(phone, { from, to, max, direction })
+//                                             [appointment], soonest first unless direction "DESC"
+//   listAppointments({ from, to, max })       everyone's booked appointments in the range, soonest
+//                                             first (appointment reminders, see reminders.js)
+//   findClientProfile(phone)                  { firstName, lastName, email } to book under, or null
+//   book({ appointmentTypeID, datetime, firstName, lastName, email, phone, timezone, notes })
+//   cancel(id, { note })
+//   reschedule(id, { datetime, timezone })
+// and an appointment is
+//   { id, datetime, appointmentTypeID, service, staff, firstName, lastName, email, phone, status }
+// with status "booked" or "cancelled".
+//
+// Backend errors come out as SchedulingConfigError (the tenant has no credentials, so
+// booking by voice is off rather than broken) and SlotUnavailableError (book/reschedule
+// was refused, most often because the slot was just taken); anything else is passed through.
+
+export const SCHEDULING_PROVIDERS = ["acuity", "square", "airtable", "fake"];
+
+// ---------------- ERRORS ----------------
+export class SchedulingError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = "SchedulingError";
+  }
+}
+
+export class SchedulingConfigError extends SchedulingError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "SchedulingConfigError";
+  }
+}
+
+export class SlotUnavailableError extends SchedulingError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "SlotUnavailableError";
+  }
+}
+
+const isConfigError = (err) =>
+  err instanceof AcuityConfigError || err instanceof SquareConfigError || err instanceof AirtableConfigError;
+const isValidationError = (err) => err instanceof AcuityValidationError || err instanceof SquareValidationError;
+
+function translateError(err, method) {
+  if (err instanceof SchedulingError) return err;
+  if (isConfigError(err)) return new SchedulingConfigError(err.message, { cause: err });
+  if ((method === "book" || method === "reschedule") && isValidationError(err)) {
+    return new SlotUnavailableError(err.message, { cause: err });
+  }
+  return err;
+}
+
+function withSchedulingErrors(provider) {
+  const wrapped = { ...provider };
+  for (const [method, fn] of Object.entries(provider)) {
+    if (typeof fn !== "function" || method === "appointmentTypeFor") continue;
+    wrapped[method] = async (...args) => {
+      try {
+        return await fn.apply(provider, args);
+      } catch (err) {
+        throw translateError(err, method);
+      }
+    };
+  }
+  return wrapped;
+}
+
+// ---------------- SHARED ----------------
+const DEFAULT_TIMEZONE = "America/New_York";
+
+function bookedOrCancelled(appt) {
+  return appt.canceled || /cancel/i.test(appt.status || "") ? "cancelled" : "booked";
+}
+
+// Earliest open time on each of the next available days, from a backend that answers
+// "which dates have openings this month" and "which times on this date".
+async function nextSlotsByDay(client, { appointmentTypeID, timezone, count = 3, now = DateTime.now() }) {
+  const local = now.setZone(timezone);
+  const months = [local.toFormat("yyyy-LL"), local.plus({ months: 1 }).toFormat("yyyy-LL")];
+  const slots = [];
+
+  for (const month of months) {
+    const dates = await client.getAvailableDates({ appointmentTypeID, month, timezone });
+    for (const { date } of dates || []) {
+      if (slots.length >= count) return slots;
+      const times = await client.getAvailableTimes({ appointmentTypeID, date, timezone });
+      const next = (times || []).find((t) => DateTime.fromISO(t.time) > now);
+      if (next) slots.push(next.time);
+    }
+  }
+  return slots;
+}
+
+function dateRange({ from, to }, timezone, now = DateTime.now()) {
+  const start = from ? DateTime.fromISO(String(from), { zone: timezone }) : now.setZone(timezone).startOf("day");
+  const end = to ? DateTime.fromISO(String(to), { zone: timezone }).endOf("day") : start.plus({ days: 180 });
+  return { start, end };
+}
+
+// Services this tenant offers, as appointment types for backends that book by our own
+// service ids (Airtable and the fake calendar).
+function serviceAppointmentTypes(tenant, duration) {
+  return SERVICES
+    .filter((service) => !service.feature || isFeatureEnabled(tenant, service.feature))
+    .map((service) => ({ id: service.id, name: service.bookingLabel, duration, price: null }));
+}
+
+// ---------------- ACUITY / SQUARE ----------------
+// Both clients expose the same Acuity-shaped methods (see acuity.js and square.js).
+function createCalendarProvider(name, client, { appointmentTypeFor }) {
+  const normalize = (appt) => ({
+    id: String(appt.id),
+    datetime: appt.datetime,
+    appointmentTypeID: appt.appointmentTypeID ? String(appt.appointmentTypeID) : null,
+    service: appt.type || null,
+    staff: appt.calendar || null,
+    firstName: appt.firstName || "",
+    lastName: appt.lastName || "",
+    email: appt.email || "",
+    phone: appt.phone || "",
+    status: bookedOrCancelled(appt),
+  });
+
+  return {
+    name,
+    appointmentTypeFor,
+
+    async listAppointmentTypes() {
+      const types = await client.listAppointmentTypes();
+      return (types || []).map((type) => ({
+        id: String(type.id),
+        name: type.name,
+        duration: type.duration ?? null,
+        price: type.price === undefined || type.price === null ? null : Number(type.price),
+      }));
+    },
+
+    findAvailability: (options) => nextSlotsByDay(client, options),
+
+    async findAppointmentsByPhone(phone, { from, to, max = 100, direction = "ASC", timezone = DEFAULT_TIMEZONE } = {}) {
+      const { start, end } = dateRange({ from, to }, timezone);
+      const appointments = await client.findAppointments({
+        phone, minDate: start.toISODate(), maxDate: end.toISODate(), max, direction,
+      });
+      return (appointments || []).map(normalize).filter((appt) => appt.status === "booked");
+    },
+
+    async listAppointments({ from, to, max = 500, timezone = DEFAULT_TIMEZONE } = {}) {
+      const { start, end } = dateRange({ from, to }, timezone);
+      const appointments = await client.findAppointments({ minDate: start.toISODate(), maxDate: end.toISODate(), max });
+      return (appointments || []).map(normalize).filter((appt) => appt.status === "booked");
+    },
+
+    // Square keeps name and email on the customer; for Acuity they come from the caller's
+    // most recent appointment.
+    async findClientProfile(phone, now = DateTime.now()) {
+      if (client.findClientProfile) return client.findClientProfile(phone);
+      const appointments = await client.findAppointments({
+        phone,
+        minDate: now.minus({ years: 2 }).toISODate(),
+        maxDate: now.plus({ days: 90 }).toISODate(),
+        direction: "DESC",
+        max: 500,
+      });
+      const latest = appointments.find((appt) => appt.firstName && appt.email);
+      if (!latest) return null;
+      return { firstName: latest.firstName, lastName: latest.lastName || "", email: latest.email };
+    },
+
+    async book({ appointmentTypeID, datetime, firstName, lastName, email, phone, timezone, notes }) {
+      return normalize(await client.createAppointment({ appointmentTypeID, datetime, firstName, lastName, email, phone, timezone, notes }));
+    },
+
+    async cancel(id, { note } = {}) {
+      const appt = await client.cancelAppointment(id, { cancelNote: note });
+      return appt ? normalize(appt) : null;
+    },
+
+    async reschedule(id, { datetime, timezone }) {
+      const appt = await client.rescheduleAppointment(id, { datetime, timezone });
+      return appt ? normalize(appt) : null;
+    },
+  };
+}
+
+export function createAcuityProvider(tenant, options = {}) {
+  return createCalendarProvider("acuity", getAcuityClient(tenant, options), {
+    appointmentTypeFor: (service) => (service ? appointmentTypeIdFromUrl(getBookingLink(tenant, service)) : null),
+  });
+}
+
+export function createSquareProvider(tenant, options = {}) {
+  return createCalendarProvider("square", getSquareClient(tenant, options), {
+    appointmentTypeFor: (service) => squareServiceVariationId(tenant, service),
+  });
+}
+
+// ---------------- AIRTABLE ----------------
+// The tenant's Appointments table as a calendar. Openings are the tenant's fixed start
+// times minus whatever is already booked:
+//   "scheduling": { "provider": "airtable", "airtable": {
+//     "weekly_slots": { "sunday": ["11:00", "14:00"], "monday": ["11:00", "14:00", "17:00"] },
+//     "appointment_minutes": 120, "days_ahead": 30 } }
+// Without weekly_slots there are no openings to offer and callers get the booking link.
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+export function createAirtableProvider(tenant, options = {}) {
+  const airtable = getAirtableRepository(tenant, options);
+  const config = tenant?.scheduling?.airtable || {};
+  const minutes = Number(config.appointment_minutes) || 120;
+  const daysAhead = Number(config.days_ahead) || 30;
+  const zone = tenant?.timezone || DEFAULT_TIMEZONE;
+
+  const serviceFor = (id) => SERVICES.find((service) => service.id === id) || null;
+  const normalize = (appt) => {
+    const service = findService(String(appt.service || "").toLowerCase(), tenant);
+    const [firstName = "", ...rest] = String(appt.name || "").split(" ");
+    return {
+      id: appt.id,
+      datetime: appt.datetime,
+      appointmentTypeID: service?.id || null,
+      service: appt.service || null,
+      staff: null,
+      firstName,
+      lastName: rest.join(" "),
+      email: "",
+      phone: appt.phone || "",
+      status: bookedOrCancelled(appt),
+    };
+  };
+
+  // Every configured start time between `from` and `to` that doesn't overlap a booking.
+  async function openings(from, to, { ignoreId = null } = {}) {
+    const weekly = config.weekly_slots || {};
+    if (!Object.keys(weekly).length) return [];
+    const booked = (await airtable.findAppointments({ from: from.minus({ minutes }).toISO(), to: to.toISO(), max: 500 }))
+      .filter((appt) => appt.id !== ignoreId && appt.datetime)
+      .map((appt) => DateTime.fromISO(appt.datetime, { setZone: true }));
+
+    const slots = [];
+    for (let day = from.setZone(zone).startOf("day"); day < to; day = day.plus({ days: 1 })) {
+      for (const time of weekly[WEEKDAYS[day.weekday - 1]] || []) {
+        const [hour, minute = 0] = String(time).split(":").map(Number);
+        const start = day.set({ hour, minute });
+        if (start <= from || start >= to) continue;
+        const end = start.plus({ minutes });
+        if (!booked.some((b) => b < end && b.plus({ minutes }) > start)) slots.push(start);
+      }
+    }
+    return slots;
+  }
+
+  async function assertOpen(datetime, options) {
+    const at = DateTime.fromISO(datetime, { setZone: true });
+    const open = await openings(at.minus({ minutes: 1 }), at.plus({ minutes: 1 }), options);
+    if (!open.some((slot) => slot.toMillis() === at.toMillis())) {
+      throw new SlotUnavailableError("That time is no longer open in Airtable");
+    }
+    return at;
+  }
+
+  return {
+    name: "airtable",
+    appointmentTypeFor: (service) => service?.id || null,
+
+    async listAppointmentTypes() {
+      return serviceAppointmentTypes(tenant, minutes);
+    },
+
+    async findAvailability({ count = 3, now = DateTime.now() } = {}) {
+      const slots = await openings(now, now.plus({ days: daysAhead }));
+      const byDay = new Map();
+      for (const slot of slots) {
+        const day = slot.toISODate();
+        if (!byDay.has(day)) byDay.set(day, slot.toISO({ suppressMilliseconds: true }));
+      }
+      return [...byDay.values()].slice(0, count);
+    },
+
+    async findAppointmentsByPhone(phone, { from, to, max = 100, direction = "ASC", timezone = zone } = {}) {
+      const { start, end } = dateRange({ from, to }, timezone);
+      const appointments = await airtable.findAppointments({
+        phone, from: start.toISO(), to: end.toISO(), max, direction: direction.toLowerCase(),
+      });
+      return appointments.map(normalize);
+    },
+
+    async listAppointments({ from, to, max = 500, timezone = zone } = {}) {
+      const { start, end } = dateRange({ from, to }, timezone);
+      return (await airtable.findAppointments({ from: start.toISO(), to: end.toISO(), max })).map(normalize);
+    },
+
+    // Whatever name we have for the number, from the Clients table or a past appointment.
+    async findClientProfile(phone) {
+      const client = await airtable.findClient(phone).catch(() => null);
+      let name = client?.name;
+      if (!name) {
+        const [latest] = await airtable.findAppointments({ phone, max: 1, direction: "desc" });
+        name = latest?.name;
+      }
+      if (!name) return null;
+      const [firstName, ...rest] = String(name).split(" ");
+      return { firstName, lastName: rest.join(" "), email: "" };
+    },
+
+    async book({ appointmentTypeID, datetime, firstName, lastName, phone }) {
+      const at = await assertOpen(datetime);
+      return normalize(await airtable.createAppointment({
+        phone,
+        name: [firstName, lastName].filter(Boolean).join(" ") || undefined,
+        datetime: at.toUTC().toISO(),
+        service: serviceFor(appointmentTypeID)?.bookingLabel || appointmentTypeID,
+      }));
+    },
+
+    async cancel(id) {
+      return normalize(await airtable.updateAppointment(id, { status: "cancelled" }));
+    },
+
+    async reschedule(id, { datetime }) {
+      const at = await assertOpen(datetime, { ignoreId: id });
+      return normalize(await airtable.updateAppointment(id, { datetime: at.toUTC().toISO() }));
+    },
+  };
+}
+
+// ---------------- FAKE ----------------
+// In-memory calendar for local runs and tests: openings at `times` every day except
+// `closedWeekdays` (luxon weekday numbers, 6 = Saturday), for `daysAhead` days.
+export function createFakeProvider({
+  tenant = null,
+  times = ["11:00", "14:00"],
+  closedWeekdays = [6],
+  daysAhead = 21,
+  appointments = [],
+  clients = {},           // phone digits (last 10) -> { firstName, lastName, email }
+  timezone = tenant?.timezone || DEFAULT_TIMEZONE,
+} = {}) {
+  const booked = appointments.map((appt) => ({ status: "booked", staff: null, ...appt }));
+  let nextId = 1;
+  const digits = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+  const take = (id) => {
+    const appt = booked.find((a) => a.id === String(id));
+    if (!appt) throw new SchedulingError(`No appointment ${id}`);
+    return appt;
+  };
+  const isOpen = (iso, ignoreId = null) => {
+    const at = DateTime.fromISO(iso, { setZone: true }).setZone(timezone);
+    if (at <= DateTime.now() || closedWeekdays.includes(at.weekday) || !times.includes(at.toFormat("HH:mm"))) return false;
+    return !booked.some((a) => a.id !== ignoreId && a.status === "booked" &&
+      DateTime.fromISO(a.datetime).toMillis() === at.toMillis());
+  };
+
+  return {
+    name: "fake",
+    appointments: booked,
+    appointmentTypeFor: (service) => service?.id || null,
+
+    async listAppointmentTypes() {
+      return serviceAppointmentTypes(tenant, 120);
+    },
+
+    async findAvailability({ count = 3, now = DateTime.now() } = {}) {
+      const slots = [];
+      for (let day = now.setZone(timezone).startOf("day"), i = 0; i < daysAhead && slots.length < count; i++, day = day.plus({ days: 1 })) {
+        const open = times
+          .map((time) => day.set({ hour: Number(time.split(":")[0]), minute: Number(time.split(":")[1] || 0) }))
+          .find((slot) => slot > now && isOpen(slot.toISO()));
+        if (open) slots.push(open.toISO({ suppressMilliseconds: true }));
+      }
+      return slots;
+    },
+
+    async findAppointmentsByPhone(phone, { from, to, max = 100, direction = "ASC" } = {}) {
+      const { start, end } = dateRange({ from, to }, timezone);
+      const found = booked
+        .filter((a) => a.status === "booked" && digits(a.phone) === digits(phone))
+        .filter((a) => { const at = DateTime.fromISO(a.datetime); return at >= start && at <= end; })
+        .sort((a, b) => String(a.datetime).localeCompare(String(b.datetime)));
+      if (direction === "DESC") found.reverse();
+      return found.slice(0, max).map((a) => ({ ...a }));
+    },
+
+    async listAppointments({ from, to, max = 500 } = {}) {
+      const { start, end } = dateRange({ from, to }, timezone);
+      return booked
+        .filter((a) => a.status === "booked")
+        .filter((a) => { const at = DateTime.fromISO(a.datetime); return at >= start && at <= end; })
+        .sort((a, b) => String(a.datetime).localeCompare(String(b.datetime)))
+        .slice(0, max)
+        .map((a) => ({ ...a }));
+    },
+
+    async findClientProfile(phone) {
+      return clients[digits(phone)] || null;
+    },
+
+    async book({ appointmentTypeID, datetime, firstName = "", lastName = "", email = "", phone }) {
+      if (!isOpen(datetime)) throw new SlotUnavailableError("That time is no longer available");
+      const appt = {
+        id: `fake-${nextId++}`,
+        datetime: DateTime.fromISO(datetime, { setZone: true }).setZone(timezone).toISO({ suppressMilliseconds: true }),
+        appointmentTypeID,
+        service: SERVICES.find((s) => s.id === appointmentTypeID)?.bookingLabel || appointmentTypeID,
+        staff: null,
+        firstName, lastName, email, phone,
+        status: "booked",
+      };
+      booked.push(appt);
+      return { ...appt };
+    },
+
+    async cancel(id) {
+      const appt = take(id);
+      appt.status = "cancelled";
+      return { ...appt };
+    },
+
+    async reschedule(id, { datetime }) {
+      const appt = take(id);
+      if (!isOpen(datetime, appt.id)) throw new SlotUnavailableError("That time is no longer available");
+      appt.datetime = DateTime.fromISO(datetime, { setZone: true }).setZone(timezone).toISO({ suppressMilliseconds: true });
+      return { ...appt };
+    },
+  };
+}
+
+// ---------------- REGISTRY ----------------
+// The fake calendar keeps its bookings for the life of the process, one per tenant.
+const fakeCalendars = new Map();
+
+const FACTORIES = {
+  acuity: createAcuityProvider,
+  square: createSquareProvider,
+  airtable: createAirtableProvider,
+  fake: (tenant) => {
+    const key = tenant?.tenant_id || "default";
+    if (!fakeCalendars.has(key)) fakeCalendars.set(key, createFakeProvider({ tenant }));
+    return fakeCalendars.get(key);
+  },
+};
+
+export function getSchedulingProviderName(tenant) {
+  const name = String(tenant?.scheduling?.provider || "acuity").toLowerCase();
+  return SCHEDULING_PROVIDERS.includes(name) ? name : "acuity";
+}
+
+// The tenant's provider (or `name`, to reach a specific backend). Throws
+// SchedulingConfigError when that backend has no credentials.
+export function getSchedulingProvider(tenant, options = {}, name = getSchedulingProviderName(tenant)) {
+  try {
+    return withSchedulingErrors(FACTORIES[name](tenant, options));
+  } catch (err) {
+    throw translateError(err);
+  }
+}
@@ -0,0 +1,67 @@
+// Per-call conversation state for the <Gather> flow, keyed by CallSid.
+// Twilio posts every turn of a call to /handle-speech separately, so this is
+// what lets a bare "yes" be read as an answer to the last question asked.
+
+export const STEPS = {
+  CLIENT_TYPE: "client_type",             // asked "new or returning?"
+  NEW_SERVICE: "new_service",             // new client asked which service they need
+  RETURNING_SERVICE: "returning_service", // returning client asked what they usually get
+  QUOTE_OFFERED: "quote_offered",         // asked "would you like a quote for <service>?"
+  SLOT_OFFERED: "slot_offered",           // read out open time slots, waiting for a pick
+  SLOT_CONFIRM: "slot_confirm",           // asked to confirm the picked slot before booking
+  APPT_SELECT: "appt_select",             // read back several upcoming appointments, asked which one
+  APPT_ACTION: "appt_action",             // asked whether to keep, cancel or reschedule
+  CANCEL_CONFIRM: "cancel_confirm",       // stated the cancellation policy, asked to confirm
+};
+
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const sessions = new Map();
+
+function createSession(callSid) {
+  const now = Date.now();
+  return {
+    callSid,
+    step: null,
+    clientType: null,  // "new" | "returning"
+    service: null,     // SERVICES id from tenant-config.js
+    linksSent: [],     // link types already texted on this call
+    booking: null,     // { serviceId, appointmentTypeID, slots: [ISO], pick: ISO, rescheduleId } while booking by voice
+    manage: null,      // { appointments, selectedId, action } while cancelling or rescheduling
+    reminder: null,    // the appointment a reminder call (reminders.js) is about, until it's answered
+    callerPhone: null,
+    language: null,    // "en" | "es" | "fr" once known (see i18n.js)
+    failedTurns: 0,    // silent or errored turns in a row; enough of them hands off to a person (handoff.js)
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+export function getSession(callSid) {
+  // Without a CallSid there's nothing to key on; hand back a throwaway session.
+  if (!callSid) return createSession(null);
+
+  let session = sessions.get(callSid);
+  if (!session) {
+    session = createSession(callSid);
+    sessions.set(callSid, session);
+  }
+  session.updatedAt = Date.now();
+  return session;
+}
+
+// Like getSession, but never creates one: null once the call has ended or expired.
+export function findSession(callSid) {
+  return (callSid && sessions.get(callSid)) || null;
+}
+
+export function endSession(callSid) {
+  if (callSid) sessions.delete(callSid);
+}
+
+export function sweepSessions(now = Date.now()) {
+  for (const [callSid, session] of sessions) {
+    if (now - session.updatedAt > SESSION_TTL_MS) sessions.delete(callSid);
+  }
+}
+
+setInterval(sweepSessions, 10 * 60 * 1000).unref();
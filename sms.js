@@ -0,0 +1,200 @@
+import fs from "fs";
+import path from "path";
+import {
+  getPortalLink,
+  getDirectionsLink,
+  getMainBookingLink,
+  getAppointmentLookupLink,
+  getLinkByType,
+  getTrainingResponse,
+  getAddressResponse,
+} from "./tenant-config.js";
+import { getHoursResponse } from "./business-hours.js";
+
+// Two-way SMS helpers: carrier compliance keywords, per-number opt-outs,
+// per-number thread history and the tenant's keyword commands (PORTAL, DIRECTIONS, ...).
+
+// CANCEL is deliberately not an opt-out word here: salons tell clients to
+// "text CANCEL" for same-day cancellations, so it's handled as a command.
+const OPT_OUT_KEYWORDS = new Set(["STOP", "STOPALL", "UNSUBSCRIBE", "END", "QUIT", "OPTOUT", "REVOKE"]);
+const OPT_IN_KEYWORDS = new Set(["START", "UNSTOP"]);
+const HELP_KEYWORDS = new Set(["HELP", "INFO"]);
+
+const OPT_OUT_FILE = process.env.SMS_OPT_OUT_FILE || "./data/sms-opt-outs.json";
+const THREAD_MAX_MESSAGES = 20;
+const THREAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+function phoneKey(phone) {
+  return (phone || "").replace(/\D/g, "").slice(-10);
+}
+
+// Single-word messages only: "stop" is a keyword, "stop by tomorrow?" is a question.
+export function parseKeyword(body) {
+  const text = (body || "").trim();
+  if (!/^[A-Za-z]+[.!]*$/.test(text)) return null;
+  return text.replace(/[.!]/g, "").toUpperCase();
+}
+
+export function classifyCompliance(keyword) {
+  if (!keyword) return null;
+  if (OPT_OUT_KEYWORDS.has(keyword)) return "opt_out";
+  if (OPT_IN_KEYWORDS.has(keyword)) return "opt_in";
+  if (HELP_KEYWORDS.has(keyword)) return "help";
+  return null;
+}
+
+// ---------------- OPT-OUTS ----------------
+let optOuts = {};
+try {
+  optOuts = JSON.parse(fs.readFileSync(OPT_OUT_FILE, "utf8"));
+} catch {
+  optOuts = {};
+}
+
+function saveOptOuts() {
+  fs.mkdirSync(path.dirname(OPT_OUT_FILE), { recursive: true });
+  fs.writeFileSync(OPT_OUT_FILE, JSON.stringify(optOuts, null, 2));
+}
+
+export function isOptedOut(tenantId, phone) {
+  return Boolean(optOuts[tenantId || "default"]?.[phoneKey(phone)]);
+}
+
+// Takes effect right away; returns false when it couldn't be written to OPT_OUT_FILE, in
+// which case it's lost on restart. That's a compliance record, so it's logged as an error.
+export function setOptOut(tenantId, phone, optedOut, { log = console } = {}) {
+  const key = tenantId || "default";
+  optOuts[key] = optOuts[key] || {};
+  if (optedOut) optOuts[key][phoneKey(phone)] = new Date().toISOString();
+  else delete optOuts[key][phoneKey(phone)];
+  try {
+    saveOptOuts();
+    return true;
+  } catch (err) {
+    log.error({ err, tenant: key, file: OPT_OUT_FILE, optedOut }, "❌ Failed to save SMS opt-out");
+    return false;
+  }
+}
+
+// ---------------- THREADS ----------------
+const threads = new Map();
+
+function threadKey(tenantId, phone) {
+  return `${tenantId || "default"}:${phoneKey(phone)}`;
+}
+
+// Returns [{ role: "user" | "assistant", content }] oldest first, ready for chat completions.
+export function getThread(tenantId, phone) {
+  const thread = threads.get(threadKey(tenantId, phone));
+  if (!thread || Date.now() - thread.updatedAt > THREAD_TTL_MS) return [];
+  return thread.messages.map(({ role, content }) => ({ role, content }));
+}
+
+export function appendToThread(tenantId, phone, role, content) {
+  const key = threadKey(tenantId, phone);
+  let thread = threads.get(key);
+  if (!thread || Date.now() - thread.updatedAt > THREAD_TTL_MS) {
+    thread = { messages: [], updatedAt: Date.now() };
+    threads.set(key, thread);
+  }
+  thread.messages.push({ role, content, at: new Date().toISOString() });
+  thread.messages.splice(0, Math.max(0, thread.messages.length - THREAD_MAX_MESSAGES));
+  thread.updatedAt = Date.now();
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, thread] of threads) {
+    if (now - thread.updatedAt > THREAD_TTL_MS) threads.delete(key);
+  }
+}, 60 * 60 * 1000).unref();
+
+// ---------------- REPLIES ----------------
+export function getHelpReply(tenant) {
+  const name = tenant?.studio_name || "our salon";
+  const phone = tenant?.contact?.phone ? ` Call ${tenant.contact.phone}.` : "";
+  const commands = Object.keys(getKeywordCommands(tenant));
+  const commandList = commands.length ? ` Reply ${commands.join(", ")} for quick info.` : "";
+  return `${name}:${phone}${commandList} Msg & data rates may apply. Reply STOP to opt out.`;
+}
+
+function cancellationPolicy(tenant) {
+  const rules = tenant?.policies?.cancellation || {};
+  const parts = [
+    rules.maintenance && `maintenance: ${rules.maintenance}`,
+    rules.same_day && `same day: ${rules.same_day}`,
+    rules.specialty && rules.specialty,
+  ].filter(Boolean);
+  return parts.length ? ` Cancellation policy - ${parts.join("; ")}.` : "";
+}
+
+// Built-in commands derived from tenant config; tenants can add or replace
+// entries with `sms_keywords: { "WORD": "reply" | { "reply": "...", "link": "<url or link type>" } }`
+// and switch one off by setting it to null.
+export function getKeywordCommands(tenant) {
+  const commands = {};
+
+  const portal = getPortalLink(tenant);
+  if (portal) {
+    commands.PORTAL = { reply: "Find the right service and get a personalized quote here:", link: portal };
+  }
+
+  const address = getAddressResponse(tenant);
+  const directions = getDirectionsLink(tenant);
+  if (address || directions) {
+    commands.DIRECTIONS = { reply: address || "Directions to our door:", link: directions };
+  }
+
+  commands.HOURS = { reply: getHoursResponse(tenant), link: null };
+
+  const booking = getMainBookingLink(tenant);
+  if (booking) {
+    commands.BOOK = { reply: "Book your appointment here:", link: booking };
+  }
+
+  const deposits = tenant?.policies?.deposits;
+  if (deposits || tenant?.quick_responses?.deposit_in_person) {
+    const intro = tenant?.quick_responses?.deposit_in_person || "We offer in-person deposit payment.";
+    commands.DEPOSIT = {
+      reply: `${intro} Reply with a day and time you'd like to come in and we'll confirm.`,
+      link: null,
+    };
+  }
+
+  const lookup = getAppointmentLookupLink(tenant);
+  if (lookup || tenant?.policies?.cancellation) {
+    const how = lookup ? "use our appointment lookup below" : "reply with your name and appointment date";
+    commands.CANCEL = {
+      reply: `To cancel or reschedule, ${how}.${cancellationPolicy(tenant)}`,
+      link: lookup,
+    };
+  }
+
+  const training = getTrainingResponse(tenant);
+  if (training) {
+    commands.CLASSES = { reply: training, link: null };
+  }
+
+  for (const [word, custom] of Object.entries(tenant?.sms_keywords || {})) {
+    const key = word.toUpperCase();
+    if (custom === null) {
+      delete commands[key];
+    } else if (typeof custom === "string") {
+      commands[key] = { reply: custom, link: null };
+    } else if (custom?.reply) {
+      const link = custom.link && !/^https?:\/\//.test(custom.link) ? getLinkByType(tenant, custom.link) : custom.link;
+      commands[key] = { reply: custom.reply, link: link || null };
+    }
+  }
+
+  return commands;
+}
+
+export function getKeywordReply(tenant, keyword) {
+  if (!keyword) return null;
+  return getKeywordCommands(tenant)[keyword] || null;
+}
+
+export function formatSmsReply(text, link) {
+  return link ? `${text}\n${link}` : text;
+}
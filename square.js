@@ -0,0 +1,451 @@
+import crypto from "crypto";
+import { DateTime } from "luxon";
+
+// Square Bookings as a scheduling backend. The client has the same methods (and returns
+// the same appointment shape) as the Acuity client in acuity.js, so the voice flow can
+// offer slots, book, move and cancel without knowing which one a tenant uses.
+//
+// Credentials are per tenant, read from the tenant config's `square` block:
+//   "square": {
+//     "access_token_env": "SQUARE_ACCESS_TOKEN_YESHA",
+//     "location_id": "L8...",
+//     "environment": "production",
+//     "services": { "retwist": "<service variation id>", "repair": "..." }
+//   }
+// `services` maps our service ids to Square service variation ids (Acuity tenants get
+// these from their booking links instead). The global SQUARE_ACCESS_TOKEN,
+// SQUARE_LOCATION_ID and SQUARE_ENV are only used when a tenant doesn't set its own.
+// The SDK is only loaded the first time a Square call is made.
+
+const DEFAULT_TIMEZONE = "America/New_York";
+// Service and staff names change rarely; don't look them up on every call.
+const NAMES_TTL_MS = 10 * 60 * 1000;
+// Square caps ListBookings at a 31-day window and SearchAvailability at 32 days.
+const LIST_WINDOW_DAYS = 31;
+const CANCELLED = new Set(["CANCELLED_BY_CUSTOMER", "CANCELLED_BY_SELLER", "DECLINED", "NO_SHOW"]);
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// Service and staff names per Square account + location, shared by every client built for it.
+const namesCache = new Map();
+
+// ---------------- ERRORS ----------------
+export class SquareError extends Error {
+  constructor(message, { status = null, errors = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "SquareError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+export class SquareConfigError extends SquareError {
+  constructor(message) {
+    super(message);
+    this.name = "SquareConfigError";
+  }
+}
+
+export class SquareAuthError extends SquareError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "SquareAuthError";
+  }
+}
+
+export class SquareNotFoundError extends SquareError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "SquareNotFoundError";
+  }
+}
+
+// 400/409/422: bad input, including "that time is no longer available".
+export class SquareValidationError extends SquareError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "SquareValidationError";
+  }
+}
+
+// Network failures, rate limits and 5xx responses.
+export class SquareUnavailableError extends SquareError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "SquareUnavailableError";
+  }
+}
+
+// The SDK throws ApiError (statusCode + errors[]) for HTTP errors and plain errors otherwise.
+function wrapError(err, what) {
+  if (err instanceof SquareError) return err;
+  const status = err?.statusCode ?? null;
+  if (status === null) {
+    return new SquareUnavailableError(`Square request failed: ${what} ${err?.message || ""}`.trim(), { cause: err });
+  }
+  const errors = err.errors || err.result?.errors || null;
+  const detail = errors?.map((e) => e.detail || e.code).join("; ") || "";
+  const message = `Square API error: ${what} ${status} ${detail}`.trim();
+  const details = { status, errors, cause: err };
+  if (status === 401 || status === 403) return new SquareAuthError(message, details);
+  if (status === 404) return new SquareNotFoundError(message, details);
+  if (status === 400 || status === 409 || status === 422) return new SquareValidationError(message, details);
+  if (status === 429 || status >= 500) return new SquareUnavailableError(message, details);
+  return new SquareError(message, details);
+}
+
+// ---------------- PHONES ----------------
+// Square matches customers on the stored phone string, so always search in E.164.
+// Bare 10-digit numbers are taken as North American.
+export function toE164(phone, defaultCountryCode = "1") {
+  const raw = String(phone || "").trim();
+  const digits = raw.replace(/\D/g, "");
+  if (!digits) return null;
+  if (raw.startsWith("+")) return `+${digits}`;
+  if (digits.length === 10) return `+${defaultCountryCode}${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return `+${digits}`;
+}
+
+const lastTen = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+
+// ---------------- CLIENT ----------------
+// Square's SDK returns BigInt for versions and durations, which JSON.stringify rejects.
+const toNumber = (value) => (value === undefined || value === null ? null : Number(value));
+
+export function createSquareClient({
+  accessToken,
+  locationId,
+  environment = "sandbox",
+  timezone = DEFAULT_TIMEZONE,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  sdk = null,
+} = {}) {
+  if (!accessToken || !locationId) {
+    throw new SquareConfigError("Square access token and location ID are required");
+  }
+
+  let apis = null;
+  async function api() {
+    if (!apis) {
+      const { Client, Environment } = sdk || await import("square").catch((err) => {
+        throw new SquareError("The square package isn't installed (npm install)", { cause: err });
+      });
+      apis = new Client({
+        accessToken,
+        timeout: timeoutMs,
+        environment: String(environment).toLowerCase() === "production" ? Environment.Production : Environment.Sandbox,
+      });
+    }
+    return apis;
+  }
+
+  async function call(what, fn) {
+    try {
+      return (await fn(await api())).result || {};
+    } catch (err) {
+      throw wrapError(err, what);
+    }
+  }
+
+  // ----- names -----
+  const namesKey = `${accessToken}:${locationId}`;
+  async function loadNames() {
+    const cached = namesCache.get(namesKey);
+    if (cached && Date.now() - cached.loadedAt < NAMES_TTL_MS) return cached;
+
+    const services = new Map(); // variation id -> { id, name, duration, version, price }
+    let cursor;
+    do {
+      const result = await call("searchCatalogItems", (sq) =>
+        sq.catalogApi.searchCatalogItems({ productTypes: ["APPOINTMENTS_SERVICE"], cursor }));
+      for (const item of result.items || []) {
+        const variations = item.itemData?.variations || [];
+        for (const variation of variations) {
+          const data = variation.itemVariationData || {};
+          services.set(variation.id, {
+            id: variation.id,
+            name: variations.length > 1 && data.name ? `${item.itemData.name} - ${data.name}` : item.itemData?.name,
+            duration: data.serviceDuration ? Math.round(Number(data.serviceDuration) / 60000) : null,
+            version: toNumber(variation.version),
+            price: data.priceMoney ? Number(data.priceMoney.amount) / 100 : null,
+          });
+        }
+      }
+      cursor = result.cursor;
+    } while (cursor);
+
+    const staff = new Map(); // team member id -> display name
+    cursor = undefined;
+    do {
+      const result = await call("listTeamMemberBookingProfiles", (sq) =>
+        sq.bookingsApi.listTeamMemberBookingProfiles(undefined, 100, cursor, locationId));
+      for (const profile of result.teamMemberBookingProfiles || []) {
+        staff.set(profile.teamMemberId, profile.displayName || null);
+      }
+      cursor = result.cursor;
+    } while (cursor);
+
+    const names = { services, staff, loadedAt: Date.now() };
+    namesCache.set(namesKey, names);
+    return names;
+  }
+
+  // ----- customers -----
+  async function findCustomer(phone) {
+    const e164 = toE164(phone);
+    if (!e164) return null;
+    const exact = await call("searchCustomers", (sq) =>
+      sq.customersApi.searchCustomers({ limit: 10, query: { filter: { phoneNumber: { exact: e164 } } } }));
+    if (exact.customers?.length) return exact.customers[0];
+
+    // Numbers typed in by hand ("(313) 555-1212") only match fuzzily.
+    const fuzzy = await call("searchCustomers", (sq) =>
+      sq.customersApi.searchCustomers({ limit: 10, query: { filter: { phoneNumber: { fuzzy: lastTen(e164) } } } }));
+    return (fuzzy.customers || []).find((c) => lastTen(c.phoneNumber) === lastTen(e164)) || null;
+  }
+
+  async function findOrCreateCustomer({ phone, firstName, lastName, email }) {
+    const existing = await findCustomer(phone);
+    if (existing) return existing;
+    const result = await call("createCustomer", (sq) => sq.customersApi.createCustomer({
+      idempotencyKey: crypto.randomUUID(),
+      givenName: firstName || undefined,
+      familyName: lastName || undefined,
+      emailAddress: email || undefined,
+      phoneNumber: toE164(phone) || undefined,
+    }));
+    return result.customer;
+  }
+
+  // ----- availability -----
+  // Square wants ranges of at least 24 hours that start in the future.
+  async function searchAvailability({ appointmentTypeID, start, end, teamMemberId }) {
+    const from = DateTime.max(start, DateTime.now().plus({ minutes: 1 }));
+    const to = DateTime.max(end, from.plus({ hours: 24 }));
+    const segment = { serviceVariationId: String(appointmentTypeID) };
+    if (teamMemberId) segment.teamMemberIdFilter = { any: [teamMemberId] };
+    const result = await call("searchAvailability", (sq) => sq.bookingsApi.searchAvailability({
+      query: {
+        filter: {
+          startAtRange: { startAt: from.toUTC().toISO(), endAt: to.toUTC().toISO() },
+          locationId,
+          segmentFilters: [segment],
+        },
+      },
+    }));
+    return result.availabilities || [];
+  }
+
+  // The availability that starts exactly at `datetime`, or a SquareValidationError.
+  async function availabilityAt({ appointmentTypeID, datetime, teamMemberId }) {
+    const at = DateTime.fromISO(datetime, { setZone: true });
+    const matches = (list) => list.find((a) => DateTime.fromISO(a.startAt).toMillis() === at.toMillis());
+    let slot = teamMemberId
+      ? matches(await searchAvailability({ appointmentTypeID, start: at, end: at.plus({ hours: 24 }), teamMemberId }))
+      : null;
+    if (!slot) slot = matches(await searchAvailability({ appointmentTypeID, start: at, end: at.plus({ hours: 24 }) }));
+    if (!slot) throw new SquareValidationError("Square API error: that time is no longer available", { status: 409 });
+    return slot;
+  }
+
+  const segmentsFor = (slot) => (slot.appointmentSegments || []).map((seg) => ({
+    durationMinutes: toNumber(seg.durationMinutes),
+    serviceVariationId: seg.serviceVariationId,
+    teamMemberId: seg.teamMemberId,
+    serviceVariationVersion: seg.serviceVariationVersion,
+  }));
+
+  // ----- bookings -----
+  async function toAppointment(booking, customer = null) {
+    const { services, staff } = await loadNames();
+    const seg = (booking.appointmentSegments || [])[0] || {};
+    const zone = timezone || DEFAULT_TIMEZONE;
+    return {
+      id: booking.id,
+      datetime: DateTime.fromISO(booking.startAt, { zone: "utc" }).setZone(zone).toISO({ suppressMilliseconds: true }),
+      duration: toNumber(seg.durationMinutes),
+      appointmentTypeID: seg.serviceVariationId || null,
+      type: services.get(seg.serviceVariationId)?.name || null,
+      calendarID: seg.teamMemberId || null,
+      calendar: staff.get(seg.teamMemberId) || null,
+      firstName: customer?.givenName || "",
+      lastName: customer?.familyName || "",
+      email: customer?.emailAddress || "",
+      phone: customer?.phoneNumber || "",
+      status: booking.status || null,
+      version: toNumber(booking.version),
+    };
+  }
+
+  async function retrieveBooking(id) {
+    const result = await call("retrieveBooking", (sq) => sq.bookingsApi.retrieveBooking(String(id)));
+    if (!result.booking) throw new SquareNotFoundError(`Square booking ${id} not found`, { status: 404 });
+    return result.booking;
+  }
+
+  async function listBookings({ customerId, start, end, max }) {
+    const bookings = [];
+    for (let from = start; from < end && bookings.length < max; from = from.plus({ days: LIST_WINDOW_DAYS })) {
+      const to = DateTime.min(end, from.plus({ days: LIST_WINDOW_DAYS }));
+      let cursor;
+      do {
+        const result = await call("listBookings", (sq) => sq.bookingsApi.listBookings(
+          100, cursor, customerId, undefined, locationId, from.toUTC().toISO(), to.toUTC().toISO()));
+        bookings.push(...(result.bookings || []));
+        cursor = result.cursor;
+      } while (cursor && bookings.length < max);
+    }
+    return bookings;
+  }
+
+  return {
+    // [{ id: service variation id, name, duration (minutes), price }]
+    async listAppointmentTypes() {
+      const { services } = await loadNames();
+      return [...services.values()].map(({ id, name, duration, price }) => ({ id, name, duration, price }));
+    },
+
+    // month: "YYYY-MM". Returns [{ date: "YYYY-MM-DD" }].
+    async getAvailableDates({ appointmentTypeID, month, timezone: zone = timezone, calendarID }) {
+      const start = DateTime.fromISO(`${month}-01`, { zone });
+      const availabilities = await searchAvailability({
+        appointmentTypeID, start, end: start.plus({ months: 1 }), teamMemberId: calendarID,
+      });
+      const dates = new Set(availabilities.map((a) => DateTime.fromISO(a.startAt).setZone(zone).toISODate()));
+      return [...dates].sort().map((date) => ({ date }));
+    },
+
+    // date: "YYYY-MM-DD". Returns [{ time: ISO datetime, slotsAvailable }].
+    async getAvailableTimes({ appointmentTypeID, date, timezone: zone = timezone, calendarID }) {
+      const start = DateTime.fromISO(date, { zone });
+      const availabilities = await searchAvailability({
+        appointmentTypeID, start, end: start.plus({ days: 1 }), teamMemberId: calendarID,
+      });
+      const counts = new Map();
+      for (const a of availabilities) {
+        const local = DateTime.fromISO(a.startAt).setZone(zone);
+        if (local.toISODate() !== date) continue;
+        const time = local.toISO({ suppressMilliseconds: true });
+        counts.set(time, (counts.get(time) || 0) + 1);
+      }
+      return [...counts].sort(([a], [b]) => a.localeCompare(b)).map(([time, slotsAvailable]) => ({ time, slotsAvailable }));
+    },
+
+    async getAppointment(id) {
+      const booking = await retrieveBooking(id);
+      let customer = null;
+      if (booking.customerId) {
+        customer = (await call("retrieveCustomer", (sq) => sq.customersApi.retrieveCustomer(booking.customerId))).customer;
+      }
+      return toAppointment(booking, customer);
+    },
+
+    async createAppointment({ appointmentTypeID, datetime, firstName, lastName, email, phone, calendarID, notes }) {
+      const slot = await availabilityAt({ appointmentTypeID, datetime, teamMemberId: calendarID });
+      const customer = await findOrCreateCustomer({ phone, firstName, lastName, email });
+      const result = await call("createBooking", (sq) => sq.bookingsApi.createBooking({
+        idempotencyKey: crypto.randomUUID(),
+        booking: {
+          startAt: slot.startAt,
+          locationId,
+          customerId: customer?.id,
+          customerNote: notes || undefined,
+          appointmentSegments: segmentsFor(slot),
+        },
+      }));
+      return toAppointment(result.booking, customer);
+    },
+
+    // Stays with the same stylist when they're free at the new time.
+    async rescheduleAppointment(id, { datetime, calendarID }) {
+      const booking = await retrieveBooking(id);
+      const seg = (booking.appointmentSegments || [])[0] || {};
+      const slot = await availabilityAt({
+        appointmentTypeID: seg.serviceVariationId,
+        datetime,
+        teamMemberId: calendarID || seg.teamMemberId,
+      });
+      const result = await call("updateBooking", (sq) => sq.bookingsApi.updateBooking(booking.id, {
+        idempotencyKey: crypto.randomUUID(),
+        booking: { version: booking.version, startAt: slot.startAt, appointmentSegments: segmentsFor(slot) },
+      }));
+      return toAppointment(result.booking);
+    },
+
+    // Square has no cancellation note; it goes in the seller note instead.
+    async cancelAppointment(id, { cancelNote } = {}) {
+      let booking = await retrieveBooking(id);
+      if (cancelNote) {
+        booking = (await call("updateBooking", (sq) => sq.bookingsApi.updateBooking(booking.id, {
+          idempotencyKey: crypto.randomUUID(),
+          booking: { version: booking.version, sellerNote: cancelNote },
+        }))).booking;
+      }
+      const result = await call("cancelBooking", (sq) => sq.bookingsApi.cancelBooking(booking.id, {
+        idempotencyKey: crypto.randomUUID(),
+        bookingVersion: booking.version,
+      }));
+      return toAppointment(result.booking);
+    },
+
+    // Bookings for the customer with this phone number, or everyone's without one
+    // (cancelled ones left out).
+    async findAppointments({ phone, minDate, maxDate, max = 100, direction = "ASC" } = {}) {
+      const customer = phone ? await findCustomer(phone) : null;
+      if (phone && !customer) return [];
+      const zone = timezone || DEFAULT_TIMEZONE;
+      const start = minDate ? DateTime.fromISO(minDate, { zone }) : DateTime.now().setZone(zone).startOf("day");
+      const end = maxDate ? DateTime.fromISO(maxDate, { zone }).plus({ days: 1 }) : start.plus({ days: 90 });
+      const bookings = (await listBookings({ customerId: customer?.id, start, end, max }))
+        .filter((b) => !CANCELLED.has(b.status));
+      bookings.sort((a, b) => String(a.startAt).localeCompare(String(b.startAt)));
+      if (direction === "DESC") bookings.reverse();
+      if (customer) return Promise.all(bookings.slice(0, max).map((b) => toAppointment(b, customer)));
+
+      // Everyone's bookings: each one's name and number is on its own customer.
+      const customers = new Map();
+      const customerFor = (id) => {
+        if (!id) return null;
+        if (!customers.has(id)) {
+          customers.set(id, call("retrieveCustomer", (sq) => sq.customersApi.retrieveCustomer(id))
+            .then((result) => result.customer || null, () => null));
+        }
+        return customers.get(id);
+      };
+      return Promise.all(bookings.slice(0, max).map(async (b) => toAppointment(b, await customerFor(b.customerId))));
+    },
+
+    // Square keeps the caller's name and email on the customer, so there's no need to
+    // dig through old bookings like we do for Acuity.
+    async findClientProfile(phone) {
+      const customer = await findCustomer(phone);
+      if (!customer?.givenName) return null;
+      return { firstName: customer.givenName, lastName: customer.familyName || "", email: customer.emailAddress || "" };
+    },
+  };
+}
+
+function resolveSetting(config, key, fallback) {
+  if (config?.[key]) return config[key];
+  const envName = config?.[`${key}_env`];
+  if (envName && process.env[envName]) return process.env[envName];
+  return fallback;
+}
+
+// Builds a client from the tenant's `square` config block; throws SquareConfigError when
+// the tenant has no credentials.
+export function getSquareClient(tenant, options = {}) {
+  const config = tenant?.square || {};
+  return createSquareClient({
+    accessToken: resolveSetting(config, "access_token", process.env.SQUARE_ACCESS_TOKEN),
+    locationId: resolveSetting(config, "location_id", process.env.SQUARE_LOCATION_ID),
+    environment: resolveSetting(config, "environment", process.env.SQUARE_ENV || "sandbox"),
+    timezone: tenant?.timezone || DEFAULT_TIMEZONE,
+    ...options,
+  });
+}
+
+// Square service variation id for one of our services (see `services` above).
+export function squareServiceVariationId(tenant, service) {
+  return (service && tenant?.square?.services?.[service.id]) || null;
+}
@@ -0,0 +1,258 @@
+// Resolves everything the voice and SMS flows say or text from the tenant's
+// merged config (tenants.json entry + tenants/<id>/config.json).
+
+// ---------------- SERVICES ----------------
+// `feature` is the advanced_features flag that gates the service (null = always offered),
+// `quoteKeys` are looked up in quote_system.urls and `bookingKey` in booking.maintenance_links.
+export const SERVICES = [
+  {
+    id: "retwist",
+    keywords: ["retwist", "palm roll"],
+    label: "retwist",
+    bookingLabel: "retwist",
+    feature: null,
+    quoteKeys: ["retwist"],
+    bookingKey: "retwist",
+    smsQuote: "Retwist Quote",
+    smsBooking: "Book your Retwist/Palm Roll appointment",
+  },
+  {
+    id: "wick",
+    keywords: ["wick"],
+    label: "wick locs",
+    bookingLabel: "wick loc maintenance",
+    feature: "wick_locs",
+    quoteKeys: ["wick_maintenance", "wick"],
+    bookingKey: "wick",
+    smsQuote: "Wick Locs Quote",
+    smsBooking: "Book your Wick Loc maintenance",
+  },
+  {
+    id: "interlock",
+    keywords: ["interlock"],
+    label: "interlock maintenance",
+    bookingLabel: "interlock maintenance",
+    feature: null,
+    quoteKeys: ["interlock"],
+    bookingKey: "interlock",
+    smsQuote: "Interlock Maintenance Quote",
+    smsBooking: "Book your Interlock maintenance",
+  },
+  {
+    id: "sisterlock",
+    keywords: ["sisterlock", "sister lock", "microlock"],
+    label: "sisterlock/microlock maintenance",
+    bookingLabel: "sisterlock maintenance",
+    feature: null,
+    quoteKeys: ["sisterlock", "microlocs"],
+    bookingKey: "sisterlock",
+    smsQuote: "Sisterlock/Microlock Maintenance Quote",
+    smsBooking: "Book your Sisterlock/Microlock maintenance",
+  },
+  {
+    id: "crochet",
+    keywords: ["crochet"],
+    label: "crochet maintenance",
+    bookingLabel: "crochet roots maintenance",
+    feature: null,
+    quoteKeys: ["crochet"],
+    bookingKey: "crochet",
+    smsQuote: "Crochet Maintenance Quote",
+    smsBooking: "Book your Crochet Roots maintenance",
+  },
+  {
+    id: "bald_coverage",
+    keywords: ["bald coverage", "bald spot", "bald"],
+    label: "bald coverage",
+    bookingLabel: "bald coverage maintenance",
+    feature: "bald_coverage",
+    quoteKeys: ["bald_coverage"],
+    bookingKey: "bald_coverage",
+    smsQuote: "Bald Coverage Quote",
+    smsBooking: "Book your Bald Coverage maintenance",
+  },
+  {
+    id: "repair",
+    keywords: ["repair"],
+    label: "loc repair",
+    bookingLabel: "loc repair",
+    feature: "loc_repair",
+    quoteKeys: ["repair"],
+    bookingKey: null,
+    smsQuote: "Loc Repair Quote",
+  },
+  {
+    id: "extensions",
+    keywords: ["extension"],
+    label: "loc extensions",
+    bookingLabel: "loc extensions",
+    feature: null,
+    quoteKeys: ["extensions"],
+    bookingKey: null,
+    smsQuote: "Loc Extensions Quote",
+  },
+  {
+    id: "starter_locs",
+    keywords: ["starter loc"],
+    label: "starter locs",
+    bookingLabel: "starter locs",
+    feature: null,
+    quoteKeys: ["starter_locs"],
+    bookingKey: null,
+    smsQuote: "Starter Locs Quote",
+  },
+];
+
+const LINK_LABELS = {
+  service_portal: "Service Portal - Get personalized quotes",
+  consultation_booking: "Book your consultation",
+  booking: "Book your appointment",
+  website: "Visit our website",
+  instagram: "Follow us on Instagram",
+  appointment_lookup: "Appointment Lookup",
+  directions: "Directions to our door",
+};
+
+// ---------------- FEATURE FLAGS ----------------
+// Features a tenant doesn't declare are treated as enabled; the matching
+// config section still has to exist for anything to be offered.
+export function isFeatureEnabled(tenant, feature) {
+  if (!feature) return true;
+  const flags = tenant?.advanced_features || {};
+  return flags[feature] !== false;
+}
+
+export function getServiceById(id) {
+  return SERVICES.find((s) => s.id === id) || null;
+}
+
+export function findService(lowerSpeech, tenant) {
+  for (const service of SERVICES) {
+    if (!isFeatureEnabled(tenant, service.feature)) continue;
+    if (service.keywords.some((k) => lowerSpeech.includes(k))) {
+      return service;
+    }
+  }
+  return null;
+}
+
+// ---------------- LINKS ----------------
+export function getQuoteLink(tenant, service) {
+  if (!service || !isFeatureEnabled(tenant, "quote_system")) return null;
+  const quoteSystem = tenant?.quote_system;
+  if (!quoteSystem || quoteSystem.enabled === false) return null;
+  for (const key of service.quoteKeys) {
+    if (quoteSystem.urls?.[key]) return quoteSystem.urls[key];
+  }
+  return null;
+}
+
+export function getBookingLink(tenant, service) {
+  if (!service?.bookingKey || !isFeatureEnabled(tenant, "maintenance_booking_links")) return null;
+  const links = tenant?.booking?.maintenance_links || tenant?.maintenance_booking_links?.links || {};
+  return links[service.bookingKey] || null;
+}
+
+export function getPortalLink(tenant) {
+  if (!isFeatureEnabled(tenant, "service_portal")) return null;
+  const portal = tenant?.service_portal;
+  if (portal?.enabled === false) return null;
+  return portal?.url || tenant?.instagram?.quick_links?.service_portal || null;
+}
+
+export function getConsultationLink(tenant) {
+  return tenant?.booking?.consultation_url || null;
+}
+
+export function getMainBookingLink(tenant) {
+  return tenant?.booking?.booking_site || tenant?.booking?.main_url || null;
+}
+
+export function getWebsiteLink(tenant) {
+  return tenant?.contact?.website || null;
+}
+
+export function getInstagramLink(tenant) {
+  if (!isFeatureEnabled(tenant, "instagram_integration")) return null;
+  return tenant?.contact?.instagram_url || null;
+}
+
+export function getDirectionsLink(tenant) {
+  return tenant?.contact?.directions_url || tenant?.instagram?.quick_links?.directions || null;
+}
+
+export function getAppointmentLookupLink(tenant) {
+  return tenant?.contact?.appointment_lookup || tenant?.instagram?.quick_links?.appointment_lookup || null;
+}
+
+// Resolves a link type (see describeLink) to this tenant's URL, e.g. "booking" or "wick_quote".
+export function getLinkByType(tenant, linkType) {
+  switch (linkType) {
+    case "service_portal": return getPortalLink(tenant);
+    case "consultation_booking": return getConsultationLink(tenant);
+    case "booking": return getMainBookingLink(tenant);
+    case "website": return getWebsiteLink(tenant);
+    case "instagram": return getInstagramLink(tenant);
+    case "directions": return getDirectionsLink(tenant);
+    case "appointment_lookup": return getAppointmentLookupLink(tenant);
+  }
+  const match = /^(.+)_(quote|booking)$/.exec(linkType || "");
+  const service = match && getServiceById(match[1]);
+  if (!service || !isFeatureEnabled(tenant, service.feature)) return null;
+  return match[2] === "quote" ? getQuoteLink(tenant, service) : getBookingLink(tenant, service);
+}
+
+// Every link type that resolves to a URL for this tenant.
+export function getAvailableLinkTypes(tenant) {
+  const types = [
+    ...Object.keys(LINK_LABELS),
+    ...SERVICES.flatMap((service) => [`${service.id}_quote`, `${service.id}_booking`]),
+  ];
+  return types.filter((linkType) => getLinkByType(tenant, linkType));
+}
+
+// SMS prefix for a link type: a LINK_LABELS key, or `<service id>_quote` / `<service id>_booking`.
+export function describeLink(linkType) {
+  if (LINK_LABELS[linkType]) return LINK_LABELS[linkType];
+  const match = /^(.+)_(quote|booking)$/.exec(linkType || "");
+  const service = match && getServiceById(match[1]);
+  if (service) {
+    return match[2] === "quote" ? service.smsQuote : service.smsBooking || LINK_LABELS.booking;
+  }
+  return "Here's the link";
+}
+
+// ---------------- RESPONSES ----------------
+export function requiresQuote(tenant) {
+  return isFeatureEnabled(tenant, "quote_system") &&
+    tenant?.quote_system?.enabled !== false &&
+    tenant?.booking?.requires_quote !== false;
+}
+
+export function getTrainingResponse(tenant) {
+  const program = tenant?.training_program;
+  if (!isFeatureEnabled(tenant, "training_program") || !program || program.enabled === false) {
+    return null;
+  }
+  let text = "Yes, we offer a loc repair training program.";
+  if (program.cost) text += ` ${program.cost.replace(/\.?$/, ".")}`;
+  if (program.signup_method) text += ` You can ${program.signup_method} to enroll.`;
+  return text;
+}
+
+export function getAddressResponse(tenant) {
+  const address = tenant?.address || tenant?.location;
+  if (!address) return null;
+  return `We're located at ${address}.`;
+}
+
+// The tenant's wording says the stylist "has been informed", so it's only used when the
+// owner actually gets a running_late notification (notifications.js).
+export function getRunningLateResponse(tenant, { notified = true } = {}) {
+  if (!notified) {
+    return `Thanks for letting us know! Please text this number with how far away you are so ${tenant?.loctician_name || "your stylist"} can plan around it.`;
+  }
+  return tenant?.custom_responses?.running_late ||
+    tenant?.quick_responses?.running_late ||
+    `Thanks for the update! ${tenant?.loctician_name || "Your stylist"} has been informed you're running behind.`;
+}
@@ -0,0 +1,209 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import {
+  createAcuityClient,
+  AcuityConfigError,
+  AcuityAuthError,
+  AcuityNotFoundError,
+  AcuityValidationError,
+  AcuityUnavailableError,
+} from "../acuity.js";
+import { getSchedulingProvider, SlotUnavailableError } from "../scheduling.js";
+
+// ---------------- ACUITY STAND-IN ----------------
+// Just enough of https://acuityscheduling.com/api/v1 to exercise the client: GET /appointments
+// honours minDate, maxDate, max and direction like the real API (which has no offset).
+const USER_ID = "1234";
+const API_KEY = "secret";
+let appointments = [];
+let requests = [];
+let nextId = 1000;
+let failNext = null;
+
+function appointment(datetime, phone, extra = {}) {
+  return {
+    id: nextId++,
+    datetime,
+    appointmentTypeID: 11,
+    type: "Retwist",
+    calendar: "Yesha",
+    firstName: "Ada",
+    lastName: "Lovelace",
+    email: "ada@example.com",
+    phone,
+    canceled: false,
+    ...extra,
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => resolve(body ? JSON.parse(body) : null));
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  const body = await readBody(req);
+  requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+  const send = (status, data) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(data));
+  };
+
+  if (req.headers.authorization !== `Basic ${Buffer.from(`${USER_ID}:${API_KEY}`).toString("base64")}`) {
+    return send(401, { status_code: 401, message: "Unauthorized" });
+  }
+  if (failNext) {
+    const status = failNext;
+    failNext = null;
+    return send(status, { message: "Something went wrong" });
+  }
+
+  const path = url.pathname.replace(/^\/api\/v1/, "");
+  let match;
+  if (req.method === "GET" && path === "/appointment-types") {
+    return send(200, [{ id: 11, name: "Retwist", duration: 120, price: "150.00" }]);
+  }
+  if (req.method === "GET" && path === "/availability/dates") {
+    return send(200, [{ date: "2030-01-07" }, { date: "2030-01-08" }]);
+  }
+  if (req.method === "GET" && path === "/availability/times") {
+    return send(200, [{ time: `${url.searchParams.get("date")}T11:00:00-0500`, slotsAvailable: 1 }]);
+  }
+  if (req.method === "GET" && path === "/appointments") {
+    const { minDate, maxDate, direction } = Object.fromEntries(url.searchParams);
+    const max = Number(url.searchParams.get("max") || 100);
+    const found = appointments
+      .filter((appt) => !appt.canceled)
+      .filter((appt) => (!minDate || appt.datetime.slice(0, 10) >= minDate) && (!maxDate || appt.datetime.slice(0, 10) <= maxDate))
+      .sort((a, b) => a.datetime.localeCompare(b.datetime) || a.id - b.id);
+    if (direction === "DESC") found.reverse();
+    return send(200, found.slice(0, max));
+  }
+  if (req.method === "POST" && path === "/appointments") {
+    if (appointments.some((appt) => !appt.canceled && appt.datetime === body.datetime)) {
+      return send(400, { status_code: 400, error: "not_available", message: "The time is not available." });
+    }
+    const created = appointment(body.datetime, body.phone, { firstName: body.firstName, lastName: body.lastName, email: body.email });
+    appointments.push(created);
+    return send(200, created);
+  }
+  if ((match = /^\/appointments\/(\d+)(\/cancel|\/reschedule)?$/.exec(path))) {
+    const appt = appointments.find((a) => a.id === Number(match[1]));
+    if (!appt) return send(404, { status_code: 404, message: "Appointment not found." });
+    if (req.method === "PUT" && match[2] === "/cancel") {
+      appt.canceled = true;
+      return send(200, appt);
+    }
+    if (req.method === "PUT" && match[2] === "/reschedule") {
+      appt.datetime = body.datetime;
+      return send(200, appt);
+    }
+    return send(200, appt);
+  }
+  return send(404, { message: "No route" });
+});
+
+let baseUrl;
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+beforeEach(() => {
+  appointments = [];
+  requests = [];
+  failNext = null;
+});
+
+const client = () => createAcuityClient({ userId: USER_ID, apiKey: API_KEY, baseUrl });
+
+// ---------------- CLIENT ----------------
+test("credentials are required", () => {
+  assert.throws(() => createAcuityClient({ userId: USER_ID }), AcuityConfigError);
+});
+
+test("responses are mapped to typed errors", async () => {
+  await assert.rejects(createAcuityClient({ userId: USER_ID, apiKey: "wrong", baseUrl }).listAppointmentTypes(), AcuityAuthError);
+  await assert.rejects(client().getAppointment(42), AcuityNotFoundError);
+  failNext = 503;
+  await assert.rejects(client().listAppointmentTypes(), AcuityUnavailableError);
+  appointments.push(appointment("2030-01-07T11:00:00-0500", "3135550123"));
+  await assert.rejects(client().createAppointment({ datetime: "2030-01-07T11:00:00-0500" }), AcuityValidationError);
+});
+
+test("an unreachable API is AcuityUnavailableError", async () => {
+  const closed = createAcuityClient({ userId: USER_ID, apiKey: API_KEY, baseUrl: "http://127.0.0.1:1" });
+  await assert.rejects(closed.listAppointmentTypes(), AcuityUnavailableError);
+});
+
+test("phone lookups match formatted numbers by digits", async () => {
+  appointments.push(
+    appointment("2030-01-07T11:00:00-0500", "(313) 555-0123"),
+    appointment("2030-01-08T11:00:00-0500", "+1 313 555 0999"),
+  );
+  const found = await client().findAppointments({ phone: "+13135550123", minDate: "2030-01-01", maxDate: "2030-01-31" });
+  assert.deepEqual(found.map((appt) => appt.datetime), ["2030-01-07T11:00:00-0500"]);
+});
+
+test("phone lookups page past a busy range instead of missing the caller", async () => {
+  for (let day = 1; day <= 9; day++) {
+    for (let hour = 9; hour < 17; hour++) {
+      appointments.push(appointment(`2030-01-0${day}T${String(hour).padStart(2, "0")}:00:00-0500`, "3135550999"));
+    }
+  }
+  appointments.push(appointment("2030-01-09T18:00:00-0500", "3135550123"));
+
+  const found = await client().findAppointments({ phone: "3135550123", minDate: "2030-01-01", maxDate: "2030-01-31", pageSize: 20 });
+  assert.deepEqual(found.map((appt) => appt.datetime), ["2030-01-09T18:00:00-0500"]);
+  assert.ok(requests.filter((r) => r.path.endsWith("/appointments")).length > 1);
+});
+
+test("descending lookups page backwards", async () => {
+  appointments.push(appointment("2030-01-01T09:00:00-0500", "3135550123"));
+  for (let day = 2; day <= 9; day++) appointments.push(appointment(`2030-01-0${day}T09:00:00-0500`, "3135550999"));
+
+  const [latest] = await client().findAppointments({ phone: "3135550123", minDate: "2030-01-01", maxDate: "2030-01-31", direction: "DESC", max: 1, pageSize: 3 });
+  assert.equal(latest.datetime, "2030-01-01T09:00:00-0500");
+});
+
+test("listing without a phone stops at max", async () => {
+  for (let day = 1; day <= 9; day++) appointments.push(appointment(`2030-01-0${day}T09:00:00-0500`, `313555000${day}`));
+  const found = await client().findAppointments({ minDate: "2030-01-01", maxDate: "2030-01-31", max: 5, pageSize: 2 });
+  assert.equal(found.length, 5);
+  assert.equal(new Set(found.map((appt) => appt.id)).size, 5);
+});
+
+// ---------------- PROVIDER ----------------
+test("the acuity provider books, reschedules and cancels through the API", async () => {
+  const tenant = { tenant_id: "acuity_test", scheduling: { provider: "acuity" }, acuity: { user_id: USER_ID, api_key: API_KEY, base_url: baseUrl } };
+  const scheduler = getSchedulingProvider(tenant);
+
+  const [type] = await scheduler.listAppointmentTypes();
+  assert.deepEqual(type, { id: "11", name: "Retwist", duration: 120, price: 150 });
+
+  const slots = await scheduler.findAvailability({ appointmentTypeID: "11", timezone: "America/Detroit", count: 2 });
+  assert.deepEqual(slots, ["2030-01-07T11:00:00-0500", "2030-01-08T11:00:00-0500"]);
+
+  const booked = await scheduler.book({ appointmentTypeID: "11", datetime: slots[0], firstName: "Ada", lastName: "Lovelace", email: "ada@example.com", phone: "3135550123" });
+  assert.equal(booked.status, "booked");
+  await assert.rejects(
+    scheduler.book({ appointmentTypeID: "11", datetime: slots[0], firstName: "Bo", phone: "3135550999" }),
+    SlotUnavailableError,
+  );
+
+  const moved = await scheduler.reschedule(booked.id, { datetime: slots[1], timezone: "America/Detroit" });
+  assert.equal(moved.datetime, slots[1]);
+
+  const mine = await scheduler.findAppointmentsByPhone("+1 (313) 555-0123", { from: "2030-01-01", to: "2030-01-31" });
+  assert.deepEqual(mine.map((appt) => appt.id), [booked.id]);
+
+  const cancelled = await scheduler.cancel(booked.id, { note: "test" });
+  assert.equal(cancelled.status, "cancelled");
+  assert.equal(requests.at(-1).body.cancelNote, "test");
+  assert.deepEqual(await scheduler.findAppointmentsByPhone("3135550123", { from: "2030-01-01", to: "2030-01-31" }), []);
+});
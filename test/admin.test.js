@@ -0,0 +1,72 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import Fastify from "fastify";
+
+// The call store reads CALL_RECORDS_DIR when it's first imported.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-calls-"));
+process.env.CALL_RECORDS_DIR = dir;
+process.env.ADMIN_TOKEN = "admin-secret";
+const { default: adminRoutes } = await import("../admin.js");
+
+const TENANT = { tenant_id: "t1", studio_name: "Test Studio" };
+const auth = { authorization: "Bearer admin-secret" };
+let app;
+let fetched = [];
+const realFetch = globalThis.fetch;
+
+function writeCall(callSid, recordingUrl, startedAt = "2030-01-01T10:00:00.000Z") {
+  fs.writeFileSync(path.join(dir, `${callSid}.json`), JSON.stringify({
+    callSid, tenantId: "t1", startedAt, turns: [], intents: [], outcomes: [], linksSent: [],
+    recording: recordingUrl ? { sid: "RE1", url: recordingUrl, duration: 3 } : null,
+  }));
+}
+
+before(async () => {
+  globalThis.fetch = async (url) => {
+    fetched.push(String(url));
+    return new Response(new Uint8Array([1, 2, 3]), { status: 200 });
+  };
+  app = Fastify();
+  await app.register(adminRoutes, {
+    prefix: "/admin",
+    getTenant: (id) => (id === "t1" ? TENANT : null),
+    listTenantIds: () => ["t1"],
+    twilioAuth: { accountSid: "AC123", authToken: "token" },
+  });
+});
+after(async () => {
+  globalThis.fetch = realFetch;
+  await app.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("recordings are proxied from api.twilio.com", async () => {
+  fetched = [];
+  writeCall("CATWILIO", "https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/RE1");
+  const res = await app.inject({ url: "/admin/tenants/t1/calls/CATWILIO/recording", headers: auth });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(fetched, ["https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/RE1.mp3"]);
+});
+
+test("recordings anywhere else are refused without sending credentials", async () => {
+  fetched = [];
+  for (const [callSid, url] of [
+    ["CAEVIL", "https://evil.example.com/steal"],
+    ["CALOOKALIKE", "https://api.twilio.com.evil.example.com/x"],
+    ["CAPLAIN", "http://api.twilio.com/x"],
+  ]) {
+    writeCall(callSid, url);
+    const res = await app.inject({ url: `/admin/tenants/t1/calls/${callSid}/recording`, headers: auth });
+    assert.equal(res.statusCode, 502, callSid);
+  }
+  assert.deepEqual(fetched, []);
+});
+
+test("the call list pages with limit and offset", async () => {
+  for (let i = 1; i <= 4; i++) writeCall(`CAPAGE${i}`, null, `2030-02-0${i}T10:00:00.000Z`);
+  const res = await app.inject({ url: "/admin/api/tenants/t1/calls?limit=2&offset=1&since=2030-02-01", headers: auth });
+  assert.deepEqual(res.json().calls.map((call) => call.callSid), ["CAPAGE3", "CAPAGE2"]);
+});
@@ -0,0 +1,61 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createJsonCallStore, getCallStore } from "../call-records.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "call-records-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+beforeEach(() => {
+  for (const file of fs.readdirSync(dir)) fs.rmSync(path.join(dir, file));
+});
+
+const record = (callSid, tenantId, startedAt) => ({ callSid, tenantId, startedAt, turns: [], outcomes: [] });
+
+test("lists one tenant's calls newest first, a page at a time", async () => {
+  const store = createJsonCallStore({ dir });
+  for (let i = 1; i <= 5; i++) await store.save(record(`CA${i}`, "a", `2030-01-0${i}T10:00:00.000Z`));
+  await store.save(record("CAB", "b", "2030-01-09T10:00:00.000Z"));
+
+  const first = await store.list({ tenantId: "a", limit: 2 });
+  const second = await store.list({ tenantId: "a", limit: 2, offset: 2 });
+  assert.deepEqual(first.map((r) => r.callSid), ["CA5", "CA4"]);
+  assert.deepEqual(second.map((r) => r.callSid), ["CA3", "CA2"]);
+  assert.deepEqual((await store.list({ tenantId: "a", since: "2030-01-04" })).map((r) => r.callSid), ["CA5", "CA4"]);
+});
+
+test("only opens the files a listing returns", async () => {
+  const store = createJsonCallStore({ dir });
+  for (let i = 1; i <= 5; i++) await store.save(record(`CA${i}`, "a", `2030-01-0${i}T10:00:00.000Z`));
+
+  const read = fs.promises.readFile;
+  let reads = 0;
+  fs.promises.readFile = (...args) => { reads++; return read(...args); };
+  try {
+    await store.list({ tenantId: "a", limit: 2 });
+  } finally {
+    fs.promises.readFile = read;
+  }
+  assert.equal(reads, 2);
+});
+
+test("picks up calls written by another process and forgets deleted ones", async () => {
+  const store = createJsonCallStore({ dir });
+  await store.save(record("CA1", "a", "2030-01-01T10:00:00.000Z"));
+  await store.list({ tenantId: "a" });
+
+  fs.writeFileSync(path.join(dir, "CA2.json"), JSON.stringify(record("CA2", "a", "2030-01-02T10:00:00.000Z")));
+  fs.writeFileSync(path.join(dir, "broken.json"), "{");
+  fs.rmSync(path.join(dir, "CA1.json"));
+  assert.deepEqual((await store.list({ tenantId: "a" })).map((r) => r.callSid), ["CA2"]);
+});
+
+test("an Airtable tenant without a base falls back to JSON files and says so", () => {
+  const warnings = [];
+  const log = { warn: (details, msg) => warnings.push({ details, msg }) };
+  const tenant = { tenant_id: "no_base", call_records: { storage: "airtable" } };
+  assert.equal(getCallStore(tenant, { log }).name, "json");
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].details.tenant, "no_base");
+});
@@ -0,0 +1,56 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createNotifier } from "../notifications.js";
+import { createRealtimeTools } from "../realtime-tools.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notifications-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const quiet = { info() {}, warn() {}, error() {} };
+let counter = 0;
+function setup({ delivers = true, events = { running_late: ["sms"] } } = {}) {
+  const tenant = { tenant_id: `notify_${++counter}`, timezone: "America/Detroit", notifications: { events, sms: "+13135550100" } };
+  const texts = [];
+  const notifier = createNotifier({
+    sendSms: async (to, body) => { texts.push(body); return delivers; },
+    getTenant: () => tenant,
+    log: quiet,
+    file: path.join(dir, `${tenant.tenant_id}.json`),
+  });
+  return { tenant, texts, notifier };
+}
+
+test("notify says whether the owner was told, or why not", async () => {
+  const { tenant, texts, notifier } = setup();
+  assert.equal(await notifier.notify(tenant, "running_late", { callSid: "CA1", caller: "+13135550123" }), "sent");
+  assert.equal(await notifier.notify(tenant, "running_late", { callSid: "CA1", caller: "+13135550123" }), "duplicate");
+  assert.equal(await notifier.notify(tenant, "training_inquiry", { callSid: "CA1" }), "off");
+  assert.equal(texts.length, 1);
+});
+
+test("a notification that didn't go out isn't a duplicate next time", async () => {
+  const { tenant, notifier } = setup({ delivers: false });
+  assert.equal(await notifier.notify(tenant, "running_late", { callSid: "CA1" }), "failed");
+  assert.equal(await notifier.notify(tenant, "running_late", { callSid: "CA1" }), "failed");
+});
+
+test("notify_owner only reports notified when the owner was told", async () => {
+  const call = async ({ notifier, tenant }, callId) => {
+    const tools = createRealtimeTools({ tenant, callSid: "CA1", caller: "+13135550123", notifier, log: quiet });
+    return tools.dispatch({ call_id: callId, name: "notify_owner", arguments: JSON.stringify({ event: "running_late" }) });
+  };
+
+  const up = setup();
+  assert.equal((await call(up, "1")).notified, true);
+  const again = await call(up, "2");
+  assert.equal(again.notified, false);
+  assert.match(again.note, /already/i);
+
+  const down = setup({ delivers: false });
+  const failed = await call(down, "1");
+  assert.equal(failed.ok, false);
+  assert.equal(failed.notified, false);
+});
@@ -0,0 +1,139 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import Fastify from "fastify";
+import websocket from "@fastify/websocket";
+import twilio from "twilio";
+import WebSocket, { WebSocketServer } from "ws";
+import { createTwilioWebhookGuard } from "../twilio-webhooks.js";
+
+// ---------------- OPENAI STAND-IN ----------------
+// Accepts the Realtime socket and records what the bridge sends; `dropNext` hangs up on
+// the next connection once it's open, like an outage mid-call.
+const openai = new WebSocketServer({ port: 0, host: "127.0.0.1" });
+let received = [];
+let dropNext = false;
+openai.on("connection", (socket) => {
+  if (dropNext) {
+    dropNext = false;
+    setTimeout(() => socket.close(), 50);
+  }
+  socket.on("message", (raw) => received.push(JSON.parse(raw.toString())));
+});
+
+const AUTH_TOKEN = "token";
+// What Twilio is configured with; the server itself listens on a random local port.
+const PUBLIC_URL = "https://bot.example.com";
+const quiet = { info() {}, warn() {}, error() {} };
+const TENANT = { tenant_id: "realtime_test", studio_name: "Test Studio", contact: { phone: "+13135550100" } };
+let app;
+let local;
+let lookups = [];
+let updates = [];
+let lookupResult;
+
+before(async () => {
+  await new Promise((resolve) => openai.once("listening", resolve));
+  process.env.OPENAI_REALTIME_URL = `ws://127.0.0.1:${openai.address().port}`;
+  const { bridgeMediaStream } = await import("../realtime.js");
+
+  app = Fastify();
+  await app.register(websocket);
+  const guard = createTwilioWebhookGuard({ authToken: AUTH_TOKEN, baseUrl: PUBLIC_URL, log: quiet, testMode: false });
+  const twilioClient = { calls: (sid) => ({ update: async (params) => { updates.push({ sid, ...params }); } }) };
+  app.get("/media-stream", { websocket: true, preHandler: guard }, (socket) => {
+    bridgeMediaStream(socket, {
+      lookupCall: async (callSid) => {
+        lookups.push(callSid);
+        return lookupResult;
+      },
+      instructionsFor: () => "Be helpful.",
+      sendLinks: async () => true,
+      twilioClient,
+      baseUrl: PUBLIC_URL,
+      notifier: null,
+      log: quiet,
+      apiKey: "sk-test",
+    });
+  });
+  await app.listen({ port: 0, host: "127.0.0.1" });
+  local = `ws://127.0.0.1:${app.server.address().port}/media-stream`;
+});
+after(async () => {
+  await app.close();
+  await new Promise((resolve) => openai.close(resolve));
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function connect(headers) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(local, { headers });
+    socket.once("open", () => resolve(socket));
+    socket.once("unexpected-response", (req, res) => reject(Object.assign(new Error("refused"), { status: res.statusCode })));
+    socket.once("error", reject);
+  });
+}
+const signed = () => connect({ "X-Twilio-Signature": twilio.getExpectedTwilioSignature(AUTH_TOKEN, "wss://bot.example.com/media-stream", {}) });
+const closed = (socket) => new Promise((resolve) => socket.once("close", resolve));
+const start = (socket, callSid, extra = {}) => socket.send(JSON.stringify({ event: "start", start: { streamSid: "MZ1", callSid, ...extra } }));
+
+test("media streams without Twilio's signature are refused", async () => {
+  await assert.rejects(connect({}), (err) => err.status === 403);
+  await assert.rejects(connect({ "X-Twilio-Signature": "forged" }), (err) => err.status === 403);
+});
+
+test("the tenant comes from Twilio's record of the call, not the start event", async () => {
+  lookups = [];
+  received = [];
+  lookupResult = { tenant: TENANT, callerNumber: "+13135550123" };
+  const socket = await signed();
+  start(socket, "CA1", { customParameters: { tenantId: "someone_else" } });
+  socket.send(JSON.stringify({ event: "media", media: { timestamp: "20", payload: "AAAA" } }));
+  await wait(200);
+
+  assert.deepEqual(lookups, ["CA1"]);
+  const types = received.map((event) => event.type);
+  assert.deepEqual(types.slice(0, 3), ["session.update", "response.create", "input_audio_buffer.append"]);
+  assert.match(received[1].response.instructions, /Test Studio/);
+  socket.close();
+});
+
+test("a stream for a call with no tenant is hung up", async () => {
+  lookupResult = null;
+  const socket = await signed();
+  const done = closed(socket);
+  start(socket, "CA2");
+  await done;
+});
+
+test("when OpenAI drops mid-call the caller is handed to a person", async () => {
+  updates = [];
+  dropNext = true;
+  lookupResult = { tenant: TENANT, callerNumber: "+13135550123" };
+  const socket = await signed();
+  start(socket, "CA3");
+  await wait(300);
+
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].sid, "CA3");
+  assert.match(updates[0].twiml, /<Dial|<Record/);
+  socket.close();
+});
+
+test("a Spanish caller sent to voicemail hears the Spanish prompt", async () => {
+  const { createRealtimeTools } = await import("../realtime-tools.js");
+  const sent = [];
+  const tenant = { tenant_id: "realtime_es", advanced_features: { multilingual_support: true } };
+  const tools = createRealtimeTools({
+    tenant,
+    callSid: "CA4",
+    caller: "+13135550123",
+    twilioClient: { calls: () => ({ update: async ({ twiml }) => { sent.push(twiml); } }) },
+    baseUrl: PUBLIC_URL,
+    log: quiet,
+  });
+  const result = await tools.dispatch({ name: "transfer_to_human", arguments: JSON.stringify({ reason: "Wants Yesha", language: "es" }) });
+  assert.equal(result.mode, "voicemail");
+  assert.match(sent[0], /Polly\.Lupe-Neural/);
+  assert.match(sent[0], /estamos cerrados/);
+});
@@ -0,0 +1,142 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { DateTime } from "luxon";
+import { getSchedulingProvider } from "../scheduling.js";
+import { matchReminderAnswer } from "../i18n.js";
+import { parseReminderReply, reminderText, reminderCallLine, createReminderScheduler } from "../reminders.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reminders-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const CALLER = "+13135550123";
+const quiet = { info() {}, warn() {}, error() {} };
+
+// ---------------- REPLIES ----------------
+test("bare CONFIRM, RESCHEDULE and CANCEL are answers", () => {
+  assert.equal(parseReminderReply("CONFIRM"), "confirm");
+  assert.equal(parseReminderReply(" confirm! "), "confirm");
+  assert.equal(parseReminderReply("Reschedule."), "reschedule");
+  assert.equal(parseReminderReply("cancel"), "cancel");
+});
+
+test("questions and loose wording are left for the normal text handling", () => {
+  for (const text of [
+    "What is your cancellation policy?",
+    "Do I lose my deposit if I cancel?",
+    "I might need to cancel, what happens to my deposit?",
+    "Don't cancel, I'll be there",
+    "Can I reschedule to Friday?",
+    "cancel?",
+    "see you",
+    "c",
+    "",
+  ]) {
+    assert.equal(parseReminderReply(text), null, text);
+  }
+});
+
+// ---------------- WORDING ----------------
+const APPOINTMENT = { id: "1", label: "retwist", datetime: "2030-01-08T11:00:00.000-05:00" };
+const MULTILINGUAL = { tenant_id: "words", studio_name: "Loc Studio", timezone: "America/Detroit", advanced_features: { multilingual_support: true } };
+
+test("reminders are worded in the language asked for", () => {
+  const now = DateTime.fromISO("2030-01-07T09:00:00.000-05:00");
+  assert.equal(reminderText(MULTILINGUAL, APPOINTMENT, { now }),
+    "Loc Studio: reminder of your retwist tomorrow at 11 AM. Reply CONFIRM to confirm, RESCHEDULE to pick a new time, or CANCEL to cancel.");
+  assert.match(reminderText(MULTILINGUAL, APPOINTMENT, { language: "es", now }), /^Loc Studio: le recordamos su cita de retwist mañana a las 11:00\./);
+  assert.match(reminderCallLine(MULTILINGUAL, APPOINTMENT, { language: "fr", now: now.minus({ days: 3 }) }), /le mardi 8 janvier à 11:00/);
+});
+
+test("a tenant can reword a reminder", () => {
+  const tenant = { ...MULTILINGUAL, localization: { en: { reminder_sms: "{studio} sees you {when}!" } } };
+  const now = DateTime.fromISO("2030-01-07T09:00:00.000-05:00");
+  assert.equal(reminderText(tenant, APPOINTMENT, { now }), "Loc Studio sees you tomorrow at 11 AM!");
+});
+
+test("spoken answers to a Spanish or French reminder call", () => {
+  assert.equal(matchReminderAnswer("es", "Sí, ahí estaré"), "confirm");
+  assert.equal(matchReminderAnswer("es", "No, quiero cancelarla"), "cancel");
+  assert.equal(matchReminderAnswer("fr", "Je voudrais le déplacer"), "reschedule");
+  assert.equal(matchReminderAnswer("fr", "Quel temps fait-il ?"), null);
+});
+
+// ---------------- SCHEDULER ----------------
+let counter = 0;
+async function bookedTenant(extra = {}) {
+  const tenant = {
+    tenant_id: `reminders_${++counter}`,
+    timezone: "America/Detroit",
+    scheduling: { provider: "fake" },
+    reminders: { sms_hours_before: [48] },
+    ...extra,
+  };
+  const scheduler = getSchedulingProvider(tenant);
+  const [slot] = await scheduler.findAvailability({ appointmentTypeID: "retwist", timezone: tenant.timezone });
+  await scheduler.book({ appointmentTypeID: "retwist", datetime: slot, firstName: "Ada", phone: CALLER });
+  const now = DateTime.fromISO(slot, { setZone: true }).minus({ hours: 47 });
+  return { tenant, now };
+}
+
+test("a reminder text that fails to send is tried again on the next run", async () => {
+  const { tenant, now } = await bookedTenant();
+  const sent = [];
+  let up = false;
+  const reminders = createReminderScheduler({
+    getTenants: () => [tenant],
+    sendSms: async (to) => { sent.push(to); return up; },
+    placeCall: async () => null,
+    log: quiet,
+    file: path.join(dir, `${tenant.tenant_id}.json`),
+  });
+
+  await reminders.tick(now);
+  assert.equal(sent.length, 1);
+  assert.equal(reminders.awaiting(tenant, CALLER, now), null);
+
+  up = true;
+  await reminders.tick(now.plus({ minutes: 5 }));
+  assert.equal(sent.length, 2);
+  assert.ok(reminders.awaiting(tenant, CALLER, now));
+
+  await reminders.tick(now.plus({ minutes: 10 }));
+  assert.equal(sent.length, 2);
+});
+
+test("numbers that opted out are never reminded", async () => {
+  const { tenant, now } = await bookedTenant();
+  const sent = [];
+  const reminders = createReminderScheduler({
+    getTenants: () => [tenant],
+    sendSms: async (to) => { sent.push(to); return true; },
+    placeCall: async () => null,
+    isOptedOut: () => true,
+    log: quiet,
+    file: path.join(dir, `${tenant.tenant_id}.json`),
+  });
+
+  await reminders.tick(now);
+  await reminders.tick(now.plus({ minutes: 5 }));
+  assert.deepEqual(sent, []);
+});
+
+test("reminders go out in the client's language, else the tenant's default", async () => {
+  const multilingual = { advanced_features: { multilingual_support: true }, localization: { default_language: "fr" } };
+  for (const [known, expected] of [["es", /le recordamos/], [null, /rappel de votre rendez-vous/]]) {
+    const { tenant, now } = await bookedTenant(multilingual);
+    const sent = [];
+    const reminders = createReminderScheduler({
+      getTenants: () => [tenant],
+      sendSms: async (to, body) => { sent.push(body); return true; },
+      placeCall: async () => null,
+      languageFor: async () => known,
+      log: quiet,
+      file: path.join(dir, `${tenant.tenant_id}.json`),
+    });
+    await reminders.tick(now);
+    assert.match(sent[0], expected);
+    assert.equal(reminders.awaiting(tenant, CALLER, now).language, known || "fr");
+  }
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+import { getSchedulingProvider, SchedulingConfigError, SlotUnavailableError } from "../scheduling.js";
+import { findUpcomingAppointments, pickSlot } from "../voice-booking.js";
+
+// Each test gets its own in-memory calendar (the registry keeps one per tenant id).
+let counter = 0;
+function fakeTenant() {
+  return { tenant_id: `test_${++counter}`, timezone: "America/Detroit", scheduling: { provider: "fake" } };
+}
+
+const CALLER = "+13135550123";
+const PROFILE = { firstName: "Ada", lastName: "Lovelace", email: "ada@example.com" };
+
+test("the fake provider books an offered slot and finds it by phone", async () => {
+  const tenant = fakeTenant();
+  const scheduler = getSchedulingProvider(tenant);
+  const appointmentTypeID = scheduler.appointmentTypeFor({ id: "retwist" });
+  const slots = await scheduler.findAvailability({ appointmentTypeID, timezone: tenant.timezone });
+  assert.equal(slots.length, 3);
+
+  const booked = await scheduler.book({ appointmentTypeID, datetime: slots[0], ...PROFILE, phone: CALLER });
+  assert.equal(booked.status, "booked");
+
+  const upcoming = await findUpcomingAppointments(scheduler, "(313) 555-0123", tenant);
+  assert.deepEqual(upcoming.map((appt) => appt.id), [booked.id]);
+  assert.equal(upcoming[0].serviceId, "retwist");
+
+  // The slot is taken now.
+  const next = await scheduler.findAvailability({ appointmentTypeID, timezone: tenant.timezone });
+  assert.ok(!next.includes(slots[0]));
+});
+
+test("booking a taken slot is refused with SlotUnavailableError", async () => {
+  const tenant = fakeTenant();
+  const scheduler = getSchedulingProvider(tenant);
+  const [slot] = await scheduler.findAvailability({ appointmentTypeID: "retwist", timezone: tenant.timezone });
+  await scheduler.book({ appointmentTypeID: "retwist", datetime: slot, ...PROFILE, phone: CALLER });
+  await assert.rejects(
+    scheduler.book({ appointmentTypeID: "retwist", datetime: slot, ...PROFILE, phone: "+13135550999" }),
+    SlotUnavailableError,
+  );
+});
+
+test("a cancelled appointment drops out of lookups and frees its slot", async () => {
+  const tenant = fakeTenant();
+  const scheduler = getSchedulingProvider(tenant);
+  const [slot] = await scheduler.findAvailability({ appointmentTypeID: "retwist", timezone: tenant.timezone });
+  const booked = await scheduler.book({ appointmentTypeID: "retwist", datetime: slot, ...PROFILE, phone: CALLER });
+
+  const cancelled = await scheduler.cancel(booked.id, { note: "test" });
+  assert.equal(cancelled.status, "cancelled");
+  assert.deepEqual(await findUpcomingAppointments(scheduler, CALLER, tenant), []);
+  assert.equal((await scheduler.findAvailability({ appointmentTypeID: "retwist", timezone: tenant.timezone }))[0], slot);
+});
+
+test("rescheduling moves the appointment to a slot picked by weekday", async () => {
+  const tenant = fakeTenant();
+  const scheduler = getSchedulingProvider(tenant);
+  const slots = await scheduler.findAvailability({ appointmentTypeID: "retwist", timezone: tenant.timezone });
+  const booked = await scheduler.book({ appointmentTypeID: "retwist", datetime: slots[0], ...PROFILE, phone: CALLER });
+
+  const weekday = DateTime.fromISO(slots[2]).setZone(tenant.timezone).toFormat("cccc").toLowerCase();
+  const picked = pickSlot(`${weekday} works`, slots, tenant.timezone);
+  assert.equal(picked, 2);
+
+  const moved = await scheduler.reschedule(booked.id, { datetime: slots[picked], timezone: tenant.timezone });
+  assert.equal(DateTime.fromISO(moved.datetime).toMillis(), DateTime.fromISO(slots[2]).toMillis());
+  const [upcoming] = await findUpcomingAppointments(scheduler, CALLER, tenant);
+  assert.equal(upcoming.id, booked.id);
+  assert.equal(DateTime.fromISO(upcoming.datetime).toMillis(), DateTime.fromISO(slots[2]).toMillis());
+});
+
+test("rescheduling onto someone else's appointment is refused", async () => {
+  const tenant = fakeTenant();
+  const scheduler = getSchedulingProvider(tenant);
+  const slots = await scheduler.findAvailability({ appointmentTypeID: "retwist", timezone: tenant.timezone });
+  const mine = await scheduler.book({ appointmentTypeID: "retwist", datetime: slots[0], ...PROFILE, phone: CALLER });
+  await scheduler.book({ appointmentTypeID: "retwist", datetime: slots[1], ...PROFILE, phone: "+13135550999" });
+  await assert.rejects(scheduler.reschedule(mine.id, { datetime: slots[1] }), SlotUnavailableError);
+});
+
+test("listAppointments returns everyone's booked appointments in range", async () => {
+  const tenant = fakeTenant();
+  const scheduler = getSchedulingProvider(tenant);
+  const slots = await scheduler.findAvailability({ appointmentTypeID: "retwist", timezone: tenant.timezone });
+  const a = await scheduler.book({ appointmentTypeID: "retwist", datetime: slots[1], ...PROFILE, phone: CALLER });
+  const b = await scheduler.book({ appointmentTypeID: "retwist", datetime: slots[0], ...PROFILE, phone: "+13135550999" });
+  const c = await scheduler.book({ appointmentTypeID: "retwist", datetime: slots[2], ...PROFILE, phone: "+13135550888" });
+  await scheduler.cancel(c.id);
+
+  const listed = await scheduler.listAppointments({ from: DateTime.now().toISO(), to: slots[2], timezone: tenant.timezone });
+  assert.deepEqual(listed.map((appt) => appt.id), [b.id, a.id]);
+});
+
+test("a tenant without credentials gets SchedulingConfigError", () => {
+  delete process.env.ACUITY_USER_ID;
+  delete process.env.ACUITY_API_KEY;
+  assert.throws(
+    () => getSchedulingProvider({ tenant_id: "no_creds", scheduling: { provider: "acuity" } }),
+    SchedulingConfigError,
+  );
+});
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// sms.js reads SMS_OPT_OUT_FILE when it's first imported; this one can't be written.
+process.env.SMS_OPT_OUT_FILE = "/dev/null/sms-opt-outs.json";
+const { setOptOut, isOptedOut, parseKeyword, classifyCompliance } = await import("../sms.js");
+
+test("STOP and START are compliance keywords, questions aren't", () => {
+  assert.equal(classifyCompliance(parseKeyword("stop")), "opt_out");
+  assert.equal(classifyCompliance(parseKeyword("START")), "opt_in");
+  assert.equal(classifyCompliance(parseKeyword("stop by tomorrow?")), null);
+});
+
+test("an opt-out that can't be saved still applies, and is logged as an error", () => {
+  const errors = [];
+  const log = { error: (details, msg) => errors.push({ details, msg }) };
+  assert.equal(setOptOut("sms_test", "+13135550123", true, { log }), false);
+  assert.equal(isOptedOut("sms_test", "(313) 555-0123"), true);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].details.tenant, "sms_test");
+  assert.equal(errors[0].details.file, "/dev/null/sms-opt-outs.json");
+});
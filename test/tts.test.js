@@ -0,0 +1,47 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import twilio from "twilio";
+
+// ---------------- ELEVENLABS STAND-IN ----------------
+// Never answers, like ElevenLabs when it's down. tts.js reads its URL when it's first imported.
+const held = [];
+const server = http.createServer((req, res) => { held.push(res); });
+let createSpeaker;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.ELEVENLABS_API_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.ELEVENLABS_API_KEY = "test";
+  ({ createSpeaker } = await import("../tts.js"));
+});
+after(() => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+});
+
+const quiet = { info() {}, warn() {}, error() {} };
+const cache = { get: (params, synthesize) => synthesize() };
+const tenant = { tenant_id: "tts_test", voice_config: { provider: "elevenlabs", fallback: ["twilio"], tts_timeout_ms: 300 } };
+
+test("a response spends one budget, however many phrases it says", async () => {
+  const speaker = createSpeaker({ cache, baseUrl: "https://example.com", log: quiet });
+  const response = new twilio.twiml.VoiceResponse();
+  const started = Date.now();
+  const used = [];
+  for (const text of ["Hi there!", "Your appointment is tomorrow.", "Anything else?"]) {
+    used.push(await speaker.speak(response, text, tenant));
+  }
+
+  assert.deepEqual(used, ["twilio", "twilio", "twilio"]);
+  assert.ok(Date.now() - started < 600, `took ${Date.now() - started}ms`);
+  assert.equal(held.length, 1);
+});
+
+test("the next response gets a fresh budget", async () => {
+  const speaker = createSpeaker({ cache, baseUrl: "https://example.com", log: quiet });
+  await speaker.speak(new twilio.twiml.VoiceResponse(), "First turn.", tenant);
+  const before = held.length;
+  await speaker.speak(new twilio.twiml.VoiceResponse(), "Second turn.", tenant);
+  assert.equal(held.length, before + 1);
+});
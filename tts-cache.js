@@ -0,0 +1,127 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Content-addressed cache for synthesized speech. A clip's filename is a hash of
+// everything that changes how it sounds (provider, voice, model, settings, text), so the
+// same phrase in the same voice is generated once and then served from disk to every
+// call that needs it. Clips unused for the TTL are swept; pinned clips (the pre-warmed
+// greetings and stock phrases) stay for the life of the process.
+//   TTS_CACHE_DIR        where clips live (default <tmpdir>/locsync-tts)
+//   TTS_CACHE_TTL_HOURS  how long an unused clip is kept (default 168)
+
+const DEFAULT_DIR = process.env.TTS_CACHE_DIR || path.join(os.tmpdir(), "locsync-tts");
+const DEFAULT_TTL_MS = (Number(process.env.TTS_CACHE_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// Only names we generated ever reach the filesystem.
+const CLIP_NAME = /^[a-f0-9]{40}\.mp3$/;
+
+// { provider, voice, model, settings, text } -> "<sha256 prefix>.mp3". Settings keys are
+// sorted so { a, b } and { b, a } share a clip.
+export function clipName({ provider, voice, model, settings = {}, text }) {
+  const sorted = Object.fromEntries(Object.entries(settings || {}).sort(([a], [b]) => a.localeCompare(b)));
+  const hash = crypto.createHash("sha256")
+    .update(JSON.stringify([provider || "", voice || "", model || "", sorted, String(text)]))
+    .digest("hex");
+  return `${hash.slice(0, 40)}.mp3`;
+}
+
+export function createTtsCache({ dir = DEFAULT_DIR, ttlMs = DEFAULT_TTL_MS, log = console } = {}) {
+  const inflight = new Map(); // clip name -> Promise<clip name | null>
+  const pinned = new Set();
+  let ready = null;
+
+  const ensureDir = () => (ready = ready || fs.promises.mkdir(dir, { recursive: true }));
+
+  // Absolute path for a clip name, or null when it isn't one of ours (path traversal,
+  // other files in the directory, typos).
+  function resolve(name) {
+    return CLIP_NAME.test(String(name)) ? path.join(dir, name) : null;
+  }
+
+  async function generate(name, synthesize) {
+    const audio = await synthesize();
+    if (!audio) return null;
+    await ensureDir();
+    // Write then rename, so a concurrent fetch never serves half a file.
+    const tmp = path.join(dir, `.${name}.${process.pid}.${crypto.randomUUID()}`);
+    await fs.promises.writeFile(tmp, Buffer.from(audio));
+    await fs.promises.rename(tmp, path.join(dir, name));
+    return name;
+  }
+
+  return {
+    dir,
+    resolve,
+
+    // Clip name for `params`, synthesizing it with `synthesize()` (-> audio bytes or null)
+    // on a miss. Concurrent misses for the same clip share one synthesis. Resolves to null
+    // when synthesis produced nothing, so the caller can fall back.
+    async get(params, synthesize, { pin = false } = {}) {
+      const name = clipName(params);
+      if (pin) pinned.add(name);
+      const file = path.join(dir, name);
+
+      try {
+        const now = new Date();
+        await fs.promises.utimes(file, now, now); // hit: mark as recently used
+        return name;
+      } catch {
+        // miss
+      }
+
+      if (!inflight.has(name)) {
+        inflight.set(name, generate(name, synthesize).finally(() => inflight.delete(name)));
+      }
+      return inflight.get(name);
+    },
+
+    // Generates (or refreshes) clips that nearly every call plays. entries: [{ params, synthesize }]
+    async prewarm(entries) {
+      let warmed = 0;
+      for (const { params, synthesize } of entries) {
+        try {
+          if (await this.get(params, synthesize, { pin: true })) warmed++;
+        } catch (err) {
+          log.warn?.(`⚠️ TTS pre-warm failed for "${String(params.text).slice(0, 40)}": ${err.message}`);
+        }
+      }
+      return warmed;
+    },
+
+    // Deletes clips not used within the TTL. Returns how many were removed.
+    async sweep(now = Date.now()) {
+      let names;
+      try {
+        names = await fs.promises.readdir(dir);
+      } catch {
+        return 0;
+      }
+      let removed = 0;
+      for (const name of names) {
+        if (!CLIP_NAME.test(name) || pinned.has(name) || inflight.has(name)) continue;
+        try {
+          const { mtimeMs } = await fs.promises.stat(path.join(dir, name));
+          if (now - mtimeMs > ttlMs) {
+            await fs.promises.unlink(path.join(dir, name));
+            removed++;
+          }
+        } catch {
+          // Removed by another process in the meantime.
+        }
+      }
+      return removed;
+    },
+
+    startSweeping(intervalMs = SWEEP_INTERVAL_MS) {
+      const timer = setInterval(() => {
+        this.sweep().then((removed) => {
+          if (removed) log.info?.(`🧹 Removed ${removed} expired TTS clips`);
+        });
+      }, intervalMs);
+      timer.unref();
+      return timer;
+    },
+  };
+}
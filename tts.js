@@ -0,0 +1,219 @@
+// Text-to-speech providers for the <Gather> flow, picked per tenant from `voice_config`:
+//   "voice_config": {
+//     "provider": "openai",                  // first choice: "elevenlabs" | "openai" | "twilio"
+//     "voice": "nova",                       // voice for the first-choice provider
+//     "fallback": ["elevenlabs", "twilio"],  // tried in order when it fails or runs slow
+//     "voices": { "elevenlabs": "21m00Tcm4TlvDq8ikWAM", "twilio": "Polly.Joanna-Neural",
+//                 "twilio_es": "Polly.Lupe-Neural" },  // <provider>_<language> for non-English calls
+//     "stability": 0.75, "similarity_boost": 0.8, "speed": 1.0,
+//     "tts_model": "tts-1",
+//     "tts_timeout_ms": 2500
+//   }
+// Tenants without a provider keep the old behaviour: ElevenLabs when it's configured,
+// then Twilio. Twilio <Say> (Amazon Polly voices) is always the last resort, since it
+// can't fail on our side. Synthesized clips go through the TTS cache (tts-cache.js).
+// Spanish and French calls (i18n.js) keep the same providers; Twilio switches to the
+// language's Polly voice.
+
+import { LANGUAGES } from "./i18n.js";
+
+const ELEVENLABS_API_URL = process.env.ELEVENLABS_API_URL || "https://api.elevenlabs.io/v1";
+// OPENAI_TTS_URL points OpenAI speech at a local stand-in of the API.
+const OPENAI_TTS_URL = process.env.OPENAI_TTS_URL || "https://api.openai.com/v1/audio/speech";
+// Whole-chain budget per response, however many phrases it says: after this the caller hears
+// Twilio's voice instead of silence.
+const DEFAULT_BUDGET_MS = Number(process.env.TTS_TIMEOUT_MS) || 2500;
+// A synthesis that blows the budget keeps going so the clip is cached for next time, up to this.
+const HARD_TIMEOUT_MS = 15000;
+
+export class TtsError extends Error {
+  constructor(message, { provider = null, status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "TtsError";
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+async function fetchAudio(provider, url, init) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), HARD_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { ...init, signal: controller.signal });
+    if (!res.ok) throw new TtsError(`${provider} TTS error: ${res.status}`, { provider, status: res.status });
+    return Buffer.from(await res.arrayBuffer());
+  } catch (err) {
+    if (err instanceof TtsError) throw err;
+    throw new TtsError(`${provider} TTS request failed: ${err.message}`, { provider, cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const num = (value, fallback) => (value === undefined || value === null || value === "" ? fallback : Number(value));
+
+// ---------------- PROVIDERS ----------------
+// voiceFor(tenant, primary) -> { voice, model, settings }; synthesize(text, voice) -> mp3 bytes.
+export const TTS_PROVIDERS = {
+  elevenlabs: {
+    available: () => Boolean(process.env.ELEVENLABS_API_KEY),
+    voiceFor(tenant, primary) {
+      const config = tenant?.voice_config || {};
+      return {
+        voice: (primary && config.voice) || config.voices?.elevenlabs || tenant?.elevenlabs_voice_id ||
+          process.env.ELEVENLABS_VOICE_ID || "21m00Tcm4TlvDq8ikWAM",
+        model: config.elevenlabs_model || "eleven_flash_v2_5",
+        settings: {
+          stability: num(config.stability, 0.75),
+          similarity_boost: num(config.similarity_boost, 0.8),
+          speed: num(config.speed, 1.0),
+        },
+      };
+    },
+    synthesize(text, { voice, model, settings }) {
+      return fetchAudio("elevenlabs", `${ELEVENLABS_API_URL}/text-to-speech/${encodeURIComponent(voice)}`, {
+        method: "POST",
+        headers: {
+          Accept: "audio/mpeg",
+          "Content-Type": "application/json",
+          "xi-api-key": process.env.ELEVENLABS_API_KEY,
+        },
+        body: JSON.stringify({ text, model_id: model, voice_settings: settings }),
+      });
+    },
+  },
+
+  openai: {
+    available: () => Boolean(process.env.OPENAI_API_KEY),
+    voiceFor(tenant, primary) {
+      const config = tenant?.voice_config || {};
+      return {
+        voice: (primary && config.voice) || config.voices?.openai || "nova",
+        model: config.tts_model || "tts-1",
+        settings: { speed: num(config.speed, 1.0) },
+      };
+    },
+    synthesize(text, { voice, model, settings }) {
+      return fetchAudio("openai", OPENAI_TTS_URL, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ model, voice, input: text, response_format: "mp3", speed: settings.speed }),
+      });
+    },
+  },
+
+  // Rendered as <Say>: nothing to synthesize or cache.
+  twilio: {
+    available: () => true,
+    voiceFor(tenant, primary) {
+      const config = tenant?.voice_config || {};
+      return { voice: (primary && config.voice) || config.voices?.twilio || "Polly.Joanna-Neural", model: null, settings: {} };
+    },
+  },
+};
+
+// Ordered [{ provider, voice, model, settings, language }] for this tenant, always ending in Twilio.
+export function voiceChain(tenant, language = "en") {
+  const config = tenant?.voice_config || {};
+  const names = config.provider
+    ? [config.provider, ...(config.fallback || [])]
+    : ["elevenlabs"];
+  const chain = [];
+  names.forEach((name, i) => {
+    const provider = TTS_PROVIDERS[name];
+    if (!provider || chain.some((entry) => entry.provider === name) || !provider.available()) return;
+    chain.push({ provider: name, ...provider.voiceFor(tenant, i === 0) });
+  });
+  if (!chain.some((entry) => entry.provider === "twilio")) {
+    chain.push({ provider: "twilio", ...TTS_PROVIDERS.twilio.voiceFor(tenant, false) });
+  }
+  return chain
+    .slice(0, chain.findIndex((entry) => entry.provider === "twilio") + 1)
+    .map((entry) => (language === "en" ? { ...entry, language } : withLanguage(tenant, entry, language)));
+}
+
+// A tenant's English voice picks for another language: `voices.<provider>_<language>`,
+// or for Twilio the language's Polly voice. ElevenLabs and OpenAI voices are multilingual.
+function withLanguage(tenant, entry, language) {
+  const override = tenant?.voice_config?.voices?.[`${entry.provider}_${language}`];
+  const voice = override || (entry.provider === "twilio" ? LANGUAGES[language]?.polly : null) || entry.voice;
+  return { ...entry, voice, language };
+}
+
+// Polly voices imply a language, but <Say> also needs it for anything else.
+function sayAttributes({ voice, language }) {
+  return language && language !== "en" ? { voice, language: LANGUAGES[language]?.say } : { voice };
+}
+
+const withinBudget = (promise, ms) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new TtsError(`over the ${ms}ms TTS budget`)), Math.max(0, ms));
+  promise.then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+// speak(response, text, tenant, { language }) adds a <Play> of the first provider in the
+// tenant's chain that answers within the budget, or a <Say>. Resolves to the provider used.
+// The budget covers every phrase spoken into the same response.
+//   cache    TTS cache (tts-cache.js) the clips are stored in
+//   baseUrl  public URL the clips are served from (/audio/:clip)
+export function createSpeaker({ cache, baseUrl, log = console, budgetMs = DEFAULT_BUDGET_MS }) {
+  const clipFor = (entry, text) =>
+    cache.get({ ...entry, text }, () => TTS_PROVIDERS[entry.provider].synthesize(text, entry));
+
+  // Per TwiML response: when it started spending the budget, and the providers that failed
+  // or ran over, which aren't tried again for its later phrases.
+  const turns = new WeakMap();
+  const turnFor = (response) => {
+    if (!turns.has(response)) turns.set(response, { started: Date.now(), failed: new Set() });
+    return turns.get(response);
+  };
+
+  return {
+    voiceChain,
+
+    async speak(response, text, tenant, { language = "en" } = {}) {
+      const chain = voiceChain(tenant, language);
+      const budget = num(tenant?.voice_config?.tts_timeout_ms, budgetMs);
+      const turn = turnFor(response);
+
+      for (const entry of chain) {
+        if (entry.provider === "twilio") {
+          response.say(sayAttributes(entry), text);
+          return "twilio";
+        }
+        const remaining = budget - (Date.now() - turn.started);
+        if (remaining <= 0 || turn.failed.has(entry.provider)) continue;
+        try {
+          const clip = await withinBudget(clipFor(entry, text), remaining);
+          if (clip) {
+            response.play(`${baseUrl}/audio/${clip}`);
+            return entry.provider;
+          }
+        } catch (err) {
+          turn.failed.add(entry.provider);
+          log.warn({ err, provider: entry.provider, tenant: tenant?.tenant_id }, "TTS provider failed, trying next");
+        }
+      }
+      // Unreachable while voiceChain ends in Twilio, but never leave the caller in silence.
+      response.say(text);
+      return "twilio";
+    },
+
+    // Synthesizes phrases for each tenant with its first synthesized provider, ahead of calls.
+    // phrasesFor(tenant) -> [text | { text, language }]
+    prewarm(tenants, phrasesFor) {
+      const entries = tenants.flatMap((tenant) => phrasesFor(tenant).flatMap((phrase) => {
+        const { text, language = "en" } = typeof phrase === "string" ? { text: phrase } : phrase;
+        const entry = voiceChain(tenant, language).find((e) => e.provider !== "twilio");
+        if (!entry || !text) return [];
+        return [{
+          params: { ...entry, text },
+          synthesize: () => TTS_PROVIDERS[entry.provider].synthesize(text, entry),
+        }];
+      }));
+      return cache.prewarm(entries).then((warmed) => ({ warmed, total: entries.length }));
+    },
+  };
+}
@@ -0,0 +1,37 @@
+import twilio from "twilio";
+
+// Verifies X-Twilio-Signature on the webhooks Twilio posts to us, so nobody else can
+// drive a call or make us send texts from a salon's number. Twilio signs the exact URL
+// it was configured with, which behind Render's proxy isn't the URL we see, so the
+// signature is computed against the public base URL instead:
+//   TWILIO_WEBHOOK_BASE_URL   base URL Twilio is configured with (default PUBLIC_BASE_URL)
+//   TWILIO_WEBHOOK_TEST_MODE  "true" skips the check for local testing with curl;
+//                             ignored when NODE_ENV is "production"
+
+export function isTestMode(env = process.env) {
+  return env.TWILIO_WEBHOOK_TEST_MODE === "true" && env.NODE_ENV !== "production";
+}
+
+// Fastify preHandler (the form body has to be parsed first): 403 unless the request
+// carries a valid signature for `<baseUrl><path and query>` and its POST params. Media
+// Stream WebSocket upgrades are signed too, against the wss:// form of the URL.
+export function createTwilioWebhookGuard({ authToken, baseUrl, log = console, testMode = isTestMode() }) {
+  const base = String(baseUrl || "").replace(/\/+$/, "");
+
+  if (process.env.TWILIO_WEBHOOK_TEST_MODE === "true" && !testMode) {
+    log.error("❌ TWILIO_WEBHOOK_TEST_MODE is ignored in production: signatures are still checked");
+  }
+
+  return async function verifyTwilioSignature(req, reply) {
+    if (testMode) return;
+
+    const signature = req.headers["x-twilio-signature"];
+    const url = `${req.ws ? base.replace(/^http/, "ws") : base}${req.url}`;
+    const params = req.body && typeof req.body === "object" ? req.body : {};
+    if (signature && twilio.validateRequest(authToken, signature, url, params)) return;
+
+    log.warn({ url, callSid: params.CallSid, messageSid: params.MessageSid, signed: Boolean(signature) }, "🚫 Rejected Twilio webhook: bad signature");
+    reply.code(403).type("text/plain").send("Invalid Twilio signature");
+    return reply;
+  };
+}
@@ -0,0 +1,113 @@
+import { DateTime } from "luxon";
+import { SERVICES, findService } from "./tenant-config.js";
+
+// Helpers for booking and managing real appointments by voice: reading openings out in the
+// tenant's timezone and working out which one the caller picked. The openings and bookings
+// themselves come from the tenant's scheduling provider (scheduling.js).
+
+export const DEFAULT_TIMEZONE = "America/New_York";
+
+const ORDINALS = [
+  [/\b(first|1st|number one|option one|earliest)\b/, 0],
+  [/\b(second|2nd|number two|option two|middle)\b/, 1],
+  [/\b(third|3rd|number three|option three)\b/, 2],
+  [/\b(fourth|4th|number four|option four)\b/, 3],
+];
+
+const HOUR_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+};
+
+export function tenantTimezone(tenant) {
+  return tenant?.timezone || DEFAULT_TIMEZONE;
+}
+
+// "Tuesday, October 21 at 11 AM" / "... at 2:30 PM"; date-only values read as just the day.
+export function describeSlot(iso, timezone) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(iso)) {
+    return DateTime.fromISO(iso, { zone: timezone }).toFormat("cccc, LLLL d");
+  }
+  const dt = DateTime.fromISO(iso, { setZone: true }).setZone(timezone);
+  const time = dt.minute === 0 ? dt.toFormat("h a") : dt.toFormat("h:mm a");
+  return `${dt.toFormat("cccc, LLLL d")} at ${time}`;
+}
+
+export function describeSlots(slots, timezone) {
+  const parts = slots.map((slot) => describeSlot(slot, timezone));
+  if (parts.length <= 1) return parts.join("");
+  return `${parts.slice(0, -1).join("; ")}; or ${parts[parts.length - 1]}`;
+}
+
+function spokenHour(lowerSpeech) {
+  const digits = /\b(\d{1,2})(?::\d{2})?\s*(a\.?\s?m|p\.?\s?m|o'?\s?clock)/.exec(lowerSpeech) ||
+    /\b(\d{1,2}):\d{2}\b/.exec(lowerSpeech) ||
+    /\bat (\d{1,2})\b/.exec(lowerSpeech);
+  if (digits) return Number(digits[1]) % 12;
+  if (/\bnoon\b/.test(lowerSpeech)) return 0;
+  const word = new RegExp(`\\b(${Object.keys(HOUR_WORDS).join("|")})\\s*(o'?\\s?clock|a\\.?\\s?m|p\\.?\\s?m|thirty)`).exec(lowerSpeech);
+  return word ? HOUR_WORDS[word[1]] % 12 : null;
+}
+
+// Index into `slots` of the caller's choice ("the Tuesday one", "the second", "2 PM"), or -1.
+export function pickSlot(lowerSpeech, slots, timezone, now = DateTime.now()) {
+  const local = slots.map((slot) => DateTime.fromISO(slot, { setZone: true }).setZone(timezone));
+  let candidates = local.map((_, i) => i);
+
+  const today = now.setZone(timezone);
+  const dayMatches = candidates.filter((i) => {
+    const dt = local[i];
+    if (lowerSpeech.includes(dt.toFormat("cccc").toLowerCase())) return true;
+    if (lowerSpeech.includes("tomorrow") && dt.hasSame(today.plus({ days: 1 }), "day")) return true;
+    if (lowerSpeech.includes("today") && dt.hasSame(today, "day")) return true;
+    return lowerSpeech.includes(`${dt.toFormat("LLLL").toLowerCase()} ${dt.day}`);
+  });
+  if (dayMatches.length) candidates = dayMatches;
+
+  const hour = spokenHour(lowerSpeech);
+  if (hour !== null) {
+    const hourMatches = candidates.filter((i) => local[i].hour % 12 === hour);
+    if (hourMatches.length) candidates = hourMatches;
+  }
+
+  if (candidates.length === 1 && (dayMatches.length || hour !== null)) return candidates[0];
+
+  if (/\b(last|latest)\b/.test(lowerSpeech)) return slots.length - 1;
+  for (const [pattern, index] of ORDINALS) {
+    if (pattern.test(lowerSpeech) && index < slots.length) return index;
+  }
+  return -1;
+}
+
+function serviceForAppointment(scheduler, tenant, appt) {
+  const typeId = String(appt.appointmentTypeID || "");
+  const byType = typeId && SERVICES.find((service) => scheduler.appointmentTypeFor(service) === typeId);
+  return byType || findService((appt.service || "").toLowerCase(), tenant);
+}
+
+// A provider's appointment as the voice flow talks about it: "your retwist on ...".
+export function summarizeAppointment(scheduler, tenant, appt) {
+  const service = serviceForAppointment(scheduler, tenant, appt);
+  return {
+    id: appt.id,
+    datetime: appt.datetime,
+    appointmentTypeID: String(appt.appointmentTypeID || ""),
+    serviceId: service?.id || null,
+    label: service?.bookingLabel || appt.service || "appointment",
+    staff: appt.staff || null,
+  };
+}
+
+// The caller's upcoming (not yet started) appointments, soonest first.
+export async function findUpcomingAppointments(scheduler, phone, tenant, now = DateTime.now()) {
+  const timezone = tenantTimezone(tenant);
+  const appointments = await scheduler.findAppointmentsByPhone(phone, {
+    from: now.setZone(timezone).toISODate(),
+    to: now.setZone(timezone).plus({ days: 180 }).toISODate(),
+    timezone,
+  });
+  return appointments
+    .filter((appt) => DateTime.fromISO(appt.datetime, { setZone: true }) > now)
+    .sort((a, b) => DateTime.fromISO(a.datetime) - DateTime.fromISO(b.datetime))
+    .map((appt) => summarizeAppointment(scheduler, tenant, appt));
+}